@@ -14,6 +14,12 @@ if (typeof window.onSpotifyWebPlaybackSDKReady !== 'function') {
 }
 
 window.onload = async () => {
+  // ?demo runs the bundled demo playlist without Spotify
+  if (new URLSearchParams(window.location.search).has('demo')) {
+    showVisualizer(null, { demo: true });
+    return;
+  }
+
   // First check for token in URL
   const accessToken = getAccessTokenFromUrl();
 
@@ -47,9 +53,10 @@ window.onload = async () => {
 
 /**
  * Show the visualizer and initialize it with the access token
- * @param {string} accessToken - Spotify access token
+ * @param {string|null} accessToken - Spotify access token
+ * @param {Object} options - Visualizer options, e.g. { demo: true }
  */
-function showVisualizer(accessToken) {
+function showVisualizer(accessToken, options = {}) {
   const loginScreen = document.getElementById('login-screen');
   const app = document.getElementById('app');
 
@@ -66,7 +73,7 @@ function showVisualizer(accessToken) {
   spinnerContainer.appendChild(loading);
   document.body.appendChild(spinnerContainer);
 
-  initVisualizer(accessToken)
+  initVisualizer(accessToken, options)
     .catch(error => {
       console.error('Error initializing visualizer:', error);
       document.body.removeChild(spinnerContainer);
@@ -95,6 +102,13 @@ function showLoginScreen() {
       redirectToLogin();
     });
   }
+
+  const demoButton = document.getElementById('demo-button');
+  if (demoButton) {
+    demoButton.addEventListener('click', () => {
+      showVisualizer(null, { demo: true });
+    });
+  }
 }
 
 /**
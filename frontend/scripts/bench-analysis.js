@@ -0,0 +1,121 @@
+// scripts/bench-analysis.js
+// Replays a 10-minute analysis fixture through AudioAnalyzer and reports per-frame cost
+//
+// Usage: npm run bench [-- --frames-per-second=60 --seeks=200]
+
+import { performance } from 'node:perf_hooks';
+import { AudioAnalyzer } from '../src/audio/AudioAnalyzer.js';
+import { getCurrentMusicPower, detectBeats } from '../src/three/utils/VisualizerUtils.js';
+import { createAnalysisFixture } from './fixtures/analysisFixture.js';
+
+const options = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+    .map(([key, value]) => [key, Number(value)])
+);
+
+const FPS = options['frames-per-second'] || 60;
+const SEEKS = options.seeks || 200;
+const DURATION = 600;
+
+/**
+ * Summarize a list of frame timings
+ * @param {Array<number>} times - Frame times in milliseconds
+ * @returns {Object} - Mean, percentiles and max in microseconds
+ */
+function summarize(times) {
+  const sorted = [...times].sort((a, b) => a - b);
+  const at = fraction => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))] * 1000;
+  const total = sorted.reduce((sum, time) => sum + time, 0);
+  
+  return {
+    frames: sorted.length,
+    'mean (µs)': +(total / sorted.length * 1000).toFixed(2),
+    'p50 (µs)': +at(0.5).toFixed(2),
+    'p95 (µs)': +at(0.95).toFixed(2),
+    'p99 (µs)': +at(0.99).toFixed(2),
+    'max (µs)': +(sorted[sorted.length - 1] * 1000).toFixed(2),
+    'total (ms)': +total.toFixed(1)
+  };
+}
+
+/**
+ * Time a callback once per playback position
+ * @param {Array<number>} positions - Playback positions in seconds
+ * @param {Function} frame - Called with each position
+ * @returns {Array<number>} - Frame times in milliseconds
+ */
+function timeFrames(positions, frame) {
+  const times = new Array(positions.length);
+  
+  for (let i = 0; i < positions.length; i++) {
+    const start = performance.now();
+    frame(positions[i]);
+    times[i] = performance.now() - start;
+  }
+  
+  return times;
+}
+
+/**
+ * Create an analyzer loaded with the fixture, with logging silenced
+ * @param {Object} analysis - Audio analysis fixture
+ * @returns {AudioAnalyzer} - Analyzer driven by the Spotify source
+ */
+function createLoadedAnalyzer(analysis) {
+  const analyzer = new AudioAnalyzer();
+  analyzer.updateTrackData(analysis, { energy: 0.7, danceability: 0.6, valence: 0.5, tempo: analysis.track.tempo });
+  analyzer.onBeat = () => {};
+  analyzer.onSection = () => {};
+  analyzer.onBar = () => {};
+  analyzer.onTatum = () => {};
+  return analyzer;
+}
+
+function main() {
+  const analysis = createAnalysisFixture({ duration: DURATION });
+  
+  // Keep source / track logging out of the report
+  const log = console.log;
+  console.log = () => {};
+  
+  // Continuous playback at the display frame rate
+  const playback = Array.from({ length: DURATION * FPS }, (_, i) => i / FPS);
+  
+  // Random jumps around the track, e.g. scrubbing the progress bar
+  let seed = 7;
+  const seeks = Array.from({ length: SEEKS }, () => {
+    seed = (seed * 1664525 + 1013904223) >>> 0;
+    return (seed / 4294967296) * DURATION;
+  });
+  
+  const playbackAnalyzer = createLoadedAnalyzer(analysis);
+  const seekAnalyzer = createLoadedAnalyzer(analysis);
+  
+  let powerLevel = 0.5;
+  let lastBeatTime = 0;
+  
+  const results = {
+    'AudioAnalyzer playback': summarize(timeFrames(playback, seconds => {
+      playbackAnalyzer.updateProgress(seconds * 1000);
+    })),
+    'AudioAnalyzer seeks': summarize(timeFrames(seeks, seconds => {
+      seekAnalyzer.updateProgress(seconds * 1000);
+    })),
+    'getCurrentMusicPower': summarize(timeFrames(playback, seconds => {
+      powerLevel = getCurrentMusicPower(seconds, analysis.segments, powerLevel, 0.7, false);
+    })),
+    'detectBeats': summarize(timeFrames(playback, seconds => {
+      lastBeatTime = detectBeats(seconds, analysis.beats, lastBeatTime, analysis.track.tempo, 0.7, false).lastBeatTime;
+    }))
+  };
+  
+  console.log = log;
+  
+  console.log(`Fixture: ${DURATION}s, ${analysis.beats.length} beats, ${analysis.segments.length} segments, ` +
+    `${analysis.tatums.length} tatums, ${analysis.sections.length} sections; ${FPS} fps, ${SEEKS} seeks`);
+  console.table(results);
+}
+
+main();
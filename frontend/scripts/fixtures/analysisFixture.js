@@ -0,0 +1,153 @@
+// scripts/fixtures/analysisFixture.js
+// Deterministic Spotify-shaped audio analysis for benchmarks and demo mode
+
+// Chord roots (semitones above the key) for a I-V-vi-IV / i-VI-III-VII loop
+const PROGRESSIONS = {
+  major: [0, 7, 9, 5],
+  minor: [0, 8, 3, 10]
+};
+
+/**
+ * Small seeded PRNG so every run replays the same fixture
+ * @param {number} seed - Seed value
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Pitch vector for a triad, normalized so the strongest class is 1 like Spotify's
+ * @param {number} root - Chord root pitch class
+ * @param {boolean} minorChord - Whether the chord has a minor third
+ * @param {Function} random - PRNG
+ * @returns {Array<number>} - 12 pitch-class strengths
+ */
+function chordPitches(root, minorChord, random) {
+  const pitches = Array.from({ length: 12 }, () => random() * 0.25);
+  
+  pitches[root % 12] = 0.8 + random() * 0.2;
+  pitches[(root + (minorChord ? 3 : 4)) % 12] = 0.5 + random() * 0.4;
+  pitches[(root + 7) % 12] = 0.5 + random() * 0.4;
+  
+  const max = Math.max(...pitches);
+  return pitches.map(value => value / max);
+}
+
+/**
+ * Build an analysis with the density of a real Spotify analysis
+ * (~4 segments per second, two tatums per beat, 4/4 bars, a chord per bar)
+ * @param {Object} options - Fixture options
+ * @param {number} options.duration - Track length in seconds
+ * @param {number} options.tempo - Tempo in BPM
+ * @param {number} options.key - Key pitch class (0 = C)
+ * @param {number} options.mode - 1 = major, 0 = minor
+ * @param {Array<number>} options.sectionLoudness - Loudness (dB) of each section, evenly spaced;
+ *   defaults to random 30 second sections
+ * @param {number} options.seed - PRNG seed
+ * @returns {Object} - Audio analysis with beats, bars, tatums, segments, sections and track
+ */
+export function createAnalysisFixture({
+  duration = 600,
+  tempo = 124,
+  key = 9,
+  mode = 0,
+  sectionLoudness = null,
+  seed = 1
+} = {}) {
+  const random = createRandom(seed);
+  const beatInterval = 60 / tempo;
+  
+  const sectionCount = sectionLoudness ? sectionLoudness.length : Math.ceil(duration / 30);
+  const sectionLength = duration / sectionCount;
+  const loudnessOf = index => sectionLoudness ? sectionLoudness[index] : -14 + random() * 10;
+  
+  const sections = [];
+  for (let i = 0; i < sectionCount; i++) {
+    sections.push({
+      start: i * sectionLength,
+      duration: sectionLength,
+      confidence: random(),
+      loudness: loudnessOf(i),
+      tempo,
+      key,
+      mode,
+      time_signature: 4
+    });
+  }
+  
+  const beats = [];
+  const tatums = [];
+  const bars = [];
+  
+  for (let start = 0; start + beatInterval <= duration; start += beatInterval) {
+    const confidence = 0.4 + random() * 0.6;
+    beats.push({ start, duration: beatInterval, confidence });
+    tatums.push({ start, duration: beatInterval / 2, confidence });
+    tatums.push({ start: start + beatInterval / 2, duration: beatInterval / 2, confidence: confidence * 0.8 });
+    
+    if ((beats.length - 1) % 4 === 0) {
+      bars.push({ start, duration: beatInterval * 4, confidence });
+    }
+  }
+  
+  const progression = mode === 1 ? PROGRESSIONS.major : PROGRESSIONS.minor;
+  const segments = [];
+  let start = 0;
+  
+  while (start < duration) {
+    const segmentDuration = Math.min(duration - start, 0.15 + random() * 0.25);
+    
+    const section = sections[Math.min(sectionCount - 1, Math.floor(start / sectionLength))];
+    const barIndex = Math.floor(start / (beatInterval * 4));
+    const root = (key + progression[barIndex % progression.length]) % 12;
+    
+    // Chord quality follows the scale: vi / i etc. are minor
+    const degree = progression[barIndex % progression.length];
+    const minorChord = mode === 1 ? degree === 9 : degree === 0;
+    
+    // Segments starting on a beat are accented
+    const beatOffset = (start % beatInterval) / beatInterval;
+    const accent = beatOffset < 0.1 || beatOffset > 0.9 ? 4 : 0;
+    const loudness = section.loudness - 4 + accent + random() * 4;
+    
+    segments.push({
+      start,
+      duration: segmentDuration,
+      confidence: random(),
+      loudness_start: loudness - 6,
+      loudness_max: loudness,
+      loudness_max_time: segmentDuration * random() * 0.5,
+      pitches: chordPitches(root, minorChord, random),
+      timbre: [
+        loudness + 60,
+        random() * 200 - 100,
+        random() * 200 - 100,
+        random() * 200 - 100,
+        random() * 200 - 100,
+        random() * 200 - 100,
+        random() * 200 - 100,
+        random() * 100 - 50,
+        random() * 100 - 50,
+        random() * 100 - 50,
+        random() * 100 - 50,
+        random() * 100 - 50
+      ]
+    });
+    
+    start += segmentDuration;
+  }
+  
+  return {
+    track: { duration, tempo, key, mode, time_signature: 4 },
+    beats,
+    bars,
+    tatums,
+    segments,
+    sections
+  };
+}
@@ -0,0 +1,89 @@
+// scripts/generate-demo-fixtures.js
+// Writes the analysis + features fixtures bundled for offline demo mode
+//
+// Usage: npm run demo:fixtures
+
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { createAnalysisFixture } from './fixtures/analysisFixture.js';
+
+const OUTPUT_DIR = new URL('../src/demo/fixtures/', import.meta.url);
+
+// Each track gets a quiet intro and loud choruses so section events and
+// automatic scene changes show up within a minute or so
+const TRACKS = [
+  {
+    id: 'demo-neon-drive',
+    name: 'Neon Drive',
+    artist: 'Demo Ensemble',
+    album: 'Offline Sessions',
+    duration: 80,
+    tempo: 124,
+    key: 9,
+    mode: 0,
+    sectionLoudness: [-16, -11, -5, -12, -4],
+    features: { energy: 0.78, danceability: 0.74, valence: 0.45 }
+  },
+  {
+    id: 'demo-low-tide',
+    name: 'Low Tide',
+    artist: 'Demo Ensemble',
+    album: 'Offline Sessions',
+    duration: 70,
+    tempo: 92,
+    key: 3,
+    mode: 1,
+    sectionLoudness: [-18, -13, -8, -14],
+    features: { energy: 0.42, danceability: 0.55, valence: 0.68 }
+  },
+  {
+    id: 'demo-afterglow',
+    name: 'Afterglow',
+    artist: 'Demo Ensemble',
+    album: 'Offline Sessions',
+    duration: 75,
+    tempo: 140,
+    key: 6,
+    mode: 0,
+    sectionLoudness: [-15, -9, -4, -12, -3],
+    features: { energy: 0.88, danceability: 0.66, valence: 0.3 }
+  }
+];
+
+// Three decimals is plenty for timing and keeps the bundle small
+const round = (key, value) => typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+
+mkdirSync(OUTPUT_DIR, { recursive: true });
+
+TRACKS.forEach((track, index) => {
+  const analysis = createAnalysisFixture({
+    duration: track.duration,
+    tempo: track.tempo,
+    key: track.key,
+    mode: track.mode,
+    sectionLoudness: track.sectionLoudness,
+    seed: index + 1
+  });
+  
+  const fixture = {
+    id: track.id,
+    name: track.name,
+    artist: track.artist,
+    album: track.album,
+    duration_ms: track.duration * 1000,
+    features: {
+      ...track.features,
+      tempo: track.tempo,
+      key: track.key,
+      mode: track.mode,
+      acousticness: 0.1,
+      instrumentalness: 0.8,
+      liveness: 0.1,
+      speechiness: 0.05
+    },
+    analysis
+  };
+  
+  const file = new URL(`${track.id}.json`, OUTPUT_DIR);
+  writeFileSync(file, JSON.stringify(fixture, round));
+  console.log(`Wrote ${file.pathname} (${analysis.segments.length} segments)`);
+});
@@ -1,15 +1,27 @@
 // src/audio/AudioAnalyzer.js
 // Real-time audio analysis module using Spotify's audio analysis data
+// or a live FFT of a local audio file
+
+import { createAnalysisSource, createMinimalFrame } from './sources/index.js';
+import { MusicalGrid } from './MusicalGrid.js';
+import { TimelineIndex } from './TimelineIndex.js';
+import { sharedClock } from '../timing/Clock.js';
 
 /**
  * AudioAnalyzer - Provides analysis of audio for visualizations
- * Uses Spotify's audio analysis and features APIs instead of microphone
+ *
+ * The numbers come from the active analysis source (see ./sources):
+ * Spotify analysis playback, the synthetic fallback, a local file or any
+ * object implementing the AnalysisSource contract passed to setSource().
  */
 export class AudioAnalyzer {
   constructor() {
     this.initialized = true; // Always initialized
     this.analyzing = true;  // Always analyzing
     
+    // Shared with the grid and sources so beat timing follows the render loop
+    this.clock = sharedClock;
+    
     // Audio properties
     this.volume = 0.5;
     this.bass = 0.5;
@@ -24,10 +36,28 @@ export class AudioAnalyzer {
     this.trackStart = 0;
     this.trackProgress = 0;
     this.beats = [];
+    this.bars = [];
     this.segments = [];
     this.tatums = [];
     this.sections = [];
     
+    // Phase within the musical grid (0-1)
+    this.beatPhase = 0;
+    this.barPhase = 0;
+    this.tatumPhase = 0;
+    this.beatInBar = 0;
+    
+    // Counts beats when there is no grid, to approximate bars
+    this.fallbackBeatCount = 0;
+    
+    // Harmonic content - chroma is smoothed so colors don't flicker per segment
+    this.chroma = new Array(12).fill(0);
+    this.key = -1;
+    this.mode = 1;
+    
+    // Live spectrum of the last frame (0-1 per bin), null unless the source hears the audio
+    this.spectrum = null;
+    
     // Audio features
     this.energy = 0.5;
     this.danceability = 0.5;
@@ -37,21 +67,36 @@ export class AudioAnalyzer {
     // Event callbacks
     this.onBeat = null;
     this.onAnalyzed = null;
+    this.onSection = null;
+    this.onBar = null;
+    this.onTatum = null;
+    this.onDownbeat = null;
+    this.onLocalPlaybackEnded = null;
+    
+    // Bar / beat / tatum grid from the analysis
+    this.grid = new MusicalGrid();
+    this.grid.onBar = event => this.onBar && this.onBar(event);
+    this.grid.onTatum = event => this.onTatum && this.onTatum(event);
+    this.grid.onDownbeat = event => this.onDownbeat && this.onDownbeat(event);
+    
+    // Section tracking
+    this.currentSectionIndex = -1;
+    this.sectionTimeline = new TimelineIndex();
+    this.sectionLoudnessRange = { min: -60, max: 0 };
     
     // Last beat time for calculations
     this.lastBeatTime = 0;
     
-    // For interpolating between segments
-    this.currentSegmentIndex = 0;
-    this.nextSegmentIndex = 0;
-    
     // Analysis retry counter
     this.analysisRetryCount = 0;
     this.maxAnalysisRetries = 3;
     
-    // Feature detection
-    this.hasAnalysisData = false;
-    this.useFallbackAnalysis = false;
+    // Analysis sources - the synthetic fallback runs until analysis arrives
+    this.spotifySource = createAnalysisSource('spotify');
+    this.syntheticSource = createAnalysisSource('synthetic');
+    this.localSource = null;
+    this.activeSource = null;
+    this.setSource(this.syntheticSource);
   }
 
   /**
@@ -76,6 +121,84 @@ export class AudioAnalyzer {
     this.analyzing = false;
   }
   
+  /**
+   * Switch the source that produces analysis frames
+   * @param {AnalysisSource} source - Any object implementing the source contract
+   */
+  setSource(source) {
+    if (!source || source === this.activeSource) return;
+    
+    if (this.activeSource) {
+      this.activeSource.stop();
+    }
+    
+    if (typeof source.setClock === 'function') {
+      source.setClock(this.clock);
+    }
+    
+    this.activeSource = source;
+    source.start();
+    
+    console.log('Analysis source:', source.id);
+  }
+  
+  /**
+   * Drive beat timing and synthetic animation from a different clock
+   * @param {Clock} clock - Clock shared with the render loop
+   */
+  setClock(clock) {
+    this.clock = clock;
+    this.grid.setClock(clock);
+    
+    [this.spotifySource, this.syntheticSource, this.localSource, this.activeSource]
+      .filter(source => source && typeof source.setClock === 'function')
+      .forEach(source => source.setClock(clock));
+  }
+  
+  /**
+   * Get the id of the source currently producing frames
+   * @returns {string} - Source id
+   */
+  getActiveSourceId() {
+    return this.activeSource ? this.activeSource.id : null;
+  }
+  
+  /**
+   * Snapshot of where the analyzer is, for debugging sync issues
+   * @returns {Object} - Source, position and grid / segment indices
+   */
+  getDiagnostics() {
+    const source = this.activeSource;
+    const usingAnalysis = source === this.spotifySource;
+    
+    // Which data drives the visuals - real analysis, analysis with tracked beats, or something else
+    let analysis = this.getActiveSourceId() || 'none';
+    if (usingAnalysis) {
+      analysis = this.spotifySource.beatsEstimated ? 'analysis (estimated beats)' : 'analysis';
+    }
+    
+    return {
+      source: this.getActiveSourceId(),
+      analysis,
+      progress: this.trackProgress,
+      segmentIndex: usingAnalysis ? this.spotifySource.currentSegmentIndex : -1,
+      segmentCount: this.segments.length,
+      beatIndex: this.grid.beatIndex,
+      beatCount: this.beats.length,
+      barIndex: this.grid.barIndex,
+      sectionIndex: this.currentSectionIndex,
+      tempo: this.tempo
+    };
+  }
+  
+  /**
+   * Whether the active source is one the analyzer picks automatically
+   * @returns {boolean} - True for the Spotify and synthetic sources
+   */
+  isUsingAutomaticSource() {
+    return this.activeSource === this.spotifySource || this.activeSource === this.syntheticSource;
+  }
+  
   /**
    * Update track data from Spotify analysis
    * @param {Object} analysisData - Spotify audio analysis data
@@ -85,30 +208,35 @@ export class AudioAnalyzer {
     // Reset retry counter
     this.analysisRetryCount = 0;
     
-    // Store feature availability flags
-    this.hasAnalysisData = !!analysisData && 
-                         ((analysisData.beats && analysisData.beats.length > 0) || 
-                          (analysisData.segments && analysisData.segments.length > 0));
+    this.spotifySource.load(analysisData);
     
-    this.useFallbackAnalysis = !this.hasAnalysisData;
+    // Keep the raw analysis available to callers
+    this.beats = this.spotifySource.beats;
+    this.segments = this.spotifySource.segments;
+    this.tatums = this.spotifySource.tatums;
+    this.sections = this.spotifySource.sections;
+    this.sectionTimeline.setEvents(this.sections);
     
-    // If we have analysis data, use it
-    if (analysisData) {
-      // Store beats, segments and tatums from the analysis
-      this.beats = analysisData.beats || [];
-      this.segments = analysisData.segments || [];
-      this.tatums = analysisData.tatums || [];
-      this.sections = analysisData.sections || [];
-      
-      // Reset segment indices
-      this.currentSegmentIndex = 0;
-      this.nextSegmentIndex = this.segments.length > 1 ? 1 : 0;
-    } else {
-      // Clear data if no analysis available
-      this.beats = [];
-      this.segments = [];
-      this.tatums = [];
-      this.sections = [];
+    this.grid.load({
+      beats: this.beats,
+      bars: this.spotifySource.bars,
+      tatums: this.tatums,
+      timeSignature: this.spotifySource.timeSignature
+    });
+    this.bars = this.grid.bars;
+    this.fallbackBeatCount = 0;
+    
+    this.key = this.spotifySource.key;
+    this.mode = this.spotifySource.mode;
+    
+    // Section events are relative to the loudness range of this track
+    this.currentSectionIndex = -1;
+    if (this.sections.length > 0) {
+      const loudnesses = this.sections.map(section => section.loudness);
+      this.sectionLoudnessRange = {
+        min: Math.min(...loudnesses),
+        max: Math.max(...loudnesses)
+      };
     }
     
     // Store audio features - always use these even without analysis data
@@ -119,9 +247,19 @@ export class AudioAnalyzer {
       this.tempo = features.tempo || 120;
     }
     
+    // Tracked beats imply the features are defaults too, so trust the tracked tempo
+    if (this.spotifySource.beatsEstimated && this.spotifySource.estimatedTempo > 0) {
+      this.tempo = this.spotifySource.estimatedTempo;
+    }
+    
+    // Use the analysis if there is any, otherwise the synthetic fallback.
+    // A local file or custom source keeps control until it is stopped.
+    if (this.isUsingAutomaticSource()) {
+      this.setSource(this.spotifySource.hasData() ? this.spotifySource : this.syntheticSource);
+    }
+    
     console.log('Track data updated:', {
-      hasAnalysisData: this.hasAnalysisData,
-      useFallback: this.useFallbackAnalysis,
+      source: this.getActiveSourceId(),
       beatsCount: this.beats.length,
       segmentsCount: this.segments.length,
       tempo: this.tempo,
@@ -129,180 +267,183 @@ export class AudioAnalyzer {
     });
   }
   
- /**
-  * Update the current playback time to sync with the track
-  * @param {number} progressMs - Current track progress in milliseconds
-  */
- updateProgress(progressMs) {
+  /**
+   * Get the track features passed to sources each frame
+   * @returns {Object} - Energy, tempo, danceability and valence
+   */
+  getTrackFeatures() {
+    return {
+      energy: this.energy,
+      tempo: this.tempo,
+      danceability: this.danceability,
+      valence: this.valence
+    };
+  }
+  
+  /**
+   * Update the current playback time to sync with the track
+   * @param {number} progressMs - Current track progress in milliseconds
+   */
+  updateProgress(progressMs) {
+    const previousProgress = this.trackProgress;
+    
     // Convert to seconds
     this.trackProgress = progressMs / 1000;
-  
-    // If paused, use minimal values
+    
+    // Check for unexpected jumps (seeking, buffering, etc.)
+    if (Math.abs(this.trackProgress - previousProgress) > 1.0) {
+      this.activeSource.seek(this.trackProgress);
+      this.grid.reset();
+    }
+    
+    // Sections and the grid only describe the track when Spotify analysis is driving
+    if (this.activeSource === this.spotifySource) {
+      this.updateSection();
+      this.updateGrid();
+    } else {
+      this.updateFallbackPhases();
+    }
+    
     if (this.isPaused) {
-      // Minimal values when paused
-      this.volume = 0.1;
-      this.bass = 0.1;
-      this.mid = 0.1;
-      this.treble = 0.1;
-      this.beatDetected = false;
-      this.beatIntensity = 0;
-  
-      // Call onAnalyzed callback
-      if (this.onAnalyzed) {
-        this.onAnalyzed({
-          volume: this.volume,
-          bass: this.bass,
-          mid: this.mid,
-          treble: this.treble,
-          beatDetected: this.beatDetected,
-          beatIntensity: this.beatIntensity
-        });
-      }
+      this.setMinimalValues();
       return;
     }
     
-    // If we're analyzing and have data, use it
     if (this.analyzing) {
-      if (this.hasAnalysisData && !this.useFallbackAnalysis) {
-        this.processAudioData();
-      } else {
-        // Use fallback synthetic data generation if no analysis data available
-        this.generateSyntheticData(performance.now() / 1000, {
-          energy: this.energy,
-          tempo: this.tempo,
-          danceability: this.danceability,
-          valence: this.valence
-        });
-      }
+      this.applyFrame(this.activeSource.update(this.trackProgress, this.getTrackFeatures()));
     }
- }
+  }
   
   /**
-   * Process audio data based on track position to simulate real-time analysis
+   * Fire onSection when track progress crosses into a different section
    */
-  processAudioData() {
-    // Find current beat
-    const currentBeat = this.findCurrentEvent(this.beats);
-    
-    // Find current segment for frequency data
-    const currentSegment = this.findCurrentEvent(this.segments);
-    const currentSection = this.findCurrentEvent(this.sections);
+  updateSection() {
+    const index = this.findSectionIndex(this.trackProgress);
     
-    // Update current segment indices for smoother transitions
-    this.updateSegmentIndices();
+    if (index === this.currentSectionIndex) return;
+    this.currentSectionIndex = index;
     
-    // Detect beat
-    if (currentBeat) {
-      const now = performance.now() / 1000;
-      
-      // Only trigger a beat if enough time has passed since the last one
-      // This prevents multiple beats triggering too close together
-      if (now - this.lastBeatTime > 0.1) {
-        this.beatDetected = true;
-        this.beatIntensity = currentBeat.confidence || 0.8;
-        this.lastBeatTime = now;
-        
-        // Call beat callback
-        if (this.onBeat) {
-          this.onBeat({
-            time: now,
-            intensity: this.beatIntensity,
-            confidence: currentBeat.confidence || 0.8
-          });
-        }
-      }
-    } else {
-      this.beatDetected = false;
-      this.beatIntensity = 0;
+    if (index >= 0 && this.onSection) {
+      this.onSection(this.describeSection(index));
     }
-    
-    // Extract frequency data from current segment
-    if (currentSegment) {
-      // Use timbre data from segment to approximate frequency bands
-      // Spotify timbre vectors have 12 values representing different frequency characteristics
-      const timbre = currentSegment.timbre || [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
-      
-      // Normalize timbre values (they can be negative)
-      const normalizedTimbre = timbre.map(t => Math.min(1, Math.max(0, (t + 100) / 200)));
-      
-      // Map timbre components to frequency bands (approximate)
-      this.bass = (normalizedTimbre[0] + normalizedTimbre[1]) / 2; // Low frequencies
-      this.mid = (normalizedTimbre[2] + normalizedTimbre[3] + normalizedTimbre[4]) / 3; // Mid frequencies
-      this.treble = (normalizedTimbre[5] + normalizedTimbre[6]) / 2; // High frequencies
-      
-      // Volume from loudness
-      this.volume = Math.min(1, Math.max(0, (currentSegment.loudness_max + 60) / 60)) || 0.5;
-      
-      // Apply energy factor from audio features
-      this.volume *= (0.5 + this.energy * 0.5);
-      this.bass *= (0.4 + this.energy * 0.6);
-      this.mid *= (0.4 + this.energy * 0.6);
-      this.treble *= (0.4 + this.energy * 0.6);
+  }
+  
+  /**
+   * Follow the bar / beat / tatum grid and store phases within it
+   */
+  updateGrid() {
+    if (!this.grid.hasGrid()) {
+      this.updateFallbackPhases();
+      return;
     }
     
-    // Adjust volume based on section if available
-    if (currentSection && currentSection.loudness) {
-      const sectionVolume = Math.min(1, Math.max(0, (currentSection.loudness + 60) / 60));
-      this.volume = this.volume * 0.7 + sectionVolume * 0.3;
-    }
+    const phases = this.grid.update(this.trackProgress);
     
-    // Call analysis callback
-    if (this.onAnalyzed) {
-      this.onAnalyzed({
-        volume: this.volume,
-        bass: this.bass,
-        mid: this.mid,
-        treble: this.treble,
-        beatDetected: this.beatDetected,
-        beatIntensity: this.beatIntensity
-      });
-    }
+    this.beatPhase = phases.beatPhase;
+    this.barPhase = phases.barPhase;
+    this.tatumPhase = phases.tatumPhase;
+    this.beatInBar = phases.beatInBar;
+  }
+  
+  /**
+   * Approximate phases from beat timing when there is no analysis grid
+   * Assumes 4/4 with two tatums per beat
+   */
+  updateFallbackPhases() {
+    const beatInterval = 60 / (this.tempo || 120);
+    const sinceBeat = this.clock.now() - this.lastBeatTime;
+    
+    this.beatPhase = Math.min(1, Math.max(0, sinceBeat / beatInterval));
+    this.beatInBar = this.fallbackBeatCount % 4;
+    this.barPhase = (this.beatInBar + this.beatPhase) / 4;
+    this.tatumPhase = (this.beatPhase * 2) % 1;
   }
   
   /**
-   * Update current segment indices for smoother transitions
+   * Find the section containing a playback position
+   * @param {number} seconds - Playback position in seconds
+   * @returns {number} - Section index, or -1 if outside all sections
    */
-  updateSegmentIndices() {
-    if (!this.segments || this.segments.length <= 1) return;
+  findSectionIndex(seconds) {
+    return this.sectionTimeline.containingIndexAt(seconds);
+  }
+  
+  /**
+   * Build the onSection payload, classifying the section against the rest of the track
+   * @param {number} index - Section index
+   * @returns {Object} - Section event data
+   */
+  describeSection(index) {
+    const section = this.sections[index];
+    const previous = this.sections[index - 1];
+    const { min, max } = this.sectionLoudnessRange;
     
-    for (let i = 0; i < this.segments.length - 1; i++) {
-      const segment = this.segments[i];
-      const nextSegment = this.segments[i + 1];
-      
-      if (this.trackProgress >= segment.start && this.trackProgress < nextSegment.start) {
-        this.currentSegmentIndex = i;
-        this.nextSegmentIndex = i + 1;
-        return;
-      }
-    }
+    // 0 for the quietest section of the track, 1 for the loudest
+    const energyLevel = max > min ? (section.loudness - min) / (max - min) : 0.5;
+    const loudnessChange = previous ? section.loudness - previous.loudness : 0;
     
-    // If we're at the last segment
-    if (this.trackProgress >= this.segments[this.segments.length - 1].start) {
-      this.currentSegmentIndex = this.segments.length - 1;
-      this.nextSegmentIndex = this.segments.length - 1;
-    }
+    return {
+      index,
+      start: section.start,
+      duration: section.duration,
+      loudness: section.loudness,
+      tempo: section.tempo,
+      key: section.key,
+      mode: section.mode,
+      timeSignature: section.time_signature,
+      confidence: section.confidence,
+      energyLevel,
+      loudnessChange,
+      // A big jump into one of the loudest sections reads as a drop
+      isDrop: loudnessChange >= 4 && energyLevel >= 0.6,
+      // The loudest sections are usually the chorus
+      isPeak: energyLevel >= 0.75
+    };
   }
   
   /**
-   * Find the current event (beat, segment, etc.) based on track progress
-   * @param {Array} events - Array of timed events from Spotify analysis
-   * @returns {Object|null} - Current event or null if not found
+   * Store a frame from the active source and notify listeners
+   * @param {Object} frame - Analysis frame
    */
-  findCurrentEvent(events) {
-    if (!events || events.length === 0) return null;
-    
-    // Binary search would be more efficient here, but for simplicity we'll use linear search
-    for (let i = 0; i < events.length; i++) {
-      const event = events[i];
-      const start = event.start;
-      const end = start + (event.duration || 0);
+  applyFrame(frame) {
+    this.volume = frame.volume;
+    this.bass = frame.bass;
+    this.mid = frame.mid;
+    this.treble = frame.treble;
+    this.beatDetected = frame.beatDetected;
+    this.beatIntensity = frame.beatIntensity;
+    
+    if (frame.tempo) {
+      this.tempo = frame.tempo;
+    }
+    
+    // Ease towards the new chroma, or fade out when the source has none
+    for (let i = 0; i < 12; i++) {
+      const target = frame.chroma ? frame.chroma[i] : 0;
+      this.chroma[i] += (target - this.chroma[i]) * 0.2;
+    }
+    
+    this.spectrum = frame.spectrum;
+    
+    if (frame.beat) {
+      const now = this.clock.now();
+      this.lastBeatTime = now;
+      this.fallbackBeatCount++;
       
-      if (this.trackProgress >= start && this.trackProgress < end) {
-        return event;
+      // Call beat callback
+      if (this.onBeat) {
+        this.onBeat({
+          time: now,
+          intensity: frame.beat.intensity,
+          confidence: frame.beat.confidence
+        });
       }
     }
     
-    return null;
+    // Call analysis callback
+    if (this.onAnalyzed) {
+      this.onAnalyzed(this.getAudioData());
+    }
   }
   
   /**
@@ -310,17 +451,7 @@ export class AudioAnalyzer {
    * @returns {number} - Position within segment (0-1)
    */
   getSegmentProgress() {
-    if (!this.segments || this.segments.length === 0) return 0;
-    
-    const segment = this.segments[this.currentSegmentIndex];
-    if (!segment) return 0;
-    
-    const start = segment.start;
-    const duration = segment.duration || 0;
-    
-    if (duration === 0) return 0;
-    
-    return Math.min(1, Math.max(0, (this.trackProgress - start) / duration));
+    return this.spotifySource.getSegmentProgress();
   }
   
   /**
@@ -342,82 +473,43 @@ export class AudioAnalyzer {
       mid: this.mid,
       treble: this.treble,
       beatDetected: this.beatDetected,
-      beatIntensity: this.beatIntensity
+      beatIntensity: this.beatIntensity,
+      beatPhase: this.beatPhase,
+      barPhase: this.barPhase,
+      tatumPhase: this.tatumPhase,
+      beatInBar: this.beatInBar,
+      chroma: this.chroma.slice(),
+      // Shared with the source and overwritten next frame - copy it to keep it
+      spectrum: this.spectrum,
+      dominantPitchClass: this.getDominantPitchClass(),
+      key: this.key,
+      mode: this.mode
     };
   }
   
   /**
-   * Generate synthetic data when no analysis is available
-   * @param {number} time - Current animation time
-   * @param {Object} trackFeatures - Track features (optional)
+   * Get the strongest pitch class in the current chroma
+   * @returns {number} - Pitch class (0 = C ... 11 = B), or -1 when silent
    */
-  generateSyntheticData(time, trackFeatures = null) {
-    // Use provided track features if available, otherwise use class properties
-    const energy = trackFeatures?.energy || this.energy || 0.5;
-    const tempo = trackFeatures?.tempo || this.tempo || 120;
-    const danceability = trackFeatures?.danceability || this.danceability || 0.5;
-    const valence = trackFeatures?.valence || this.valence || 0.5;
-    
-    const beatInterval = 60 / tempo;
-    
-    // Check if a beat should occur
-    if (time - this.lastBeatTime >= beatInterval) {
-      // Generate beat with confidence based on danceability
-      this.beatDetected = true;
-      this.beatIntensity = 0.4 + (energy * 0.3) + (danceability * 0.3);
-      this.lastBeatTime = time;
-      
-      // Call beat callback
-      if (this.onBeat) {
-        this.onBeat({
-          time: time,
-          intensity: this.beatIntensity,
-          confidence: 0.7 + (danceability * 0.3)
-        });
+  getDominantPitchClass() {
+    let dominant = -1;
+    let strongest = 0.05;
+    
+    for (let i = 0; i < 12; i++) {
+      if (this.chroma[i] > strongest) {
+        strongest = this.chroma[i];
+        dominant = i;
       }
-    } else {
-      // Reset beat detection
-      this.beatDetected = false;
     }
     
-    // Generate waveforms for different frequency bands
-    const energyFactor = energy * 0.8 + 0.2;
-    const beatProgress = (time - this.lastBeatTime) / beatInterval;
-    
-    // Base volume with natural fade
-    this.volume = energyFactor * (0.6 + 0.4 * (1 - beatProgress));
-    
-    // Bass frequencies - stronger for danceable tracks
-    this.bass = energyFactor * (
-      0.5 + 0.5 * Math.pow(Math.sin(time * (1 + danceability)), 2)
-    );
-    
-    // Mid frequencies - more variation based on valence (happiness)
-    this.mid = energyFactor * (
-      0.3 + 0.7 * Math.pow(Math.sin(time * 2.5 + valence * 0.5), 2)
-    );
-    
-    // Treble frequencies - fastest changes
-    this.treble = energyFactor * (
-      0.2 + 0.8 * Math.pow(Math.sin(time * 4.2 + 0.8), 2)
-    );
-    
-    // Make happier songs have more energetic high frequencies
-    if (valence > 0.6) {
-      this.treble *= (0.8 + valence * 0.2);
-    }
-    
-    // Call analysis callback
-    if (this.onAnalyzed) {
-      this.onAnalyzed({
-        volume: this.volume,
-        bass: this.bass,
-        mid: this.mid,
-        treble: this.treble,
-        beatDetected: this.beatDetected,
-        beatIntensity: this.beatIntensity
-      });
-    }
+    return dominant;
+  }
+  
+  /**
+   * Set minimal audio values when paused
+   */
+  setMinimalValues() {
+    this.applyFrame(createMinimalFrame());
   }
   
   /**
@@ -428,7 +520,9 @@ export class AudioAnalyzer {
   async retryAnalysisData(fetchAnalysisFunc) {
     if (this.analysisRetryCount >= this.maxAnalysisRetries) {
       console.log('Maximum analysis retry attempts reached, using fallback');
-      this.useFallbackAnalysis = true;
+      if (this.isUsingAutomaticSource()) {
+        this.setSource(this.syntheticSource);
+      }
       return false;
     }
     
@@ -438,7 +532,6 @@ export class AudioAnalyzer {
     try {
       const success = await fetchAnalysisFunc();
       if (success) {
-        this.useFallbackAnalysis = false;
         return true;
       }
     } catch (error) {
@@ -447,200 +540,130 @@ export class AudioAnalyzer {
     
     return false;
   }
-  /**
- * Generate high-quality synthetic data based on available track metadata
- * This provides a much better fallback when API access fails
- * @param {number} time - Current animation time in seconds
- * @param {Object} trackInfo - Any available track metadata (optional)
- */
-generateSophisticatedFallback(time, trackInfo = null) {
-  // Extract any available track properties or use defaults
-  const energy = trackInfo?.energy || this.energy || 0.5;
-  const tempo = trackInfo?.tempo || this.tempo || 120;
-  const danceability = trackInfo?.danceability || this.danceability || 0.5;
-  const valence = trackInfo?.valence || this.valence || 0.5;
   
-  // Beat detection with realistic timing
-  const beatInterval = 60 / tempo; // beats per second
-  const beatOffset = this.lastBeatTime % beatInterval; // maintain phase
-  
-  // Create more realistic beat patterns based on danceability
-  let shouldTriggerBeat = false;
-  
-  if (time - this.lastBeatTime >= beatInterval) {
-    // More danceable tracks have more consistent beats
-    const randomFactor = 1 - (danceability * 0.5); // 0.5-1.0 range
-    const randomVariation = (Math.random() * 2 - 1) * randomFactor * 0.1;
-    
-    // Beat with some natural variation
-    if (time - this.lastBeatTime >= beatInterval + randomVariation) {
-      shouldTriggerBeat = true;
+  /**
+   * Load a local audio file and make it drive the analysis
+   * @param {File} file - Audio file (MP3, WAV, OGG, FLAC...)
+   * @returns {Promise<boolean>} - Whether playback started
+   */
+  async loadLocalFile(file) {
+    if (!file) return false;
+    
+    if (!this.localSource) {
+      this.localSource = createAnalysisSource('local');
+      this.localSource.setClock(this.clock);
+      this.localSource.onEnded = () => {
+        this.isPaused = true;
+        
+        if (this.onLocalPlaybackEnded) {
+          this.onLocalPlaybackEnded();
+        }
+      };
     }
-  }
-  
-  if (shouldTriggerBeat) {
-    // Trigger beat with appropriate intensity
-    this.beatDetected = true;
     
-    // Higher energy and danceability = stronger beats
-    this.beatIntensity = 0.4 + (energy * 0.3) + (danceability * 0.3);
+    await this.localSource.load(file);
     
-    // Sometimes add accent beats based on music style
-    if (Math.random() < danceability * 0.3) {
-      this.beatIntensity *= 1.3; // Occasional stronger beats
-    }
+    // Spotify analysis doesn't describe this audio
+    this.currentTrackId = null;
+    this.trackProgress = 0;
+    this.key = -1;
+    this.mode = 1;
+    this.isPaused = false;
     
-    this.lastBeatTime = time;
+    this.setSource(this.localSource);
+    this.localSource.play();
     
-    // Call beat callback with confidence proportional to danceability
-    if (this.onBeat) {
-      this.onBeat({
-        time,
-        intensity: this.beatIntensity,
-        confidence: 0.6 + (danceability * 0.4)
-      });
-    }
-  } else {
-    this.beatDetected = false;
+    return true;
   }
   
-  // Generate frequency profiles with musical patterns
-  const beatProgress = (time - this.lastBeatTime) / beatInterval;
-  
-  // Base volume with natural fade characteristic of music
-  const fadeShape = Math.pow(1 - beatProgress, 0.5); // Non-linear fade
-  this.volume = Math.max(0.2, energy * (0.6 + 0.4 * fadeShape));
-  
-  // Bass frequencies - strong on beat, fades faster for low energy tracks
-  const bassFade = Math.pow(1 - beatProgress, energy * 0.5 + 0.5);
-  this.bass = Math.max(0.2, energy * (
-    0.6 * bassFade + 
-    0.4 * Math.pow(Math.sin(time * (1 + danceability * 0.5)), 2)
-  ));
-  
-  // Mid frequencies - more variation, affected by valence (happiness)
-  const midFreq = 2 + valence; // Happier songs have faster mid oscillation
-  this.mid = Math.max(0.15, energy * (
-    0.4 * Math.pow(1 - beatProgress, 0.7) + // Some relation to beat
-    0.6 * Math.pow(Math.sin(time * midFreq + 0.4), 2) // Independent oscillation
-  ));
-  
-  // Treble frequencies - fastest changes, less tied to beat
-  const trebleFreq = 3 + energy * 2;
-  this.treble = Math.max(0.1, energy * (
-    0.3 * Math.pow(1 - beatProgress, 0.3) + // Quick decay after beat
-    0.7 * Math.pow(Math.sin(time * trebleFreq + beatProgress * 2), 2) // Complex oscillation
-  ));
-  
-  // Different frequency profiles based on valence (happiness)
-  if (valence > 0.6) { // Happier music
-    this.treble *= 1.2; // More high-end
-    this.mid *= 1.1;
-  } else if (valence < 0.4) { // Sadder music
-    this.bass *= 1.1; // More bass
-    this.treble *= 0.9; // Less high-end
+  /**
+   * Toggle local playback between playing and paused
+   * @returns {boolean} - True if now playing
+   */
+  toggleLocalPlayback() {
+    if (!this.isLocalPlaybackActive()) return false;
+    
+    if (this.localSource.paused) {
+      this.localSource.play();
+    } else {
+      this.localSource.pause();
+    }
+    
+    this.isPaused = this.localSource.paused;
+    return !this.localSource.paused;
   }
   
-  // Call analysis callback with generated data
-  if (this.onAnalyzed) {
-    this.onAnalyzed({
-      volume: this.volume,
-      bass: this.bass,
-      mid: this.mid,
-      treble: this.treble,
-      beatDetected: this.beatDetected,
-      beatIntensity: this.beatIntensity
-    });
+  /**
+   * Stop local playback entirely and return to Spotify-driven analysis
+   */
+  stopLocalPlayback() {
+    if (!this.isLocalPlaybackActive()) return;
+    
+    this.localSource.unload();
+    this.setSource(this.spotifySource.hasData() ? this.spotifySource : this.syntheticSource);
   }
-}
-
-/**
- * Significantly improved track progress synchronization
- * @param {number} progressMs - Current track progress in milliseconds
- */
-updateProgress(progressMs) {
-  // Store previous progress for comparison
-  const previousProgress = this.trackProgress;
-  
-  // Convert to seconds
-  this.trackProgress = progressMs / 1000;
-  
-  // Calculate how much time has passed since last update
-  const deltaTime = this.trackProgress - previousProgress;
-  
-  // Check for unexpected jumps (seeking, buffering, etc.)
-  const isSeek = Math.abs(deltaTime) > 1.0; // More than 1 second jump
   
-  // If we haven't loaded any analysis data yet, use sophisticated fallback
-  if (!this.segments || this.segments.length === 0 || !this.beats || this.beats.length === 0) {
-    if (this.analyzing && !this.isPaused) {
-      // Use the current time for animation
-      const now = performance.now() / 1000;
-      this.generateSophisticatedFallback(now);
-    } else if (this.isPaused) {
-      // Minimal values when paused
-      this.setMinimalValues();
-    }
-    return;
+  /**
+   * Forget the current track and callbacks, e.g. when the visualizer is torn down
+   */
+  reset() {
+    this.stopLocalPlayback();
+    
+    this.onBeat = null;
+    this.onAnalyzed = null;
+    this.onSection = null;
+    this.onBar = null;
+    this.onTatum = null;
+    this.onDownbeat = null;
+    this.onLocalPlaybackEnded = null;
+    
+    this.spotifySource.load(null);
+    this.grid.load();
+    this.beats = [];
+    this.bars = [];
+    this.segments = [];
+    this.tatums = [];
+    this.sections = [];
+    this.sectionTimeline.setEvents([]);
+    this.currentSectionIndex = -1;
+    this.trackProgress = 0;
+    this.isPaused = false;
+    this.setSource(this.syntheticSource);
   }
   
-  // Process actual data when available
-  if (this.analyzing && !this.isPaused) {
-    // If seeking occurred, reset any stateful processing
-    if (isSeek) {
-      this.resetStateAfterSeek();
-    }
-    
-    this.processAudioData();
-  } else if (this.isPaused) {
-    this.setMinimalValues();
+  /**
+   * Check whether a local file is driving the analysis
+   * @returns {boolean} - True when local playback mode is active
+   */
+  isLocalPlaybackActive() {
+    return !!this.localSource && this.activeSource === this.localSource;
   }
-}
-
-/**
- * Reset internal state after seeking in track
- */
-resetStateAfterSeek() {
-  // Reset segment indices
-  this.currentSegmentIndex = 0;
-  this.nextSegmentIndex = this.segments.length > 1 ? 1 : 0;
   
-  // Reset beat detection state
-  this.lastBeatTime = 0;
-  this.beatDetected = false;
-  this.beatIntensity = 0;
+  /**
+   * Check whether local playback is paused
+   * @returns {boolean} - True if the local file is not playing
+   */
+  isLocalPlaybackPaused() {
+    return !this.isLocalPlaybackActive() || this.localSource.paused;
+  }
   
-  // Find new segment indices based on current position
-  this.updateSegmentIndices();
-}
-
-/**
- * Set minimal audio values when paused
- */
-setMinimalValues() {
-  this.volume = 0.1;
-  this.bass = 0.1;
-  this.mid = 0.1;
-  this.treble = 0.1;
-  this.beatDetected = false;
-  this.beatIntensity = 0;
+  /**
+   * Get the playback position of the local file
+   * @returns {number} - Position in seconds
+   */
+  getLocalProgress() {
+    return this.isLocalPlaybackActive() ? this.localSource.getProgress() : 0;
+  }
   
-  // Call onAnalyzed callback
-  if (this.onAnalyzed) {
-    this.onAnalyzed({
-      volume: this.volume,
-      bass: this.bass,
-      mid: this.mid,
-      treble: this.treble,
-      beatDetected: this.beatDetected,
-      beatIntensity: this.beatIntensity
-    });
+  /**
+   * Get the duration of the local file
+   * @returns {number} - Duration in seconds
+   */
+  getLocalDuration() {
+    return this.isLocalPlaybackActive() ? this.localSource.getDuration() : 0;
   }
 }
-}
-
-
 
 // Export a singleton instance
 const audioAnalyzer = new AudioAnalyzer();
-export default audioAnalyzer;
\ No newline at end of file
+export default audioAnalyzer;
@@ -0,0 +1,427 @@
+// src/audio/BeatTracker.js
+// Client-side onset detection and tempo tracking for when Spotify's beats aren't available
+//
+// Works on plain numbers only (no DOM or Web Audio), so it can run headlessly
+// over a recorded analysis fixture.
+
+/**
+ * BeatTracker - Estimates tempo and beat positions from an onset envelope
+ *
+ * Onsets come from segment loudness/timbre changes (addSegment) or spectral
+ * flux of a live spectrum (addSpectrum). The envelope is autocorrelated to
+ * find the beat period, then a comb over past onsets picks the phase.
+ * update(time) returns a beat whenever a predicted beat is crossed.
+ */
+export class BeatTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {number} options.minBpm - Slowest tempo considered
+   * @param {number} options.maxBpm - Fastest tempo considered
+   * @param {number} options.preferredBpm - Tempo the estimate is biased towards
+   * @param {number} options.windowSeconds - Length of onset history used
+   * @param {number} options.resolution - Envelope resolution in seconds
+   */
+  constructor({
+    minBpm = 60,
+    maxBpm = 180,
+    preferredBpm = 120,
+    windowSeconds = 8,
+    resolution = 0.01
+  } = {}) {
+    this.minBpm = minBpm;
+    this.maxBpm = maxBpm;
+    this.preferredBpm = preferredBpm;
+    this.resolution = resolution;
+    this.size = Math.round(windowSeconds / resolution);
+    
+    // Re-estimate tempo and phase this often (seconds)
+    this.estimateInterval = 0.5;
+    
+    // Need this much onset history before predicting beats (seconds)
+    this.warmupSeconds = 2;
+    
+    // Event callback - receives { time, intensity, confidence }
+    this.onBeat = null;
+    
+    this.envelope = new Float32Array(this.size);
+    this.reset();
+  }
+
+  /**
+   * Forget all onset history, e.g. after a seek or track change
+   */
+  reset() {
+    this.envelope.fill(0);
+    this.headIndex = null;   // Absolute envelope index of the latest bin
+    this.filledBins = 0;
+    this.lastEstimateTime = -Infinity;
+    
+    this.period = 0;         // Beat period in seconds (0 = unknown)
+    this.confidence = 0;
+    this.nextBeatTime = null;
+    this.lastBeatTime = null;
+    this.peakOnset = 0;      // Slowly decaying maximum for normalizing intensity
+    
+    this.previousSpectrum = null;
+    this.previousTimbre = null;
+  }
+
+  /**
+   * Get the estimated tempo
+   * @returns {number} - Tempo in BPM, or 0 if not yet known
+   */
+  getTempo() {
+    return this.period > 0 ? 60 / this.period : 0;
+  }
+
+  /**
+   * Get the confidence of the current tempo estimate
+   * @returns {number} - Confidence (0-1)
+   */
+  getConfidence() {
+    return this.confidence;
+  }
+
+  /**
+   * Whether the tracker has locked onto a tempo
+   * @returns {boolean} - True when beats are being predicted
+   */
+  hasTempo() {
+    return this.period > 0 && this.nextBeatTime !== null;
+  }
+
+  /**
+   * Add an onset impulse to the envelope
+   * @param {number} time - Onset time in seconds
+   * @param {number} strength - Onset strength (>= 0)
+   */
+  addOnset(time, strength) {
+    if (!(strength > 0)) {
+      this.advanceTo(time);
+      return;
+    }
+    
+    const index = this.advanceTo(time);
+    
+    // Onsets older than the window are simply dropped
+    if (index <= this.headIndex - this.size) return;
+    
+    const bin = this.toBin(index);
+    this.envelope[bin] = Math.max(this.envelope[bin], strength);
+    this.peakOnset = Math.max(this.peakOnset, strength);
+  }
+
+  /**
+   * Add an onset from a Spotify analysis segment
+   * Loudness attack and timbre change both count as onset strength
+   * @param {Object} segment - Segment with start, loudness_start, loudness_max, timbre
+   */
+  addSegment(segment) {
+    const loudnessStart = segment.loudness_start ?? -60;
+    const loudnessMax = segment.loudness_max ?? loudnessStart;
+    const attack = Math.max(0, loudnessMax - loudnessStart) / 30;
+    
+    let timbreChange = 0;
+    if (segment.timbre && this.previousTimbre) {
+      let sum = 0;
+      for (let i = 0; i < segment.timbre.length; i++) {
+        const delta = segment.timbre[i] - (this.previousTimbre[i] || 0);
+        sum += delta * delta;
+      }
+      timbreChange = Math.sqrt(sum) / 100;
+    }
+    this.previousTimbre = segment.timbre || null;
+    
+    // Place the onset at the loudness peak where the attack lands
+    const onsetTime = segment.start + (segment.loudness_max_time || 0);
+    this.addOnset(onsetTime, attack + 0.5 * timbreChange);
+  }
+
+  /**
+   * Add an onset from a magnitude spectrum using spectral flux
+   * @param {number} time - Spectrum time in seconds
+   * @param {ArrayLike<number>} spectrum - Magnitudes (e.g. AnalyserNode byte data)
+   */
+  addSpectrum(time, spectrum) {
+    const length = spectrum.length;
+    
+    if (!this.previousSpectrum || this.previousSpectrum.length !== length) {
+      this.previousSpectrum = new Float32Array(length);
+    }
+    
+    // Sum of log-magnitude increases across bins
+    let flux = 0;
+    for (let i = 0; i < length; i++) {
+      const magnitude = Math.log1p(spectrum[i]);
+      const increase = magnitude - this.previousSpectrum[i];
+      if (increase > 0) flux += increase;
+      this.previousSpectrum[i] = magnitude;
+    }
+    
+    this.addOnset(time, flux / length);
+  }
+
+  /**
+   * Advance the tracker clock and emit a beat if one is due
+   * @param {number} time - Current time in seconds
+   * @returns {Object|null} - Beat { time, intensity, confidence } or null
+   */
+  update(time) {
+    this.advanceTo(time);
+    
+    const historySeconds = this.filledBins * this.resolution;
+    
+    if (historySeconds >= this.warmupSeconds && time - this.lastEstimateTime >= this.estimateInterval) {
+      this.estimate(time);
+      this.lastEstimateTime = time;
+    }
+    
+    if (!this.hasTempo() || time < this.nextBeatTime) {
+      return null;
+    }
+    
+    const beatTime = this.nextBeatTime;
+    
+    // Skip beats we fell too far behind on (e.g. a stalled frame)
+    while (this.nextBeatTime <= time) {
+      this.nextBeatTime += this.period;
+    }
+    this.lastBeatTime = beatTime;
+    
+    const beat = {
+      time: beatTime,
+      intensity: this.getIntensityAt(beatTime),
+      confidence: this.confidence
+    };
+    
+    if (this.onBeat) {
+      this.onBeat(beat);
+    }
+    
+    return beat;
+  }
+
+  /**
+   * Move the envelope head forward to a time, clearing skipped bins
+   * @param {number} time - Time in seconds
+   * @returns {number} - Absolute envelope index for the time
+   */
+  advanceTo(time) {
+    const index = Math.floor(time / this.resolution);
+    
+    if (this.headIndex === null) {
+      this.headIndex = index;
+      return index;
+    }
+    
+    if (index > this.headIndex) {
+      const steps = Math.min(index - this.headIndex, this.size);
+      for (let i = 1; i <= steps; i++) {
+        this.envelope[this.toBin(this.headIndex + i)] = 0;
+      }
+      this.filledBins = Math.min(this.size, this.filledBins + (index - this.headIndex));
+      this.headIndex = index;
+    }
+    
+    return index;
+  }
+
+  /**
+   * Map an absolute envelope index to a ring buffer bin
+   * @param {number} index - Absolute index
+   * @returns {number} - Ring buffer bin
+   */
+  toBin(index) {
+    return ((index % this.size) + this.size) % this.size;
+  }
+
+  /**
+   * Read the envelope at an absolute index (0 outside the window)
+   * @param {number} index - Absolute index
+   * @returns {number} - Onset strength
+   */
+  valueAt(index) {
+    if (index > this.headIndex || index <= this.headIndex - this.filledBins) return 0;
+    return this.envelope[this.toBin(index)];
+  }
+
+  /**
+   * Estimate tempo by autocorrelation and beat phase with a comb filter
+   * @param {number} time - Current time in seconds
+   */
+  estimate(time) {
+    const count = this.filledBins;
+    const minLag = Math.max(1, Math.floor(60 / this.maxBpm / this.resolution));
+    const maxLag = Math.min(count - 1, Math.ceil(60 / this.minBpm / this.resolution));
+    
+    if (maxLag <= minLag) return;
+    
+    // Newest-first copy of the envelope so the inner loops stay simple
+    const history = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      history[i] = this.valueAt(this.headIndex - i);
+    }
+    
+    // Energy of the envelope (lag 0) to normalize against
+    let zeroLag = 0;
+    for (let i = 0; i < count; i++) {
+      zeroLag += history[i] * history[i];
+    }
+    
+    if (zeroLag === 0) return;
+    
+    // Autocorrelation weighted towards the preferred tempo (log-gaussian, ~1 octave wide)
+    const correlations = new Float32Array(maxLag + 2);
+    let bestLag = 0;
+    let bestScore = 0;
+    
+    for (let lag = minLag; lag <= maxLag + 1; lag++) {
+      let sum = 0;
+      for (let i = 0; i < count - lag; i++) {
+        sum += history[i] * history[i + lag];
+      }
+      correlations[lag] = sum;
+      
+      if (lag > maxLag) continue;
+      
+      const bpm = 60 / (lag * this.resolution);
+      const octaves = Math.log2(bpm / this.preferredBpm);
+      const score = sum * Math.exp(-0.5 * octaves * octaves);
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+    
+    if (bestLag === 0) return;
+    
+    // Parabolic interpolation for sub-bin period accuracy
+    const left = correlations[bestLag - 1] || 0;
+    const center = correlations[bestLag];
+    const right = correlations[bestLag + 1] || 0;
+    const denominator = left - 2 * center + right;
+    const offset = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+    
+    const period = (bestLag + Math.max(-0.5, Math.min(0.5, offset))) * this.resolution;
+    const lagConfidence = Math.min(1, center / (zeroLag * (count - bestLag) / count));
+    
+    // Smooth tempo changes once locked so a single noisy estimate doesn't jump
+    if (this.period > 0 && Math.abs(period - this.period) / this.period < 0.08) {
+      this.period = this.period * 0.7 + period * 0.3;
+    } else {
+      this.period = period;
+    }
+    this.confidence = this.confidence * 0.5 + lagConfidence * 0.5;
+    
+    this.alignPhase(time, history);
+  }
+
+  /**
+   * Pick the beat phase that lines up best with past onsets
+   * @param {number} time - Current time in seconds
+   * @param {Float32Array} history - Newest-first envelope copy
+   */
+  alignPhase(time, history) {
+    const periodBins = this.period / this.resolution;
+    const pulses = Math.floor((history.length - 1) / periodBins);
+    
+    if (pulses < 1) return;
+    
+    let bestPhase = 0;
+    let bestScore = -1;
+    
+    for (let phase = 0; phase < periodBins; phase++) {
+      let score = 0;
+      for (let k = 0; k <= pulses; k++) {
+        const index = Math.round(phase + k * periodBins);
+        if (index < history.length) score += history[index];
+      }
+      
+      if (score > bestScore) {
+        bestScore = score;
+        bestPhase = phase;
+      }
+    }
+    
+    // Most recent beat on the grid, then the first grid beat still ahead of us
+    let next = (this.headIndex - bestPhase) * this.resolution + this.period;
+    while (next <= time) {
+      next += this.period;
+    }
+    
+    // Don't emit a second beat right after the one we just emitted
+    if (this.lastBeatTime !== null && next - this.lastBeatTime < this.period * 0.5) {
+      next += this.period;
+    }
+    
+    this.nextBeatTime = next;
+  }
+
+  /**
+   * Beat intensity from the strongest onset just before a beat
+   * @param {number} time - Beat time in seconds
+   * @returns {number} - Intensity (0-1)
+   */
+  getIntensityAt(time) {
+    const index = Math.floor(time / this.resolution);
+    const reach = Math.round(0.07 / this.resolution);
+    
+    let strongest = 0;
+    for (let i = index - reach; i <= index; i++) {
+      strongest = Math.max(strongest, this.valueAt(i));
+    }
+    
+    // Let the normalizing peak decay so quiet passages still register
+    this.peakOnset *= 0.98;
+    
+    if (this.peakOnset <= 0) return 0.5;
+    return Math.min(1, 0.4 + 0.6 * (strongest / this.peakOnset));
+  }
+}
+
+/**
+ * Estimate a Spotify-style beats array from analysis segments
+ * Runs the tracker over the track as if it were playing, so results match
+ * what live tracking would produce.
+ * @param {Array} segments - Spotify analysis segments
+ * @param {Object} options - BeatTracker options
+ * @returns {Object} - { beats: [{ start, duration, confidence }], tempo, confidence }
+ */
+export function trackBeatsFromSegments(segments, options = {}) {
+  const tracker = new BeatTracker(options);
+  const beats = [];
+  
+  if (!segments || segments.length === 0) {
+    return { beats, tempo: 0, confidence: 0 };
+  }
+  
+  const last = segments[segments.length - 1];
+  const endTime = last.start + (last.duration || 0);
+  const step = tracker.resolution;
+  let segmentIndex = 0;
+  
+  for (let time = segments[0].start; time <= endTime; time += step) {
+    // Feed every segment whose onset has been reached
+    while (segmentIndex < segments.length &&
+           segments[segmentIndex].start + (segments[segmentIndex].loudness_max_time || 0) <= time) {
+      tracker.addSegment(segments[segmentIndex]);
+      segmentIndex++;
+    }
+    
+    const beat = tracker.update(time);
+    if (beat) {
+      beats.push({
+        start: beat.time,
+        duration: tracker.period,
+        confidence: beat.confidence
+      });
+    }
+  }
+  
+  return {
+    beats,
+    tempo: tracker.getTempo(),
+    confidence: tracker.getConfidence()
+  };
+}
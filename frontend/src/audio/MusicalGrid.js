@@ -0,0 +1,211 @@
+// src/audio/MusicalGrid.js
+// Tracks the bar / beat / tatum grid from Spotify analysis and reports phase within it
+
+import { findIndexAt } from './TimelineIndex.js';
+import { sharedClock } from '../timing/Clock.js';
+
+// Beats closer than this to a bar start count as its downbeat (seconds)
+const DOWNBEAT_TOLERANCE = 0.05;
+
+/**
+ * Find the index of the grid event containing a time, trying a hint first
+ * Events are treated as contiguous: each lasts until the next one starts
+ * @param {Array} events - Timed events sorted by start
+ * @param {number} seconds - Time in seconds
+ * @param {number} hint - Index to check first (usually the previous result)
+ * @returns {number} - Event index, or -1 if before the first / after the last event
+ */
+function findGridIndexAt(events, seconds, hint) {
+  const last = events[events.length - 1];
+  if (!last || seconds >= last.start + (last.duration || 0)) return -1;
+  
+  return findIndexAt(events, seconds, hint);
+}
+
+/**
+ * Position within an event
+ * @param {Object} event - Timed event
+ * @param {number} seconds - Time in seconds
+ * @returns {number} - Phase (0-1)
+ */
+function phaseIn(event, seconds) {
+  if (!event || !event.duration) return 0;
+  return Math.min(1, Math.max(0, (seconds - event.start) / event.duration));
+}
+
+/**
+ * MusicalGrid - Fires onBar / onTatum / onDownbeat as playback crosses the
+ * analysis grid, and reports phase within the current beat, bar and tatum
+ */
+export class MusicalGrid {
+  constructor() {
+    this.beats = [];
+    this.bars = [];
+    this.tatums = [];
+    
+    // Event callbacks
+    this.onBar = null;
+    this.onTatum = null;
+    this.onDownbeat = null;
+    
+    // Event times come from this clock
+    this.clock = sharedClock;
+    
+    this.reset();
+  }
+
+  /**
+   * Use a different clock for event times
+   * @param {Clock} clock - Clock to read time from
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Load the grid for a new track
+   * Bars and tatums missing from the analysis are derived from the beats
+   * @param {Object} grid - { beats, bars, tatums, timeSignature }
+   */
+  load({ beats = [], bars = [], tatums = [], timeSignature = 4 } = {}) {
+    this.beats = beats;
+    this.bars = bars.length > 0 ? bars : groupBeatsIntoBars(beats, timeSignature || 4);
+    this.tatums = tatums.length > 0 ? tatums : subdivideBeats(beats, 2);
+    
+    this.reset();
+  }
+
+  /**
+   * Forget the current position, e.g. after a seek
+   * The next update re-locates silently instead of firing events mid-bar
+   */
+  reset() {
+    this.beatIndex = -1;
+    this.barIndex = -1;
+    this.tatumIndex = -1;
+    this.relocate = true;
+  }
+
+  /**
+   * Whether there is a grid to follow
+   * @returns {boolean} - True if beats are loaded
+   */
+  hasGrid() {
+    return this.beats.length > 0;
+  }
+
+  /**
+   * Advance to a playback position, firing events for grid lines crossed
+   * @param {number} seconds - Playback position in seconds
+   * @returns {Object} - { beatPhase, barPhase, tatumPhase, beatInBar }
+   */
+  update(seconds) {
+    const beatIndex = findGridIndexAt(this.beats, seconds, this.beatIndex);
+    const barIndex = findGridIndexAt(this.bars, seconds, this.barIndex);
+    const tatumIndex = findGridIndexAt(this.tatums, seconds, this.tatumIndex);
+    
+    const beat = this.beats[beatIndex];
+    const bar = this.bars[barIndex];
+    const tatum = this.tatums[tatumIndex];
+    
+    const phases = {
+      beatPhase: phaseIn(beat, seconds),
+      barPhase: phaseIn(bar, seconds),
+      tatumPhase: phaseIn(tatum, seconds),
+      beatInBar: beat && bar && beat.duration ?
+        Math.max(0, Math.round((beat.start - bar.start) / beat.duration)) :
+        0
+    };
+    
+    const fireEvents = !this.relocate;
+    const now = this.clock.now();
+    
+    if (fireEvents && tatumIndex !== this.tatumIndex && tatum && this.onTatum) {
+      this.onTatum({
+        index: tatumIndex,
+        time: now,
+        start: tatum.start,
+        duration: tatum.duration,
+        confidence: tatum.confidence ?? 0.5,
+        ...phases
+      });
+    }
+    
+    if (fireEvents && barIndex !== this.barIndex && bar && this.onBar) {
+      this.onBar({
+        index: barIndex,
+        time: now,
+        start: bar.start,
+        duration: bar.duration,
+        confidence: bar.confidence ?? 0.5,
+        ...phases
+      });
+    }
+    
+    // A downbeat is the beat that opens a bar
+    if (fireEvents && beatIndex !== this.beatIndex && beat && bar &&
+        Math.abs(beat.start - bar.start) < DOWNBEAT_TOLERANCE && this.onDownbeat) {
+      this.onDownbeat({
+        index: beatIndex,
+        barIndex,
+        time: now,
+        intensity: beat.confidence || 0.8,
+        confidence: bar.confidence ?? beat.confidence ?? 0.5,
+        ...phases
+      });
+    }
+    
+    this.beatIndex = beatIndex;
+    this.barIndex = barIndex;
+    this.tatumIndex = tatumIndex;
+    this.relocate = false;
+    
+    return phases;
+  }
+}
+
+/**
+ * Group beats into bars when the analysis has none
+ * @param {Array} beats - Beat events
+ * @param {number} beatsPerBar - Time signature numerator
+ * @returns {Array} - Bar events
+ */
+function groupBeatsIntoBars(beats, beatsPerBar) {
+  const bars = [];
+  
+  for (let i = 0; i < beats.length; i += beatsPerBar) {
+    const first = beats[i];
+    const last = beats[Math.min(i + beatsPerBar, beats.length) - 1];
+    
+    bars.push({
+      start: first.start,
+      duration: last.start + (last.duration || 0) - first.start,
+      confidence: first.confidence ?? 0.5
+    });
+  }
+  
+  return bars;
+}
+
+/**
+ * Split each beat into equal tatums when the analysis has none
+ * @param {Array} beats - Beat events
+ * @param {number} divisions - Tatums per beat
+ * @returns {Array} - Tatum events
+ */
+function subdivideBeats(beats, divisions) {
+  const tatums = [];
+  
+  for (const beat of beats) {
+    const duration = (beat.duration || 0) / divisions;
+    for (let i = 0; i < divisions; i++) {
+      tatums.push({
+        start: beat.start + i * duration,
+        duration,
+        confidence: beat.confidence ?? 0.5
+      });
+    }
+  }
+  
+  return tatums;
+}
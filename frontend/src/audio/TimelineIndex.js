@@ -0,0 +1,93 @@
+// src/audio/TimelineIndex.js
+// Cursor + binary search lookup of timed analysis events (beats, segments, sections)
+
+/**
+ * Find the last event starting at or before a time, trying a hint first
+ * Playback usually stays in the same event or moves to the next one between
+ * frames, so checking the hint makes lookups O(1); anything else (seeks,
+ * stalls, skipped frames) falls back to an O(log n) binary search
+ * @param {Array} events - Timed events sorted by start
+ * @param {number} seconds - Time in seconds
+ * @param {number} hint - Index to check first (usually the previous result)
+ * @returns {number} - Event index, or -1 if before the first event
+ */
+export function findIndexAt(events, seconds, hint = -1) {
+  const count = events.length;
+  if (count === 0 || seconds < events[0].start) return -1;
+  
+  const startsBefore = index => index >= 0 && index < count &&
+    events[index].start <= seconds &&
+    (index === count - 1 || seconds < events[index + 1].start);
+  
+  if (startsBefore(hint)) return hint;
+  if (startsBefore(hint + 1)) return hint + 1;
+  
+  let low = 0;
+  let high = count - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (events[mid].start <= seconds) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  return low;
+}
+
+/**
+ * TimelineIndex - Remembers where the last lookup landed in a list of events
+ * so per-frame lookups don't rescan the list, and stays correct after seeks
+ */
+export class TimelineIndex {
+  /**
+   * @param {Array} events - Timed events sorted by start
+   */
+  constructor(events = []) {
+    this.events = events;
+    this.cursor = -1;
+  }
+  
+  /**
+   * Replace the events being indexed
+   * @param {Array} events - Timed events sorted by start
+   */
+  setEvents(events) {
+    this.events = events || [];
+    this.cursor = -1;
+  }
+  
+  /**
+   * Index of the last event starting at or before a time
+   * @param {number} seconds - Time in seconds
+   * @returns {number} - Event index, or -1 if before the first event
+   */
+  indexAt(seconds) {
+    this.cursor = findIndexAt(this.events, seconds, this.cursor);
+    return this.cursor;
+  }
+  
+  /**
+   * Index of the event whose [start, start + duration) contains a time
+   * @param {number} seconds - Time in seconds
+   * @returns {number} - Event index, or -1 if the time falls in a gap
+   */
+  containingIndexAt(seconds) {
+    const index = this.indexAt(seconds);
+    if (index < 0) return -1;
+    
+    const event = this.events[index];
+    return seconds < event.start + (event.duration || 0) ? index : -1;
+  }
+  
+  /**
+   * Event whose [start, start + duration) contains a time
+   * @param {number} seconds - Time in seconds
+   * @returns {Object|null} - Event, or null if the time falls in a gap
+   */
+  eventAt(seconds) {
+    const index = this.containingIndexAt(seconds);
+    return index >= 0 ? this.events[index] : null;
+  }
+}
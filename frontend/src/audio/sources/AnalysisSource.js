@@ -0,0 +1,106 @@
+// src/audio/sources/AnalysisSource.js
+// Base contract shared by every audio analysis source
+
+import { sharedClock } from '../../timing/Clock.js';
+
+/**
+ * Create an analysis frame - the values every source produces each update
+ * @param {Object} values - Frame values (missing values default to silence)
+ * @returns {Object} - Analysis frame
+ */
+export function createFrame(values = {}) {
+  return {
+    volume: values.volume ?? 0,
+    bass: values.bass ?? 0,
+    mid: values.mid ?? 0,
+    treble: values.treble ?? 0,
+    beatDetected: values.beatDetected ?? false,
+    beatIntensity: values.beatIntensity ?? 0,
+    // Set only on the frame a beat starts: { intensity, confidence }
+    beat: values.beat ?? null,
+    // Tempo in BPM when the source estimates it itself
+    tempo: values.tempo ?? null,
+    // 12 pitch-class strengths (C to B, 0-1) when the source knows them
+    chroma: values.chroma ?? null,
+    // Magnitude per frequency bin (0-1, lowest first) when the source hears the audio
+    spectrum: values.spectrum ?? null
+  };
+}
+
+/**
+ * Frame used while playback is paused
+ * @returns {Object} - Minimal analysis frame
+ */
+export function createMinimalFrame() {
+  return createFrame({ volume: 0.1, bass: 0.1, mid: 0.1, treble: 0.1 });
+}
+
+/**
+ * AnalysisSource - Base class for anything that can drive AudioAnalyzer
+ *
+ * A source turns a playback position into analysis frames. AudioAnalyzer
+ * calls start() when the source becomes active, stop() when it is replaced,
+ * seek() when the position jumps and update() once per animation frame.
+ */
+export class AnalysisSource {
+  /**
+   * @param {string} id - Source identifier (e.g. 'spotify', 'synthetic', 'local')
+   */
+  constructor(id) {
+    this.id = id;
+    this.active = false;
+    this.progress = 0;
+    
+    // Time source for anything not derived from the playback position
+    this.clock = sharedClock;
+  }
+
+  /**
+   * Use a different clock (e.g. fixed-step for offline renders)
+   * @param {Clock} clock - Clock to read time from
+   */
+  setClock(clock) {
+    this.clock = clock;
+  }
+
+  /**
+   * Called when the source becomes the active source
+   */
+  start() {
+    this.active = true;
+  }
+
+  /**
+   * Called when the source is replaced by another one
+   */
+  stop() {
+    this.active = false;
+  }
+
+  /**
+   * Jump to a new playback position
+   * @param {number} seconds - New position in seconds
+   */
+  seek(seconds) {
+    this.progress = seconds;
+  }
+
+  /**
+   * Get the current playback position
+   * @returns {number} - Position in seconds
+   */
+  getProgress() {
+    return this.progress;
+  }
+
+  /**
+   * Advance to a playback position and produce a frame
+   * @param {number} seconds - Current playback position in seconds
+   * @param {Object} features - Track features (energy, tempo, danceability, valence)
+   * @returns {Object} - Analysis frame from createFrame()
+   */
+  update(seconds, features) {
+    this.progress = seconds;
+    return createFrame();
+  }
+}
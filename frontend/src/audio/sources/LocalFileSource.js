@@ -0,0 +1,371 @@
+// src/audio/sources/LocalFileSource.js
+// Analysis source that plays a local audio file and analyzes its live spectrum
+
+import { AnalysisSource, createFrame } from './AnalysisSource.js';
+import { BeatTracker } from '../BeatTracker.js';
+
+// Frequency ranges (Hz) used to split a live spectrum into bands
+const BAND_RANGES = {
+  bass: { from: 20, to: 250 },
+  mid: { from: 250, to: 4000 },
+  treble: { from: 4000, to: 16000 }
+};
+
+// Frequencies outside this range (Hz) are too noisy to assign a pitch class
+const CHROMA_RANGE = { from: 55, to: 4000 };
+
+// Number of frames of bass energy kept for warm-up beat detection (~1s at 60fps)
+const ENERGY_HISTORY = 43;
+
+/**
+ * LocalFileSource - Decodes a local file through the Web Audio API and
+ * analyzes it with an AnalyserNode. Unlike the other sources it owns the
+ * playback clock, so getProgress() is the authoritative position.
+ */
+export class LocalFileSource extends AnalysisSource {
+  constructor() {
+    super('local');
+    
+    this.audioContext = null;
+    this.analyserNode = null;
+    this.buffer = null;
+    this.sourceNode = null;
+    this.fileName = null;
+    this.startTime = 0;
+    this.offset = 0;
+    this.paused = true;
+    this.frequencyData = null;
+    this.spectrum = null;
+    this.timeDomainData = null;
+    this.binPitchClasses = null;
+    this.bassEnergyHistory = [];
+    this.lastBeatTime = 0;
+    this.beatTracker = new BeatTracker();
+    
+    // Called when the file plays to the end
+    this.onEnded = null;
+  }
+
+  /**
+   * Decode a local audio file, replacing any file already loaded
+   * @param {File} file - Audio file (MP3, WAV, OGG, FLAC...)
+   */
+  async load(file) {
+    // Lazily create the audio graph - browsers only allow this after a user gesture
+    if (!this.audioContext) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        throw new Error('Web Audio API is not supported in this browser');
+      }
+      
+      this.audioContext = new AudioContextClass();
+      this.analyserNode = this.audioContext.createAnalyser();
+      this.analyserNode.fftSize = 2048;
+      this.analyserNode.smoothingTimeConstant = 0.75;
+      this.analyserNode.connect(this.audioContext.destination);
+      
+      this.frequencyData = new Uint8Array(this.analyserNode.frequencyBinCount);
+      this.spectrum = new Float32Array(this.analyserNode.frequencyBinCount);
+      this.timeDomainData = new Uint8Array(this.analyserNode.fftSize);
+      this.binPitchClasses = this.mapBinsToPitchClasses();
+    }
+    
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+    
+    // Decode the whole file up front so seeking is sample accurate
+    const arrayBuffer = await file.arrayBuffer();
+    const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+    
+    this.unload();
+    
+    this.buffer = audioBuffer;
+    this.fileName = file.name;
+    
+    console.log('Local audio loaded:', {
+      name: file.name,
+      duration: audioBuffer.duration,
+      sampleRate: audioBuffer.sampleRate
+    });
+  }
+
+  /**
+   * Release the loaded file
+   */
+  unload() {
+    this.paused = true;
+    this.stopSourceNode();
+    
+    this.buffer = null;
+    this.fileName = null;
+    this.offset = 0;
+    this.bassEnergyHistory = [];
+    this.lastBeatTime = 0;
+    this.beatTracker.reset();
+  }
+
+  /**
+   * Start playing from the stored offset when the source becomes active
+   */
+  start() {
+    super.start();
+    this.play();
+  }
+
+  /**
+   * Pause playback when another source takes over
+   */
+  stop() {
+    this.pause();
+    super.stop();
+  }
+
+  /**
+   * Jump to a position, keeping the current play/pause state
+   * @param {number} seconds - New position in seconds
+   */
+  seek(seconds) {
+    if (!this.buffer) return;
+    
+    const wasPlaying = !this.paused;
+    this.pause();
+    this.offset = Math.min(this.buffer.duration, Math.max(0, seconds));
+    
+    // Onset history from the old position would mislead the tracker
+    this.beatTracker.reset();
+    this.bassEnergyHistory = [];
+    
+    if (wasPlaying) {
+      this.play();
+    }
+  }
+
+  /**
+   * Start (or restart) the buffer source from the stored offset
+   */
+  play() {
+    if (!this.buffer || !this.paused) return;
+    
+    // AudioBufferSourceNodes are single-use, so create a new one each time
+    const node = this.audioContext.createBufferSource();
+    node.buffer = this.buffer;
+    node.connect(this.analyserNode);
+    node.onended = () => {
+      // Ignore ends caused by pausing or replacing the node
+      if (this.sourceNode !== node || this.paused) return;
+      
+      this.paused = true;
+      this.offset = 0;
+      
+      if (this.onEnded) {
+        this.onEnded();
+      }
+    };
+    
+    node.start(0, this.offset);
+    
+    this.sourceNode = node;
+    this.startTime = this.audioContext.currentTime - this.offset;
+    this.paused = false;
+  }
+
+  /**
+   * Pause playback, remembering the current position
+   */
+  pause() {
+    if (this.paused) return;
+    
+    this.offset = this.getProgress();
+    this.paused = true;
+    this.stopSourceNode();
+  }
+
+  /**
+   * Stop and disconnect the current buffer source node
+   */
+  stopSourceNode() {
+    if (!this.sourceNode) return;
+    
+    const node = this.sourceNode;
+    this.sourceNode = null;
+    
+    try {
+      node.stop();
+    } catch (error) {
+      // Node may not have started yet
+    }
+    node.disconnect();
+  }
+
+  /**
+   * Get the playback position from the AudioContext clock
+   * @returns {number} - Position in seconds
+   */
+  getProgress() {
+    if (!this.buffer) return 0;
+    if (this.paused) return this.offset;
+    
+    const elapsed = this.audioContext.currentTime - this.startTime;
+    return Math.min(this.buffer.duration, Math.max(0, elapsed));
+  }
+
+  /**
+   * Get the duration of the loaded file
+   * @returns {number} - Duration in seconds
+   */
+  getDuration() {
+    return this.buffer ? this.buffer.duration : 0;
+  }
+
+  /**
+   * Get the average normalized magnitude of the spectrum between two frequencies
+   * @param {number} fromHz - Lower bound in Hz
+   * @param {number} toHz - Upper bound in Hz
+   * @returns {number} - Average magnitude (0-1)
+   */
+  getBandEnergy(fromHz, toHz) {
+    const nyquist = this.audioContext.sampleRate / 2;
+    const binCount = this.frequencyData.length;
+    
+    const fromBin = Math.max(0, Math.floor((fromHz / nyquist) * binCount));
+    const toBin = Math.min(binCount - 1, Math.ceil((toHz / nyquist) * binCount));
+    
+    if (toBin <= fromBin) return 0;
+    
+    let sum = 0;
+    for (let i = fromBin; i <= toBin; i++) {
+      sum += this.frequencyData[i];
+    }
+    
+    return sum / ((toBin - fromBin + 1) * 255);
+  }
+
+  /**
+   * Work out which pitch class each FFT bin belongs to
+   * @returns {Int8Array} - Pitch class (0 = C ... 11 = B) per bin, -1 if out of range
+   */
+  mapBinsToPitchClasses() {
+    const binCount = this.analyserNode.frequencyBinCount;
+    const binWidth = this.audioContext.sampleRate / this.analyserNode.fftSize;
+    const pitchClasses = new Int8Array(binCount).fill(-1);
+    
+    for (let i = 1; i < binCount; i++) {
+      const frequency = i * binWidth;
+      if (frequency < CHROMA_RANGE.from || frequency > CHROMA_RANGE.to) continue;
+      
+      // MIDI note number, A4 = 440Hz = 69
+      const note = Math.round(69 + 12 * Math.log2(frequency / 440));
+      pitchClasses[i] = ((note % 12) + 12) % 12;
+    }
+    
+    return pitchClasses;
+  }
+  
+  /**
+   * Fold the current spectrum into 12 pitch classes
+   * @returns {Array<number>} - Chroma vector normalized so the strongest class is 1
+   */
+  computeChroma() {
+    const chroma = new Array(12).fill(0);
+    
+    for (let i = 0; i < this.frequencyData.length; i++) {
+      const pitchClass = this.binPitchClasses[i];
+      if (pitchClass >= 0) {
+        chroma[pitchClass] += this.frequencyData[i];
+      }
+    }
+    
+    const strongest = Math.max(...chroma);
+    return strongest > 0 ? chroma.map(value => value / strongest) : chroma;
+  }
+  
+  /**
+   * Process the live spectrum from the AnalyserNode into bands and beats
+   * @returns {Object} - Analysis frame
+   */
+  update() {
+    this.progress = this.getProgress();
+    
+    if (!this.buffer) return createFrame();
+    
+    this.analyserNode.getByteFrequencyData(this.frequencyData);
+    this.analyserNode.getByteTimeDomainData(this.timeDomainData);
+    
+    const frame = createFrame();
+    
+    // Frequency bands straight from the spectrum
+    frame.bass = this.getBandEnergy(BAND_RANGES.bass.from, BAND_RANGES.bass.to);
+    frame.mid = this.getBandEnergy(BAND_RANGES.mid.from, BAND_RANGES.mid.to);
+    frame.treble = this.getBandEnergy(BAND_RANGES.treble.from, BAND_RANGES.treble.to);
+    
+    // Volume from the RMS of the waveform
+    let sumSquares = 0;
+    for (let i = 0; i < this.timeDomainData.length; i++) {
+      const sample = (this.timeDomainData[i] - 128) / 128;
+      sumSquares += sample * sample;
+    }
+    const rms = Math.sqrt(sumSquares / this.timeDomainData.length);
+    frame.volume = Math.min(1, rms * 3);
+    
+    frame.chroma = this.computeChroma();
+    
+    // The full spectrum for visualizations that draw every band
+    for (let i = 0; i < this.frequencyData.length; i++) {
+      this.spectrum[i] = this.frequencyData[i] / 255;
+    }
+    frame.spectrum = this.spectrum;
+    
+    // Beats come from the tracker once it has locked onto a tempo
+    this.beatTracker.addSpectrum(this.progress, this.frequencyData);
+    const trackedBeat = this.beatTracker.update(this.progress);
+    
+    if (this.beatTracker.hasTempo()) {
+      frame.tempo = this.beatTracker.getTempo();
+      
+      if (trackedBeat) {
+        frame.beatDetected = true;
+        frame.beatIntensity = trackedBeat.intensity;
+        frame.beat = {
+          intensity: trackedBeat.intensity,
+          confidence: trackedBeat.confidence
+        };
+      }
+      
+      return frame;
+    }
+    
+    // Until then, bass energy jumping well above its recent average
+    const history = this.bassEnergyHistory;
+    const averageEnergy = history.length > 0 ?
+      history.reduce((sum, value) => sum + value, 0) / history.length :
+      frame.bass;
+    
+    history.push(frame.bass);
+    if (history.length > ENERGY_HISTORY) {
+      history.shift();
+    }
+    
+    const now = this.clock.now();
+    const isOnset = history.length >= ENERGY_HISTORY / 2 &&
+      frame.bass > averageEnergy * 1.3 &&
+      frame.bass > 0.3;
+    
+    // Only trigger a beat if enough time has passed since the last one
+    if (isOnset && now - this.lastBeatTime > 0.1) {
+      // Stronger jumps over the average give stronger beats
+      const energyRatio = frame.bass / Math.max(averageEnergy, 0.01);
+      
+      frame.beatDetected = true;
+      frame.beatIntensity = Math.min(1, 0.5 + (energyRatio - 1.3));
+      this.lastBeatTime = now;
+      
+      frame.beat = {
+        intensity: frame.beatIntensity,
+        confidence: Math.min(1, (frame.bass - averageEnergy) * 4)
+      };
+    }
+    
+    return frame;
+  }
+}
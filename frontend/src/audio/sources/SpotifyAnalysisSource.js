@@ -0,0 +1,236 @@
+// src/audio/sources/SpotifyAnalysisSource.js
+// Analysis source driven by Spotify's /audio-analysis beats, segments and sections
+
+import { AnalysisSource, createFrame } from './AnalysisSource.js';
+import { trackBeatsFromSegments } from '../BeatTracker.js';
+import { TimelineIndex } from '../TimelineIndex.js';
+
+/**
+ * SpotifyAnalysisSource - Replays Spotify analysis data against track progress
+ */
+export class SpotifyAnalysisSource extends AnalysisSource {
+  constructor() {
+    super('spotify');
+    
+    this.beats = [];
+    this.bars = [];
+    this.segments = [];
+    this.tatums = [];
+    this.sections = [];
+    this.timeSignature = 4;
+    
+    // Track key (0 = C ... 11 = B, -1 = unknown) and mode (1 = major, 0 = minor)
+    this.key = -1;
+    this.mode = 1;
+    
+    // Set when beats had to be estimated from segments
+    this.beatsEstimated = false;
+    this.estimatedTempo = 0;
+    
+    // Cursor-based lookups so each frame doesn't rescan the analysis
+    this.beatTimeline = new TimelineIndex();
+    this.segmentTimeline = new TimelineIndex();
+    this.sectionTimeline = new TimelineIndex();
+    
+    // For interpolating between segments
+    this.currentSegmentIndex = 0;
+    this.nextSegmentIndex = 0;
+    
+    // Last beat time for calculations
+    this.lastBeatTime = 0;
+    
+    // Values carry over between frames when no new event starts
+    this.lastFrame = createFrame({ volume: 0.5, bass: 0.5, mid: 0.5, treble: 0.5 });
+  }
+
+  /**
+   * Load analysis data for a new track
+   * @param {Object|null} analysisData - Spotify audio analysis data
+   */
+  load(analysisData) {
+    this.beats = analysisData?.beats || [];
+    this.bars = analysisData?.bars || [];
+    this.segments = analysisData?.segments || [];
+    this.tatums = analysisData?.tatums || [];
+    this.sections = analysisData?.sections || [];
+    this.timeSignature = analysisData?.track?.time_signature || 4;
+    this.key = analysisData?.track?.key ?? -1;
+    this.mode = analysisData?.track?.mode ?? 1;
+    
+    // Some analyses come without beats - track them from segment onsets instead
+    this.beatsEstimated = false;
+    this.estimatedTempo = 0;
+    
+    if (this.beats.length === 0 && this.segments.length > 0) {
+      const tracked = trackBeatsFromSegments(this.segments);
+      
+      this.beats = tracked.beats;
+      this.beatsEstimated = true;
+      this.estimatedTempo = tracked.tempo;
+      
+      console.log('Estimated beats from segments:', {
+        beatsCount: tracked.beats.length,
+        tempo: tracked.tempo,
+        confidence: tracked.confidence
+      });
+    }
+    
+    this.beatTimeline.setEvents(this.beats);
+    this.segmentTimeline.setEvents(this.segments);
+    this.sectionTimeline.setEvents(this.sections);
+    
+    // Reset segment indices
+    this.currentSegmentIndex = 0;
+    this.nextSegmentIndex = this.segments.length > 1 ? 1 : 0;
+    this.lastBeatTime = 0;
+  }
+
+  /**
+   * Whether there is enough analysis data to drive the visualizer
+   * @returns {boolean} - True if beats or segments are loaded
+   */
+  hasData() {
+    return this.beats.length > 0 || this.segments.length > 0;
+  }
+
+  /**
+   * Reset internal state after seeking in track
+   * @param {number} seconds - New position in seconds
+   */
+  seek(seconds) {
+    super.seek(seconds);
+    
+    // Reset beat detection state
+    this.lastBeatTime = 0;
+    
+    // Relocate segment indices at the new position rather than restarting
+    // from the top - the timelines binary search from wherever they were
+    this.currentSegmentIndex = 0;
+    this.nextSegmentIndex = this.segments.length > 1 ? 1 : 0;
+    this.updateSegmentIndices();
+  }
+
+  /**
+   * Process audio data based on track position to simulate real-time analysis
+   * @param {number} seconds - Current playback position in seconds
+   * @param {Object} features - Track features
+   * @returns {Object} - Analysis frame
+   */
+  update(seconds, features) {
+    this.progress = seconds;
+    
+    const energy = features?.energy ?? 0.5;
+    const frame = createFrame({ ...this.lastFrame, beat: null });
+    
+    // Find current beat
+    const currentBeat = this.findCurrentEvent(this.beatTimeline);
+    
+    // Find current segment for frequency data
+    const currentSegment = this.findCurrentEvent(this.segmentTimeline);
+    const currentSection = this.findCurrentEvent(this.sectionTimeline);
+    
+    // Update current segment indices for smoother transitions
+    this.updateSegmentIndices();
+    
+    // Detect beat
+    if (currentBeat) {
+      const now = this.clock.now();
+      
+      // Only trigger a beat if enough time has passed since the last one
+      // This prevents multiple beats triggering too close together
+      if (now - this.lastBeatTime > 0.1) {
+        frame.beatDetected = true;
+        frame.beatIntensity = currentBeat.confidence || 0.8;
+        this.lastBeatTime = now;
+        
+        frame.beat = {
+          intensity: frame.beatIntensity,
+          confidence: currentBeat.confidence || 0.8
+        };
+      }
+    } else {
+      frame.beatDetected = false;
+      frame.beatIntensity = 0;
+    }
+    
+    // Extract frequency data from current segment
+    if (currentSegment) {
+      // Use timbre data from segment to approximate frequency bands
+      // Spotify timbre vectors have 12 values representing different frequency characteristics
+      const timbre = currentSegment.timbre || [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+      
+      // Normalize timbre values (they can be negative)
+      const normalizedTimbre = timbre.map(t => Math.min(1, Math.max(0, (t + 100) / 200)));
+      
+      // Map timbre components to frequency bands (approximate)
+      frame.bass = (normalizedTimbre[0] + normalizedTimbre[1]) / 2; // Low frequencies
+      frame.mid = (normalizedTimbre[2] + normalizedTimbre[3] + normalizedTimbre[4]) / 3; // Mid frequencies
+      frame.treble = (normalizedTimbre[5] + normalizedTimbre[6]) / 2; // High frequencies
+      
+      // Pitch content - Spotify already normalizes the strongest class to 1
+      if (currentSegment.pitches && currentSegment.pitches.length === 12) {
+        frame.chroma = currentSegment.pitches;
+      }
+      
+      // Volume from loudness
+      frame.volume = Math.min(1, Math.max(0, (currentSegment.loudness_max + 60) / 60)) || 0.5;
+      
+      // Apply energy factor from audio features
+      frame.volume *= (0.5 + energy * 0.5);
+      frame.bass *= (0.4 + energy * 0.6);
+      frame.mid *= (0.4 + energy * 0.6);
+      frame.treble *= (0.4 + energy * 0.6);
+    }
+    
+    // Adjust volume based on section if available
+    if (currentSection && currentSection.loudness) {
+      const sectionVolume = Math.min(1, Math.max(0, (currentSection.loudness + 60) / 60));
+      frame.volume = frame.volume * 0.7 + sectionVolume * 0.3;
+    }
+    
+    this.lastFrame = frame;
+    return frame;
+  }
+
+  /**
+   * Update current segment indices for smoother transitions
+   */
+  updateSegmentIndices() {
+    if (!this.segments || this.segments.length <= 1) return;
+    
+    const index = this.segmentTimeline.indexAt(this.progress);
+    
+    // Before the first segment - keep the current indices
+    if (index < 0) return;
+    
+    this.currentSegmentIndex = index;
+    this.nextSegmentIndex = Math.min(index + 1, this.segments.length - 1);
+  }
+
+  /**
+   * Find the current event (beat, segment, etc.) based on track progress
+   * @param {TimelineIndex} timeline - Index over timed events from Spotify analysis
+   * @returns {Object|null} - Current event or null if not found
+   */
+  findCurrentEvent(timeline) {
+    return timeline.eventAt(this.progress);
+  }
+
+  /**
+   * Get the current segment position
+   * @returns {number} - Position within segment (0-1)
+   */
+  getSegmentProgress() {
+    if (!this.segments || this.segments.length === 0) return 0;
+    
+    const segment = this.segments[this.currentSegmentIndex];
+    if (!segment) return 0;
+    
+    const start = segment.start;
+    const duration = segment.duration || 0;
+    
+    if (duration === 0) return 0;
+    
+    return Math.min(1, Math.max(0, (this.progress - start) / duration));
+  }
+}
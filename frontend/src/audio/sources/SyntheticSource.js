@@ -0,0 +1,189 @@
+// src/audio/sources/SyntheticSource.js
+// Fallback analysis source that generates plausible data from track features
+
+import { AnalysisSource, createFrame } from './AnalysisSource.js';
+
+/**
+ * SyntheticSource - Generates audio data when no analysis is available
+ */
+export class SyntheticSource extends AnalysisSource {
+  /**
+   * @param {Object} options - Source options
+   * @param {string} options.style - 'sophisticated' (default) or 'simple'
+   */
+  constructor({ style = 'sophisticated' } = {}) {
+    super('synthetic');
+    
+    this.style = style;
+    this.lastBeatTime = 0;
+  }
+
+  /**
+   * Produce a synthetic frame - animation runs on clock time, not track progress
+   * @param {number} seconds - Current playback position in seconds
+   * @param {Object} features - Track features
+   * @returns {Object} - Analysis frame
+   */
+  update(seconds, features) {
+    this.progress = seconds;
+    
+    const time = this.clock.now();
+    
+    return this.style === 'simple' ?
+      this.generateSyntheticData(time, features) :
+      this.generateSophisticatedFallback(time, features);
+  }
+
+  /**
+   * Generate synthetic data when no analysis is available
+   * @param {number} time - Current animation time
+   * @param {Object} trackFeatures - Track features (optional)
+   * @returns {Object} - Analysis frame
+   */
+  generateSyntheticData(time, trackFeatures = null) {
+    const energy = trackFeatures?.energy || 0.5;
+    const tempo = trackFeatures?.tempo || 120;
+    const danceability = trackFeatures?.danceability || 0.5;
+    const valence = trackFeatures?.valence || 0.5;
+    
+    const frame = createFrame();
+    const beatInterval = 60 / tempo;
+    
+    // Check if a beat should occur
+    if (time - this.lastBeatTime >= beatInterval) {
+      // Generate beat with confidence based on danceability
+      frame.beatDetected = true;
+      frame.beatIntensity = 0.4 + (energy * 0.3) + (danceability * 0.3);
+      this.lastBeatTime = time;
+      
+      frame.beat = {
+        intensity: frame.beatIntensity,
+        confidence: 0.7 + (danceability * 0.3)
+      };
+    }
+    
+    // Generate waveforms for different frequency bands
+    const energyFactor = energy * 0.8 + 0.2;
+    const beatProgress = (time - this.lastBeatTime) / beatInterval;
+    
+    // Base volume with natural fade
+    frame.volume = energyFactor * (0.6 + 0.4 * (1 - beatProgress));
+    
+    // Bass frequencies - stronger for danceable tracks
+    frame.bass = energyFactor * (
+      0.5 + 0.5 * Math.pow(Math.sin(time * (1 + danceability)), 2)
+    );
+    
+    // Mid frequencies - more variation based on valence (happiness)
+    frame.mid = energyFactor * (
+      0.3 + 0.7 * Math.pow(Math.sin(time * 2.5 + valence * 0.5), 2)
+    );
+    
+    // Treble frequencies - fastest changes
+    frame.treble = energyFactor * (
+      0.2 + 0.8 * Math.pow(Math.sin(time * 4.2 + 0.8), 2)
+    );
+    
+    // Make happier songs have more energetic high frequencies
+    if (valence > 0.6) {
+      frame.treble *= (0.8 + valence * 0.2);
+    }
+    
+    return frame;
+  }
+
+  /**
+   * Generate high-quality synthetic data based on available track metadata
+   * This provides a much better fallback when API access fails
+   * @param {number} time - Current animation time in seconds
+   * @param {Object} trackInfo - Any available track metadata (optional)
+   * @returns {Object} - Analysis frame
+   */
+  generateSophisticatedFallback(time, trackInfo = null) {
+    // Extract any available track properties or use defaults
+    const energy = trackInfo?.energy || 0.5;
+    const tempo = trackInfo?.tempo || 120;
+    const danceability = trackInfo?.danceability || 0.5;
+    const valence = trackInfo?.valence || 0.5;
+    
+    const frame = createFrame();
+    
+    // Beat detection with realistic timing
+    const beatInterval = 60 / tempo; // beats per second
+    
+    // Create more realistic beat patterns based on danceability
+    let shouldTriggerBeat = false;
+    
+    if (time - this.lastBeatTime >= beatInterval) {
+      // More danceable tracks have more consistent beats
+      const randomFactor = 1 - (danceability * 0.5); // 0.5-1.0 range
+      const randomVariation = (Math.random() * 2 - 1) * randomFactor * 0.1;
+      
+      // Beat with some natural variation
+      if (time - this.lastBeatTime >= beatInterval + randomVariation) {
+        shouldTriggerBeat = true;
+      }
+    }
+    
+    if (shouldTriggerBeat) {
+      // Trigger beat with appropriate intensity
+      frame.beatDetected = true;
+      
+      // Higher energy and danceability = stronger beats
+      frame.beatIntensity = 0.4 + (energy * 0.3) + (danceability * 0.3);
+      
+      // Sometimes add accent beats based on music style
+      if (Math.random() < danceability * 0.3) {
+        frame.beatIntensity *= 1.3; // Occasional stronger beats
+      }
+      
+      this.lastBeatTime = time;
+      
+      // Confidence proportional to danceability
+      frame.beat = {
+        intensity: frame.beatIntensity,
+        confidence: 0.6 + (danceability * 0.4)
+      };
+    }
+    
+    // Generate frequency profiles with musical patterns
+    // (a late beat must not push the fades below zero - pow() would return NaN)
+    const beatProgress = Math.min(1, (time - this.lastBeatTime) / beatInterval);
+    
+    // Base volume with natural fade characteristic of music
+    const fadeShape = Math.pow(1 - beatProgress, 0.5); // Non-linear fade
+    frame.volume = Math.max(0.2, energy * (0.6 + 0.4 * fadeShape));
+    
+    // Bass frequencies - strong on beat, fades faster for low energy tracks
+    const bassFade = Math.pow(1 - beatProgress, energy * 0.5 + 0.5);
+    frame.bass = Math.max(0.2, energy * (
+      0.6 * bassFade + 
+      0.4 * Math.pow(Math.sin(time * (1 + danceability * 0.5)), 2)
+    ));
+    
+    // Mid frequencies - more variation, affected by valence (happiness)
+    const midFreq = 2 + valence; // Happier songs have faster mid oscillation
+    frame.mid = Math.max(0.15, energy * (
+      0.4 * Math.pow(1 - beatProgress, 0.7) + // Some relation to beat
+      0.6 * Math.pow(Math.sin(time * midFreq + 0.4), 2) // Independent oscillation
+    ));
+    
+    // Treble frequencies - fastest changes, less tied to beat
+    const trebleFreq = 3 + energy * 2;
+    frame.treble = Math.max(0.1, energy * (
+      0.3 * Math.pow(1 - beatProgress, 0.3) + // Quick decay after beat
+      0.7 * Math.pow(Math.sin(time * trebleFreq + beatProgress * 2), 2) // Complex oscillation
+    ));
+    
+    // Different frequency profiles based on valence (happiness)
+    if (valence > 0.6) { // Happier music
+      frame.treble *= 1.2; // More high-end
+      frame.mid *= 1.1;
+    } else if (valence < 0.4) { // Sadder music
+      frame.bass *= 1.1; // More bass
+      frame.treble *= 0.9; // Less high-end
+    }
+    
+    return frame;
+  }
+}
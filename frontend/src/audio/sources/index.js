@@ -0,0 +1,52 @@
+// src/audio/sources/index.js
+// Registry of analysis sources that AudioAnalyzer can switch between
+
+import { SpotifyAnalysisSource } from './SpotifyAnalysisSource.js';
+import { SyntheticSource } from './SyntheticSource.js';
+import { LocalFileSource } from './LocalFileSource.js';
+
+export { AnalysisSource, createFrame, createMinimalFrame } from './AnalysisSource.js';
+
+const sourceFactories = new Map();
+
+/**
+ * Register an analysis source factory under an id
+ * @param {string} id - Source identifier
+ * @param {Function} factory - Function (options) => AnalysisSource
+ */
+export function registerAnalysisSource(id, factory) {
+  if (typeof factory !== 'function') {
+    throw new Error(`Analysis source "${id}" needs a factory function`);
+  }
+  
+  sourceFactories.set(id, factory);
+}
+
+/**
+ * Create a registered analysis source
+ * @param {string} id - Source identifier
+ * @param {Object} options - Options passed to the factory
+ * @returns {AnalysisSource} - New source instance
+ */
+export function createAnalysisSource(id, options = {}) {
+  const factory = sourceFactories.get(id);
+  
+  if (!factory) {
+    throw new Error(`Unknown analysis source: ${id}`);
+  }
+  
+  return factory(options);
+}
+
+/**
+ * Get the ids of all registered analysis sources
+ * @returns {Array<string>} - Source ids
+ */
+export function getAnalysisSourceIds() {
+  return Array.from(sourceFactories.keys());
+}
+
+// Built-in sources
+registerAnalysisSource('spotify', () => new SpotifyAnalysisSource());
+registerAnalysisSource('synthetic', options => new SyntheticSource(options));
+registerAnalysisSource('local', () => new LocalFileSource());
@@ -0,0 +1,115 @@
+// src/demo/DemoPlayer.js
+// Plays a looping playlist of bundled analysis fixtures on a simulated clock,
+// standing in for the Spotify player when there is no token, SDK or backend
+
+// Bundled tracks - each fixture is loaded on demand so it stays out of the main bundle
+const DEMO_PLAYLIST = [
+  () => import('./fixtures/demo-neon-drive.json'),
+  () => import('./fixtures/demo-low-tide.json'),
+  () => import('./fixtures/demo-afterglow.json')
+];
+
+/**
+ * DemoPlayer - Simulated playback of the demo playlist
+ */
+export class DemoPlayer {
+  constructor() {
+    this.tracks = [];
+    this.trackIndex = 0;
+    this.position = 0;
+    this.paused = false;
+    this.lastTickTime = null;
+    
+    // Called with the track fixture whenever a new track starts
+    this.onTrackChange = null;
+  }
+  
+  /**
+   * Load the bundled fixtures and start the first track
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const modules = await Promise.all(DEMO_PLAYLIST.map(load => load()));
+    this.tracks = modules.map(module => module.default);
+    
+    this.playTrack(0);
+  }
+  
+  /**
+   * Start a track from the beginning
+   * @param {number} index - Playlist index (wraps around)
+   */
+  playTrack(index) {
+    if (this.tracks.length === 0) return;
+    
+    this.trackIndex = ((index % this.tracks.length) + this.tracks.length) % this.tracks.length;
+    this.position = 0;
+    this.lastTickTime = null;
+    
+    if (this.onTrackChange) {
+      this.onTrackChange(this.getCurrentTrack());
+    }
+  }
+  
+  /**
+   * Skip to the next track
+   */
+  nextTrack() {
+    this.playTrack(this.trackIndex + 1);
+  }
+  
+  /**
+   * Go back to the previous track
+   */
+  previousTrack() {
+    this.playTrack(this.trackIndex - 1);
+  }
+  
+  /**
+   * Get the fixture of the current track
+   * @returns {Object|null} - Track fixture with id, name, artist, features and analysis
+   */
+  getCurrentTrack() {
+    return this.tracks[this.trackIndex] || null;
+  }
+  
+  /**
+   * Pause or resume playback
+   * @returns {boolean} - True if playing after the toggle
+   */
+  togglePlay() {
+    this.paused = !this.paused;
+    this.lastTickTime = null;
+    return !this.paused;
+  }
+  
+  /**
+   * Whether playback is paused
+   * @returns {boolean} - True if paused
+   */
+  isPaused() {
+    return this.paused;
+  }
+  
+  /**
+   * Advance the simulated clock, moving on to the next track at the end
+   * @param {number} now - Current time in seconds
+   * @returns {number} - Playback position in milliseconds
+   */
+  tick(now) {
+    const track = this.getCurrentTrack();
+    if (!track) return 0;
+    
+    if (!this.paused && this.lastTickTime !== null) {
+      // Clamp so a backgrounded tab doesn't skip whole tracks
+      this.position += Math.min(now - this.lastTickTime, 0.25) * 1000;
+    }
+    this.lastTickTime = now;
+    
+    if (this.position >= track.duration_ms) {
+      this.nextTrack();
+    }
+    
+    return this.position;
+  }
+}
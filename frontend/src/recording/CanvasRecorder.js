@@ -0,0 +1,130 @@
+// src/recording/CanvasRecorder.js
+// Real-time capture of the visualizer canvas to a WebM clip with MediaRecorder
+
+// Preferred containers/codecs, best first
+const MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm'
+];
+
+/**
+ * Pick the first WebM type this browser can record
+ * @returns {string|null} - MIME type, or null if recording isn't supported
+ */
+function getSupportedMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * Bitrate that keeps motion-heavy visuals clean without huge files
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {number} fps - Frames per second
+ * @returns {number} - Bits per second
+ */
+export function getRecordingBitrate(width, height, fps) {
+  return Math.round(width * height * fps * 0.15);
+}
+
+/**
+ * CanvasRecorder - Records a canvas as it is drawn
+ */
+export class CanvasRecorder {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to record
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.recorder = null;
+    this.chunks = [];
+  }
+  
+  /**
+   * Whether this browser can record canvases
+   * @returns {boolean} - True if supported
+   */
+  static isSupported() {
+    return getSupportedMimeType() !== null &&
+      typeof HTMLCanvasElement.prototype.captureStream === 'function';
+  }
+  
+  /**
+   * Whether a recording is running
+   * @returns {boolean} - True while recording
+   */
+  isRecording() {
+    return this.recorder !== null && this.recorder.state !== 'inactive';
+  }
+  
+  /**
+   * Start recording
+   * @param {Object} options - Recording options
+   * @param {number} options.fps - Capture frame rate
+   */
+  start({ fps = 30 } = {}) {
+    if (this.isRecording()) return;
+    
+    const mimeType = getSupportedMimeType();
+    if (!mimeType) {
+      throw new Error('Recording is not supported in this browser');
+    }
+    
+    const stream = this.canvas.captureStream(fps);
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: getRecordingBitrate(this.canvas.width, this.canvas.height, fps)
+    });
+    
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    
+    // Hand over data every second so a crash doesn't lose the whole clip
+    this.recorder.start(1000);
+  }
+  
+  /**
+   * Stop recording
+   * @returns {Promise<Blob>} - Recorded WebM clip
+   */
+  stop() {
+    if (!this.isRecording()) {
+      return Promise.reject(new Error('Not recording'));
+    }
+    
+    const recorder = this.recorder;
+    return new Promise(resolve => {
+      recorder.onstop = () => {
+        recorder.stream.getTracks().forEach(track => track.stop());
+        this.recorder = null;
+        resolve(new Blob(this.chunks, { type: recorder.mimeType || 'video/webm' }));
+        this.chunks = [];
+      };
+      recorder.stop();
+    });
+  }
+}
+
+/**
+ * Save a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
@@ -0,0 +1,189 @@
+// src/recording/OfflineRenderer.js
+// Frame-by-frame export: every frame is rendered at its exact timeline position
+// and encoded before the next one, so slow frames stretch the render, not the video
+
+import { WebMWriter } from './WebMWriter.js';
+import { getRecordingBitrate } from './CanvasRecorder.js';
+
+// Encoder configs to try, best first, with the matching Matroska codec ID
+const CODECS = [
+  { codec: 'vp09.00.10.08', webmCodec: 'V_VP9' },
+  { codec: 'vp8', webmCodec: 'V_VP8' }
+];
+
+// Frames queued in the encoder before rendering waits for it to catch up
+const MAX_ENCODE_QUEUE = 4;
+
+/**
+ * Let the browser handle input and paint the progress UI
+ * @returns {Promise<void>}
+ */
+function yieldToBrowser() {
+  return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Find an encoder config this browser supports
+ * @param {number} width - Frame width in pixels
+ * @param {number} height - Frame height in pixels
+ * @param {number} fps - Frames per second
+ * @returns {Promise<Object|null>} - { config, webmCodec }, or null without WebCodecs support
+ */
+async function findEncoderConfig(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') {
+    return null;
+  }
+  
+  for (const { codec, webmCodec } of CODECS) {
+    const config = {
+      codec,
+      width,
+      height,
+      framerate: fps,
+      bitrate: getRecordingBitrate(width, height, fps)
+    };
+    
+    try {
+      const { supported } = await VideoEncoder.isConfigSupported(config);
+      if (supported) {
+        return { config, webmCodec };
+      }
+    } catch (e) {
+      // Malformed codec strings throw in some browsers - try the next one
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Render and encode a clip frame by frame
+ * Uses WebCodecs when available; otherwise frames are pushed into a MediaRecorder
+ * at real-time pace, which only drops frames if rendering can't keep up
+ * @param {Object} options - Render options
+ * @param {HTMLCanvasElement} options.canvas - Canvas the frames are drawn on
+ * @param {number} options.fps - Frames per second
+ * @param {number} options.frameCount - Number of frames to render
+ * @param {Function} options.renderFrame - (index) => void, draws frame index onto the canvas
+ * @param {Function} options.onProgress - Optional (fraction) => void
+ * @param {Function} options.isCancelled - Optional () => boolean, checked between frames
+ * @returns {Promise<Blob|null>} - WebM clip, or null if cancelled
+ */
+export async function renderOffline({ canvas, fps, frameCount, renderFrame, onProgress = null, isCancelled = () => false }) {
+  const encoderConfig = await findEncoderConfig(canvas.width, canvas.height, fps);
+  
+  if (!encoderConfig) {
+    return renderPaced({ canvas, fps, frameCount, renderFrame, onProgress, isCancelled });
+  }
+  
+  const writer = new WebMWriter({
+    codec: encoderConfig.webmCodec,
+    width: canvas.width,
+    height: canvas.height,
+    frameRate: fps
+  });
+  
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: chunk => writer.addChunk(chunk),
+    error: error => {
+      encoderError = error;
+    }
+  });
+  encoder.configure(encoderConfig.config);
+  
+  const frameDuration = 1000000 / fps; // Microseconds
+  
+  try {
+    for (let index = 0; index < frameCount; index++) {
+      if (isCancelled()) return null;
+      if (encoderError) throw encoderError;
+      
+      renderFrame(index);
+      
+      // The frame has to be taken right after drawing, before the buffer is presented
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(index * frameDuration),
+        duration: Math.round(frameDuration)
+      });
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+      frame.close();
+      
+      // Back off while the encoder is behind
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await yieldToBrowser();
+      }
+      
+      if (index % 5 === 0) {
+        if (onProgress) onProgress(index / frameCount);
+        await yieldToBrowser();
+      }
+    }
+    
+    await encoder.flush();
+    if (encoderError) throw encoderError;
+  } finally {
+    if (encoder.state !== 'closed') {
+      encoder.close();
+    }
+  }
+  
+  if (onProgress) onProgress(1);
+  return writer.finalize();
+}
+
+/**
+ * Fallback for browsers without WebCodecs - capture frames on demand, one per frame interval
+ * @param {Object} options - Same as renderOffline
+ * @returns {Promise<Blob|null>} - WebM clip, or null if cancelled
+ */
+async function renderPaced({ canvas, fps, frameCount, renderFrame, onProgress, isCancelled }) {
+  if (typeof MediaRecorder === 'undefined' || typeof canvas.captureStream !== 'function') {
+    throw new Error('Video export is not supported in this browser');
+  }
+  
+  // Frame rate 0 means frames are only captured when requested
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const chunks = [];
+  const recorder = new MediaRecorder(stream, {
+    mimeType: MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm',
+    videoBitsPerSecond: getRecordingBitrate(canvas.width, canvas.height, fps)
+  });
+  recorder.ondataavailable = event => {
+    if (event.data.size > 0) chunks.push(event.data);
+  };
+  
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+  recorder.start();
+  
+  const startTime = performance.now();
+  let cancelled = false;
+  
+  for (let index = 0; index < frameCount; index++) {
+    if (isCancelled()) {
+      cancelled = true;
+      break;
+    }
+    
+    renderFrame(index);
+    track.requestFrame();
+    
+    if (onProgress && index % 5 === 0) onProgress(index / frameCount);
+    
+    // MediaRecorder timestamps frames with the wall clock, so keep to the frame rate
+    const nextFrameTime = startTime + ((index + 1) * 1000) / fps;
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, nextFrameTime - performance.now())));
+  }
+  
+  recorder.stop();
+  await stopped;
+  track.stop();
+  
+  if (cancelled) return null;
+  
+  if (onProgress) onProgress(1);
+  return new Blob(chunks, { type: 'video/webm' });
+}
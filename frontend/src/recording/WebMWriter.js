@@ -0,0 +1,245 @@
+// src/recording/WebMWriter.js
+// Minimal WebM muxer for a single track of encoded VP8/VP9 video chunks
+// (EBML header, segment info, one track, clusters of SimpleBlocks - no cues)
+
+const textEncoder = new TextEncoder();
+
+// Element IDs from the Matroska spec
+const IDS = {
+  EBML: 0x1a45dfa3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42f7,
+  EBMLMaxIDLength: 0x42f2,
+  EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549a966,
+  TimecodeScale: 0x2ad7b1,
+  Duration: 0x4489,
+  MuxingApp: 0x4d80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654ae6b,
+  TrackEntry: 0xae,
+  TrackNumber: 0xd7,
+  TrackUID: 0x73c5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  DefaultDuration: 0x23e383,
+  Video: 0xe0,
+  PixelWidth: 0xb0,
+  PixelHeight: 0xba,
+  Cluster: 0x1f43b675,
+  Timecode: 0xe7,
+  SimpleBlock: 0xa3
+};
+
+// Block timecodes are signed 16-bit offsets from the cluster timecode
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+/**
+ * Encode an unsigned integer big-endian in as few bytes as possible
+ * @param {number} value - Non-negative integer
+ * @returns {Uint8Array} - Encoded bytes
+ */
+function encodeUint(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Encode an element size as an EBML variable-length integer
+ * @param {number} size - Size in bytes
+ * @returns {Uint8Array} - Encoded size
+ */
+function encodeSize(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) {
+    length++;
+  }
+  
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  
+  return bytes;
+}
+
+/**
+ * Build an element from raw bytes or child elements
+ * Elements are kept as lists of parts so large frames are never copied
+ * @param {number} id - Element ID
+ * @param {Uint8Array|Array<Object>} content - Payload bytes or child elements
+ * @returns {Object} - { parts, length }
+ */
+function element(id, content) {
+  const children = content instanceof Uint8Array ?
+    [{ parts: [content], length: content.length }] :
+    content;
+  
+  const length = children.reduce((sum, child) => sum + child.length, 0);
+  const header = [encodeUint(id), encodeSize(length)];
+  
+  return {
+    parts: [...header, ...children.flatMap(child => child.parts)],
+    length: header[0].length + header[1].length + length
+  };
+}
+
+/**
+ * Build an unsigned integer element
+ * @param {number} id - Element ID
+ * @param {number} value - Value
+ * @returns {Object} - Element
+ */
+function uintElement(id, value) {
+  return element(id, encodeUint(value));
+}
+
+/**
+ * Build a string element
+ * @param {number} id - Element ID
+ * @param {string} value - Value
+ * @returns {Object} - Element
+ */
+function stringElement(id, value) {
+  return element(id, textEncoder.encode(value));
+}
+
+/**
+ * Build a 64-bit float element
+ * @param {number} id - Element ID
+ * @param {number} value - Value
+ * @returns {Object} - Element
+ */
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+/**
+ * WebMWriter - Collects encoded chunks from a VideoEncoder and writes a WebM file
+ */
+export class WebMWriter {
+  /**
+   * @param {Object} options - Track options
+   * @param {string} options.codec - Matroska codec ID ('V_VP9' or 'V_VP8')
+   * @param {number} options.width - Frame width in pixels
+   * @param {number} options.height - Frame height in pixels
+   * @param {number} options.frameRate - Frames per second
+   */
+  constructor({ codec, width, height, frameRate }) {
+    this.codec = codec;
+    this.width = width;
+    this.height = height;
+    this.frameRate = frameRate;
+    this.frames = [];
+  }
+  
+  /**
+   * Add an encoded chunk
+   * @param {EncodedVideoChunk} chunk - Chunk from VideoEncoder output
+   */
+  addChunk(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    
+    this.frames.push({
+      data,
+      timestamp: Math.round(chunk.timestamp / 1000), // µs to ms
+      isKey: chunk.type === 'key'
+    });
+  }
+  
+  /**
+   * Write the file
+   * @returns {Blob} - WebM video
+   */
+  finalize() {
+    const frameDurationMs = 1000 / this.frameRate;
+    const lastTimestamp = this.frames.length > 0 ? this.frames[this.frames.length - 1].timestamp : 0;
+    
+    const header = element(IDS.EBML, [
+      uintElement(IDS.EBMLVersion, 1),
+      uintElement(IDS.EBMLReadVersion, 1),
+      uintElement(IDS.EBMLMaxIDLength, 4),
+      uintElement(IDS.EBMLMaxSizeLength, 8),
+      stringElement(IDS.DocType, 'webm'),
+      uintElement(IDS.DocTypeVersion, 2),
+      uintElement(IDS.DocTypeReadVersion, 2)
+    ]);
+    
+    const info = element(IDS.Info, [
+      uintElement(IDS.TimecodeScale, 1000000), // Timecodes in milliseconds
+      floatElement(IDS.Duration, lastTimestamp + frameDurationMs),
+      stringElement(IDS.MuxingApp, 'spotify-visualizer'),
+      stringElement(IDS.WritingApp, 'spotify-visualizer')
+    ]);
+    
+    const tracks = element(IDS.Tracks, [
+      element(IDS.TrackEntry, [
+        uintElement(IDS.TrackNumber, 1),
+        uintElement(IDS.TrackUID, 1),
+        uintElement(IDS.TrackType, 1), // Video
+        stringElement(IDS.CodecID, this.codec),
+        uintElement(IDS.DefaultDuration, Math.round(frameDurationMs * 1000000)),
+        element(IDS.Video, [
+          uintElement(IDS.PixelWidth, this.width),
+          uintElement(IDS.PixelHeight, this.height)
+        ])
+      ])
+    ]);
+    
+    const segment = element(IDS.Segment, [info, tracks, ...this.buildClusters()]);
+    
+    return new Blob([...header.parts, ...segment.parts], { type: 'video/webm' });
+  }
+  
+  /**
+   * Group frames into clusters, starting a new one on each keyframe
+   * @returns {Array<Object>} - Cluster elements
+   */
+  buildClusters() {
+    const clusters = [];
+    let blocks = [];
+    let clusterTime = 0;
+    
+    const flush = () => {
+      if (blocks.length > 0) {
+        clusters.push(element(IDS.Cluster, [uintElement(IDS.Timecode, clusterTime), ...blocks]));
+      }
+      blocks = [];
+    };
+    
+    this.frames.forEach(frame => {
+      if (blocks.length === 0 || frame.isKey || frame.timestamp - clusterTime > MAX_CLUSTER_SPAN_MS) {
+        flush();
+        clusterTime = frame.timestamp;
+      }
+      
+      // Track number (as a vint), relative timecode and flags precede the frame data
+      const blockHeader = new Uint8Array(4);
+      const view = new DataView(blockHeader.buffer);
+      blockHeader[0] = 0x81;
+      view.setInt16(1, frame.timestamp - clusterTime);
+      blockHeader[3] = frame.isKey ? 0x80 : 0x00;
+      
+      blocks.push(element(IDS.SimpleBlock, [
+        { parts: [blockHeader, frame.data], length: blockHeader.length + frame.data.length }
+      ]));
+    });
+    flush();
+    
+    return clusters;
+  }
+}
@@ -0,0 +1,289 @@
+// src/spotify/PersistentCache.js
+// IndexedDB-backed cache for Spotify responses that survive reloads
+// (TTL, size-bounded LRU eviction, versioned entries, in-memory front layer)
+
+// Bump when the shape of cached responses changes - older entries are dropped
+export const CACHE_VERSION = 1;
+
+// IndexedDB schema version for the object stores below
+const SCHEMA_VERSION = 1;
+
+const VALUES_STORE = 'values';
+const META_STORE = 'meta';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} - Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to finish
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open (and create or upgrade) the database for one cache
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase|null>} - Database, or null if IndexedDB is unavailable
+ */
+function openDatabase(dbName) {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.resolve(null);
+  }
+  
+  return new Promise(resolve => {
+    let request;
+    try {
+      request = indexedDB.open(dbName, SCHEMA_VERSION);
+    } catch (error) {
+      console.warn('IndexedDB unavailable, caching in memory only:', error);
+      resolve(null);
+      return;
+    }
+    
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      
+      // Schema changes start from an empty cache
+      for (const name of Array.from(db.objectStoreNames)) {
+        db.deleteObjectStore(name);
+      }
+      
+      // Values are kept apart from their metadata so eviction
+      // can scan sizes without loading hundreds of KB per entry
+      db.createObjectStore(VALUES_STORE);
+      const meta = db.createObjectStore(META_STORE, { keyPath: 'key' });
+      meta.createIndex('accessedAt', 'accessedAt');
+    };
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('Could not open cache database, caching in memory only:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => {
+      console.warn('Cache database upgrade blocked by another tab');
+    };
+  });
+}
+
+/**
+ * Create a persistent cache
+ * @param {Object} options - Cache options
+ * @param {string} options.name - Cache name, used for the database name
+ * @param {number} options.ttl - Time to live in milliseconds
+ * @param {number} options.maxBytes - Approximate size limit of the stored values
+ * @param {number} options.maxMemoryEntries - Entries also kept in memory for fast repeat lookups
+ * @returns {Object} - Cache with get, set, delete, clear and getStats methods
+ */
+export function createPersistentCache({
+  name,
+  ttl = 30 * 24 * 60 * 60 * 1000,
+  maxBytes = 50 * 1024 * 1024,
+  maxMemoryEntries = 20
+}) {
+  const memory = new Map();
+  const stats = { hits: 0, misses: 0, memoryHits: 0, evictions: 0 };
+  let dbPromise = null;
+  
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(`spotify-visualizer-${name}`);
+    }
+    return dbPromise;
+  };
+  
+  const isFresh = entry => entry.version === CACHE_VERSION && Date.now() - entry.storedAt < ttl;
+  
+  const remember = (key, entry) => {
+    // Map iteration order doubles as LRU order
+    memory.delete(key);
+    memory.set(key, entry);
+    
+    while (memory.size > maxMemoryEntries) {
+      memory.delete(memory.keys().next().value);
+    }
+  };
+  
+  /**
+   * Delete least recently used entries until the cache fits in maxBytes
+   * @param {IDBDatabase} db - Cache database
+   */
+  const evict = async db => {
+    const transaction = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+    const values = transaction.objectStore(VALUES_STORE);
+    const index = transaction.objectStore(META_STORE).index('accessedAt');
+    
+    const entries = await promisify(index.getAll());
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    
+    // Oldest access first
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      
+      values.delete(entry.key);
+      transaction.objectStore(META_STORE).delete(entry.key);
+      memory.delete(entry.key);
+      total -= entry.size;
+      stats.evictions++;
+    }
+    
+    await transactionDone(transaction);
+  };
+  
+  return {
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<any>} - Cached value, or undefined on a miss
+     */
+    async get(key) {
+      const cached = memory.get(key);
+      if (cached && isFresh(cached)) {
+        remember(key, cached);
+        stats.hits++;
+        stats.memoryHits++;
+        return cached.value;
+      }
+      
+      try {
+        const db = await getDatabase();
+        if (db) {
+          const transaction = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+          const meta = transaction.objectStore(META_STORE);
+          const entry = await promisify(meta.get(key));
+          
+          if (entry && isFresh(entry)) {
+            const value = await promisify(transaction.objectStore(VALUES_STORE).get(key));
+            
+            // Touch for LRU eviction
+            meta.put({ ...entry, accessedAt: Date.now() });
+            await transactionDone(transaction);
+            
+            remember(key, { ...entry, value });
+            stats.hits++;
+            return value;
+          }
+          
+          // Expired or written by an older version
+          if (entry) {
+            meta.delete(key);
+            transaction.objectStore(VALUES_STORE).delete(key);
+          }
+          await transactionDone(transaction);
+        }
+      } catch (error) {
+        console.warn(`Cache read failed (${name}):`, error);
+      }
+      
+      memory.delete(key);
+      stats.misses++;
+      return undefined;
+    },
+    
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {any} value - JSON-serializable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+      const now = Date.now();
+      const entry = {
+        key,
+        size: JSON.stringify(value)?.length || 0,
+        storedAt: now,
+        accessedAt: now,
+        version: CACHE_VERSION
+      };
+      
+      remember(key, { ...entry, value });
+      
+      // Too big to ever fit - keep it in memory for this session only
+      if (entry.size > maxBytes) return;
+      
+      try {
+        const db = await getDatabase();
+        if (!db) return;
+        
+        const transaction = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(VALUES_STORE).put(value, key);
+        transaction.objectStore(META_STORE).put(entry);
+        await transactionDone(transaction);
+        
+        await evict(db);
+      } catch (error) {
+        // Quota errors and the like shouldn't break playback
+        console.warn(`Cache write failed (${name}):`, error);
+      }
+    },
+    
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      memory.delete(key);
+      
+      try {
+        const db = await getDatabase();
+        if (!db) return;
+        
+        const transaction = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(VALUES_STORE).delete(key);
+        transaction.objectStore(META_STORE).delete(key);
+        await transactionDone(transaction);
+      } catch (error) {
+        console.warn(`Cache delete failed (${name}):`, error);
+      }
+    },
+    
+    /**
+     * Remove every value
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      memory.clear();
+      
+      try {
+        const db = await getDatabase();
+        if (!db) return;
+        
+        const transaction = db.transaction([VALUES_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(VALUES_STORE).clear();
+        transaction.objectStore(META_STORE).clear();
+        await transactionDone(transaction);
+      } catch (error) {
+        console.warn(`Cache clear failed (${name}):`, error);
+      }
+    },
+    
+    /**
+     * Get hit / miss counters
+     * @returns {Object} - Hits, misses, memory hits, evictions and hit rate (0-1)
+     */
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0
+      };
+    }
+  };
+}
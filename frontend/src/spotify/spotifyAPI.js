@@ -1,11 +1,22 @@
 // src/spotify/spotifyAPI.js with improved error handling and consistent implementation
 import axios from 'axios';
 import { refreshAccessToken, handleAuthError } from '../auth/handleAuth.js';
+import { createPersistentCache } from './PersistentCache.js';
 
 const BASE_URL = 'https://api.spotify.com/v1';
 
-const featuresCache = new Map();
-const analysisCache = new Map();
+// Analysis and features never change for a track, so they persist across reloads
+const featuresCache = createPersistentCache({
+  name: 'audio-features',
+  ttl: 90 * 24 * 60 * 60 * 1000,
+  maxBytes: 2 * 1024 * 1024,
+  maxMemoryEntries: 100
+});
+const analysisCache = createPersistentCache({
+  name: 'audio-analysis',
+  ttl: 30 * 24 * 60 * 60 * 1000,
+  maxBytes: 100 * 1024 * 1024
+});
 
 
 // Utility for showing messages to the user
@@ -108,17 +119,22 @@ function getDefaultAudioFeatures() {
  * Get audio features with caching and improved error handling
  * @param {string} trackId - Spotify track ID
  * @param {string} accessToken - Spotify access token
- * @returns {Promise<Object>} - Audio features data
+ * @param {Object} options - Request options
+ * @param {boolean} options.useDefaults - Return default features instead of null on failure
+ * @returns {Promise<Object|null>} - Audio features data
  */
-export async function getAudioFeatures(trackId, accessToken) {
+export async function getAudioFeatures(trackId, accessToken, { useDefaults = true } = {}) {
+  const fallback = () => useDefaults ? getDefaultAudioFeatures() : null;
+  
   if (!trackId) {
     console.error('No track ID provided for audio features');
-    return getDefaultAudioFeatures();
+    return fallback();
   }
   
   // Check cache first
-  if (featuresCache.has(trackId)) {
-    return featuresCache.get(trackId);
+  const cached = await featuresCache.get(trackId);
+  if (cached) {
+    return cached;
   }
   
   try {
@@ -147,14 +163,33 @@ export async function getAudioFeatures(trackId, accessToken) {
         console.warn('Premium account required for audio features access');
         // You can call showMessage() here if this function is properly defined/imported
       }
-      return getDefaultAudioFeatures();
+      return fallback();
     }
     
     // Return default features for any other error
-    return getDefaultAudioFeatures();
+    return fallback();
   }
 }
 
+/**
+ * Clear cached audio analysis and features, in memory and on disk
+ * @returns {Promise<void>}
+ */
+export async function clearAudioDataCache() {
+  await Promise.all([featuresCache.clear(), analysisCache.clear()]);
+}
+
+/**
+ * Get hit / miss counters for the audio data caches
+ * @returns {Object} - Stats for the features and analysis caches
+ */
+export function getAudioDataCacheStats() {
+  return {
+    features: featuresCache.getStats(),
+    analysis: analysisCache.getStats()
+  };
+}
+
 /**
  * Get detailed audio analysis for a track with caching
  * @param {string} trackId - Spotify track ID
@@ -168,8 +203,9 @@ export async function getAudioAnalysis(trackId, accessToken) {
   }
 
   // Check cache first
-  if (analysisCache.has(trackId)) {
-    return analysisCache.get(trackId);
+  const cached = await analysisCache.get(trackId);
+  if (cached) {
+    return cached;
   }
     
   try {
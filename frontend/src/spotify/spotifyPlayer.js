@@ -1,8 +1,9 @@
 // src/spotify/spotifyPlayer.js
 // Enhanced Spotify Player implementation with improved error handling and state management
 
+import { playbackStore, deviceReady, deviceLost } from '../state/playback.js';
+
 let player = null;
-let deviceId = null;
 let playerInitPromise = null;
 let playerInitResolver = null;
 let stateListeners = [];
@@ -95,17 +96,14 @@ export async function setupSpotifyPlayer(accessToken) {
 function setupPlayerEventListeners() {
   player.addListener('ready', ({ device_id }) => {
     console.log('Spotify Player ready with Device ID:', device_id);
-    deviceId = device_id;
     
-    // Store globally for other components
-    window.spotifyDeviceId = device_id;
+    // Shared with the other components through the playback store
+    playbackStore.dispatch(deviceReady(device_id));
   });
 
   player.addListener('not_ready', ({ device_id }) => {
     console.log('Device ID has gone offline:', device_id);
-    if (deviceId === device_id) {
-      deviceId = null;
-    }
+    playbackStore.dispatch(deviceLost(device_id));
   });
 
   player.addListener('initialization_error', ({ message }) => {
@@ -172,7 +170,7 @@ export function getPlayer() {
  * @returns {string} - Device ID
  */
 export function getDeviceId() {
-  return deviceId;
+  return playbackStore.getState().deviceId;
 }
 
 /**
@@ -182,7 +180,7 @@ export function getDeviceId() {
  * @returns {Promise}
  */
 export async function playTrack(uri, accessToken) {
-  const currentDeviceId = deviceId || window.spotifyDeviceId;
+  const currentDeviceId = getDeviceId();
   
   if (!currentDeviceId) {
     throw new Error('Player not initialized or device ID not available');
@@ -0,0 +1,83 @@
+// src/state/Store.js
+// Minimal observable store - state only changes through dispatched actions
+
+/**
+ * Store - Holds state produced by a reducer and notifies subscribers when it changes
+ */
+export class Store {
+  /**
+   * @param {Function} reducer - (state, action) => next state; returns the same object for no change
+   * @param {Object} initialState - State before the first action
+   */
+  constructor(reducer, initialState) {
+    this.reducer = reducer;
+    this.state = initialState;
+    this.listeners = new Set();
+    this.dispatching = false;
+  }
+  
+  /**
+   * Current state - treat it as read-only
+   * @returns {Object} - State
+   */
+  getState() {
+    return this.state;
+  }
+  
+  /**
+   * Apply an action and notify subscribers if the state changed
+   * @param {Object} action - Action with a type, from one of the action creators
+   * @returns {Object} - The dispatched action
+   */
+  dispatch(action) {
+    if (!action || typeof action.type !== 'string') {
+      throw new Error('Actions need a string type');
+    }
+    if (this.dispatching) {
+      throw new Error(`Cannot dispatch ${action.type} from inside the reducer`);
+    }
+    
+    const previous = this.state;
+    
+    try {
+      this.dispatching = true;
+      this.state = this.reducer(previous, action);
+    } finally {
+      this.dispatching = false;
+    }
+    
+    if (this.state !== previous) {
+      // Copied so listeners can unsubscribe while being notified
+      [...this.listeners].forEach(listener => listener(this.state, previous, action));
+    }
+    
+    return action;
+  }
+  
+  /**
+   * Listen for state changes
+   * @param {Function} listener - Called with (state, previousState, action)
+   * @returns {Function} - Removes the listener
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  /**
+   * Listen for changes to one part of the state
+   * @param {Function} selector - Picks the value to watch from the state
+   * @param {Function} listener - Called with (value, previousValue, state) when the value changes
+   * @returns {Function} - Removes the listener
+   */
+  select(selector, listener) {
+    return this.subscribe((state, previousState) => {
+      const value = selector(state);
+      const previousValue = selector(previousState);
+      
+      if (!Object.is(value, previousValue)) {
+        listener(value, previousValue, state);
+      }
+    });
+  }
+}
@@ -0,0 +1,239 @@
+// src/state/playback.js
+// Playback state shared by the visualizer and the UI: device, current track,
+// pause state, position and the track's analysis
+
+import { Store } from './Store.js';
+
+// Features used when Spotify can't provide any (failed fetch, local files)
+export const DEFAULT_AUDIO_FEATURES = {
+  energy: 0.5,
+  tempo: 120,
+  valence: 0.5,
+  danceability: 0.5,
+  acousticness: 0.5,
+  instrumentalness: 0.5,
+  liveness: 0.5,
+  speechiness: 0.5
+};
+
+/**
+ * Where the current track is playing from
+ * - spotify: the Web Playback SDK player
+ * - demo: the bundled demo playlist
+ * - local: a dropped audio file
+ */
+export const PLAYBACK_SOURCES = ['spotify', 'demo', 'local'];
+
+export const ActionTypes = Object.freeze({
+  DEVICE_READY: 'playback/deviceReady',
+  DEVICE_LOST: 'playback/deviceLost',
+  TRACK_CHANGED: 'playback/trackChanged',
+  PLAYER_STATE_UPDATED: 'playback/playerStateUpdated',
+  PLAYER_POSITION_REPORTED: 'playback/playerPositionReported',
+  PROGRESS_ESTIMATED: 'playback/progressEstimated',
+  PAUSE_CHANGED: 'playback/pauseChanged',
+  ANALYSIS_LOADED: 'playback/analysisLoaded',
+  RESET: 'playback/reset'
+});
+
+/**
+ * @typedef {Object} TrackItem
+ * @property {string|null} id - Spotify track ID, null for local files
+ * @property {string} name - Track name
+ * @property {Array<{name: string}>} artists - Artists, main artist first
+ * @property {{name: string, images: Array<{url: string}>}} album - Album name and covers
+ */
+
+/**
+ * @typedef {Object} PlaybackState
+ * @property {string|null} deviceId - Spotify Connect device of the web player
+ * @property {string|null} source - One of PLAYBACK_SOURCES, null before anything plays
+ * @property {string|null} trackId - ID of the current track
+ * @property {TrackItem|null} track - Current track
+ * @property {boolean} isPaused - Whether playback is paused
+ * @property {number} positionMs - Estimated position, advanced every frame
+ * @property {number} playerPositionMs - Last position the player reported
+ * @property {Object|null} analysis - Audio analysis of the current track
+ * @property {Object} features - Audio features of the current track
+ */
+
+/** @type {PlaybackState} */
+export const initialPlaybackState = Object.freeze({
+  deviceId: null,
+  source: null,
+  trackId: null,
+  track: null,
+  isPaused: false,
+  positionMs: 0,
+  playerPositionMs: 0,
+  analysis: null,
+  features: DEFAULT_AUDIO_FEATURES
+});
+
+/**
+ * The web player got a device ID
+ * @param {string} deviceId - Spotify Connect device ID
+ * @returns {Object} - Action
+ */
+export function deviceReady(deviceId) {
+  return { type: ActionTypes.DEVICE_READY, deviceId };
+}
+
+/**
+ * A device went offline
+ * @param {string} deviceId - Spotify Connect device ID
+ * @returns {Object} - Action
+ */
+export function deviceLost(deviceId) {
+  return { type: ActionTypes.DEVICE_LOST, deviceId };
+}
+
+/**
+ * A different track started - reported again for the same track, it is ignored
+ * @param {Object} options - Track details
+ * @param {string} options.source - One of PLAYBACK_SOURCES
+ * @param {TrackItem} options.track - The track
+ * @param {Object|null} options.analysis - Analysis, when it comes with the track (demo fixtures)
+ * @param {Object|null} options.features - Features, when they come with the track
+ * @returns {Object} - Action
+ */
+export function trackChanged({ source, track, analysis = null, features = null }) {
+  return { type: ActionTypes.TRACK_CHANGED, source, track, trackId: track.id ?? null, analysis, features };
+}
+
+/**
+ * The player reported its pause state and position
+ * @param {Object} options - Player state
+ * @param {boolean} options.isPaused - Whether playback is paused
+ * @param {number} options.positionMs - Position in ms
+ * @returns {Object} - Action
+ */
+export function playerStateUpdated({ isPaused, positionMs }) {
+  return { type: ActionTypes.PLAYER_STATE_UPDATED, isPaused, positionMs };
+}
+
+/**
+ * The player reported its position, without touching the estimate
+ * @param {number} positionMs - Position in ms
+ * @returns {Object} - Action
+ */
+export function playerPositionReported(positionMs) {
+  return { type: ActionTypes.PLAYER_POSITION_REPORTED, positionMs };
+}
+
+/**
+ * The render loop moved the position estimate
+ * @param {number} positionMs - Position in ms
+ * @returns {Object} - Action
+ */
+export function progressEstimated(positionMs) {
+  return { type: ActionTypes.PROGRESS_ESTIMATED, positionMs };
+}
+
+/**
+ * Playback paused or resumed
+ * @param {boolean} isPaused - Whether playback is paused
+ * @returns {Object} - Action
+ */
+export function pauseChanged(isPaused) {
+  return { type: ActionTypes.PAUSE_CHANGED, isPaused };
+}
+
+/**
+ * Analysis and features arrived for a track
+ * @param {string} trackId - Track they belong to
+ * @param {Object} analysis - Audio analysis
+ * @param {Object} features - Audio features
+ * @returns {Object} - Action
+ */
+export function analysisLoaded(trackId, analysis, features) {
+  return { type: ActionTypes.ANALYSIS_LOADED, trackId, analysis, features };
+}
+
+/**
+ * Forget everything, e.g. when the visualizer is disposed
+ * @returns {Object} - Action
+ */
+export function resetPlayback() {
+  return { type: ActionTypes.RESET };
+}
+
+/**
+ * Copy the state with some values changed, or return it as is if none differ
+ * @param {PlaybackState} state - Current state
+ * @param {Object} changes - Values to set
+ * @returns {PlaybackState} - Next state
+ */
+function update(state, changes) {
+  const changed = Object.keys(changes).some(key => !Object.is(state[key], changes[key]));
+  return changed ? { ...state, ...changes } : state;
+}
+
+/**
+ * Playback reducer
+ * @param {PlaybackState} state - Current state
+ * @param {Object} action - Action from one of the creators above
+ * @returns {PlaybackState} - Next state
+ */
+export function playbackReducer(state, action) {
+  switch (action.type) {
+    case ActionTypes.DEVICE_READY:
+      return update(state, { deviceId: action.deviceId });
+    
+    case ActionTypes.DEVICE_LOST:
+      return state.deviceId === action.deviceId ? update(state, { deviceId: null }) : state;
+    
+    case ActionTypes.TRACK_CHANGED:
+      // The player event and the poller both report track changes - only the first counts
+      if (action.trackId !== null && action.trackId === state.trackId && action.source === state.source) {
+        return state;
+      }
+      return {
+        ...state,
+        source: action.source,
+        trackId: action.trackId,
+        track: action.track,
+        analysis: action.analysis,
+        features: { ...DEFAULT_AUDIO_FEATURES, ...action.features }
+      };
+    
+    case ActionTypes.PLAYER_STATE_UPDATED:
+      return update(state, {
+        isPaused: action.isPaused,
+        positionMs: action.positionMs,
+        playerPositionMs: action.positionMs
+      });
+    
+    case ActionTypes.PLAYER_POSITION_REPORTED:
+      return update(state, { playerPositionMs: action.positionMs });
+    
+    case ActionTypes.PROGRESS_ESTIMATED:
+      return update(state, { positionMs: action.positionMs });
+    
+    case ActionTypes.PAUSE_CHANGED:
+      return update(state, { isPaused: action.isPaused });
+    
+    case ActionTypes.ANALYSIS_LOADED:
+      // A slow response for a track that is no longer playing
+      if (action.trackId !== state.trackId) return state;
+      return { ...state, analysis: action.analysis, features: action.features };
+    
+    case ActionTypes.RESET:
+      return initialPlaybackState;
+    
+    default:
+      return state;
+  }
+}
+
+/**
+ * Whether the position comes from the Spotify player (and can drift from it)
+ * @param {PlaybackState} state - Playback state
+ * @returns {boolean} - True while a Spotify track is current
+ */
+export function followsSpotifyPlayer(state) {
+  return state.source === 'spotify' && state.track !== null;
+}
+
+// Store shared by the visualizer and the UI
+export const playbackStore = new Store(playbackReducer, initialPlaybackState);
@@ -0,0 +1,194 @@
+// src/three/utils/AlbumPalette.js
+// Color palette taken from the current album cover, eased between tracks
+
+import * as THREE from 'three';
+
+// Colors kept per palette - covers with fewer distinct colors are padded
+const PALETTE_SIZE = 5;
+
+// Seconds for a new palette to mostly settle in
+const TRANSITION_TIME = 1.5;
+
+/**
+ * Keep a palette color readable against the dark background
+ * Near-grey colors keep their low saturation so monochrome covers stay monochrome
+ * @param {THREE.Color} color - Color to adjust in place
+ * @returns {THREE.Color} - The same color
+ */
+function ensureVisible(color) {
+  const hsl = {};
+  color.getHSL(hsl);
+  
+  const saturation = hsl.s > 0.1 ? Math.max(hsl.s, 0.45) : hsl.s;
+  const lightness = THREE.MathUtils.clamp(hsl.l, 0.35, 0.75);
+  
+  return color.setHSL(hsl.h, saturation, lightness);
+}
+
+/**
+ * AlbumPalette - Extracts cover colors in a worker and eases the visible
+ * palette towards them, so visualizations can read it every frame
+ */
+export class AlbumPalette {
+  constructor() {
+    this.worker = null;
+    this.requestId = 0;
+    this.imageUrl = null;
+    
+    // Colors visualizations read, eased towards the targets
+    this.colors = Array.from({ length: PALETTE_SIZE }, () => new THREE.Color(0x1db954));
+    this.targets = this.colors.map(color => color.clone());
+    
+    // How much visualizations should follow the palette (0 when there is no cover)
+    this.strength = 0;
+    this.targetStrength = 0;
+    
+    this.palette = {
+      base: this.colors[0],
+      bass: this.colors[0],
+      mid: this.colors[1],
+      high: this.colors[2],
+      colors: this.colors,
+      strength: 0
+    };
+  }
+  
+  /**
+   * Extract the palette of a new cover
+   * @param {string|null} url - Album image URL, or null for tracks without art
+   * @returns {Promise<void>}
+   */
+  async setImage(url) {
+    if (url === this.imageUrl) return;
+    this.imageUrl = url;
+    
+    if (!url) {
+      this.clear();
+      return;
+    }
+    
+    try {
+      const colors = await this.extract(url);
+      
+      // Another track started while this cover was being processed
+      if (url !== this.imageUrl) return;
+      
+      if (colors.length === 0) {
+        this.clear();
+        return;
+      }
+      
+      this.setTargets(colors);
+    } catch (error) {
+      console.warn('Could not extract album palette:', error);
+      if (url === this.imageUrl) {
+        this.clear();
+      }
+    }
+  }
+  
+  /**
+   * Fade back to the visualizations' own colors
+   */
+  clear() {
+    this.imageUrl = null;
+    this.targetStrength = 0;
+  }
+  
+  /**
+   * Run the palette worker on an image
+   * @param {string} url - Image URL
+   * @returns {Promise<Array<Object>>} - Colors as { r, g, b, weight }, most common first
+   */
+  extract(url) {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+      return Promise.reject(new Error('Workers with OffscreenCanvas are not supported'));
+    }
+    
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./paletteWorker.js', import.meta.url), { type: 'module' });
+    }
+    
+    const id = ++this.requestId;
+    
+    return new Promise((resolve, reject) => {
+      const handleMessage = (event) => {
+        if (event.data.id !== id) return;
+        
+        this.worker.removeEventListener('message', handleMessage);
+        if (event.data.error) {
+          reject(new Error(event.data.error));
+        } else {
+          resolve(event.data.colors);
+        }
+      };
+      
+      this.worker.addEventListener('message', handleMessage);
+      this.worker.postMessage({ id, url });
+    });
+  }
+  
+  /**
+   * Rank extracted colors and make them the new targets
+   * Vivid colors win over large dull areas, so the base is the cover's accent
+   * @param {Array<Object>} extracted - Colors as { r, g, b, weight }
+   */
+  setTargets(extracted) {
+    const hsl = {};
+    const ranked = extracted
+      .map(({ r, g, b, weight }) => {
+        // Worker colors are sRGB pixel values, like the cover texture
+        const color = new THREE.Color().setRGB(r, g, b, THREE.SRGBColorSpace);
+        color.getHSL(hsl);
+        return { color, score: weight * (0.25 + hsl.s) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map(({ color }) => ensureVisible(color));
+    
+    // Pad single- or two-color covers with neighbours of the main color
+    const offsets = [[0.06, 0.1], [-0.06, -0.1], [0.12, 0], [-0.12, 0]];
+    for (let i = 0; ranked.length < PALETTE_SIZE; i++) {
+      const [hue, lightness] = offsets[i % offsets.length];
+      ranked.push(ensureVisible(ranked[0].clone().offsetHSL(hue, 0, lightness)));
+    }
+    
+    this.targets.forEach((target, i) => target.copy(ranked[i]));
+    
+    // Coming from no palette, jump to the new colors and fade them in
+    if (this.strength < 0.01) {
+      this.colors.forEach((color, i) => color.copy(this.targets[i]));
+    }
+    
+    this.targetStrength = 1;
+  }
+  
+  /**
+   * Ease the visible palette towards the targets
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    const t = 1 - Math.exp(-deltaTime * 3 / TRANSITION_TIME);
+    
+    this.colors.forEach((color, i) => color.lerp(this.targets[i], t));
+    this.strength += (this.targetStrength - this.strength) * t;
+    this.palette.strength = this.strength;
+  }
+  
+  /**
+   * Get the current palette
+   * @returns {Object|null} - { base, bass, mid, high, colors, strength }, or null without a cover
+   */
+  getPalette() {
+    return this.strength > 0.001 ? this.palette : null;
+  }
+  
+  /**
+   * Stop the worker
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+}
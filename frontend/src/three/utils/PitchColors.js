@@ -0,0 +1,70 @@
+// src/three/utils/PitchColors.js
+// Maps pitch classes and keys to colors so harmonic changes are visible
+
+import * as THREE from 'three';
+
+const scratchColor = new THREE.Color();
+
+// Pitch class names, index 0 = C
+export const PITCH_CLASS_NAMES = ['C', 'C♯', 'D', 'E♭', 'E', 'F', 'F♯', 'G', 'A♭', 'A', 'B♭', 'B'];
+
+/**
+ * Hue for a pitch class, laid out around the circle of fifths
+ * so closely related keys get neighbouring colors
+ * @param {number} pitchClass - Pitch class (0 = C ... 11 = B)
+ * @returns {number} - Hue (0-1)
+ */
+export function getPitchClassHue(pitchClass) {
+  const fifthsPosition = (pitchClass * 7) % 12;
+  return fifthsPosition / 12;
+}
+
+/**
+ * Color for a single pitch class
+ * Major keys are brighter, minor keys deeper
+ * @param {number} pitchClass - Pitch class (0 = C ... 11 = B)
+ * @param {number} mode - 1 = major, 0 = minor
+ * @param {THREE.Color} target - Optional color to write into
+ * @returns {THREE.Color} - Pitch color
+ */
+export function getPitchClassColor(pitchClass, mode = 1, target = new THREE.Color()) {
+  const lightness = mode === 0 ? 0.42 : 0.55;
+  const saturation = mode === 0 ? 0.65 : 0.8;
+  
+  return target.setHSL(getPitchClassHue(pitchClass), saturation, lightness);
+}
+
+/**
+ * Ease a color towards the current harmonic color
+ * Uses the dominant pitch class, falling back to the key of the track
+ * when no pitch is clear (silence, noise, no analysis)
+ * @param {THREE.Color} color - Color to ease in place
+ * @param {Object} audioFeatures - Audio data with dominantPitchClass, key and mode
+ * @param {number} smoothing - Easing factor per frame (0-1)
+ * @returns {boolean} - True if a pitch or key is known
+ */
+export function followPitchColor(color, audioFeatures, smoothing = 0.05) {
+  const mode = audioFeatures?.mode ?? 1;
+  let pitchClass = audioFeatures?.dominantPitchClass ?? -1;
+  
+  if (pitchClass < 0) {
+    pitchClass = audioFeatures?.key ?? -1;
+  }
+  
+  if (pitchClass < 0) return false;
+  
+  getPitchClassColor(pitchClass, mode, scratchColor);
+  color.lerp(scratchColor, smoothing);
+  return true;
+}
+
+/**
+ * Name of a key for display, e.g. "F♯ minor"
+ * @param {number} key - Key pitch class, -1 if unknown
+ * @param {number} mode - 1 = major, 0 = minor
+ * @returns {string} - Key name, or empty string if unknown
+ */
+export function getKeyName(key, mode = 1) {
+  if (key === undefined || key < 0) return '';
+  return `${PITCH_CLASS_NAMES[key]} ${mode === 0 ? 'minor' : 'major'}`;
+}
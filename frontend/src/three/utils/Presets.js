@@ -0,0 +1,253 @@
+// src/three/utils/Presets.js
+// Named snapshots of the visualization configs, saved to localStorage and shared as JSON files
+
+import * as THREE from 'three';
+import { getVisualization, getVisualizations } from '../visualizations/index.js';
+import { transitionConfig, transitionConfigSchema } from './VisualizationTransition.js';
+import { downloadBlob } from '../../recording/CanvasRecorder.js';
+
+// Bump when the preset file format changes
+export const PRESET_VERSION = 1;
+
+const STORAGE_KEY = 'spotify_visualizer_presets';
+
+/**
+ * Copy a config into plain JSON values (colors become hex strings)
+ * @param {Object} config - Visualization config
+ * @returns {Object} - JSON-serializable copy
+ */
+function serializeConfig(config) {
+  const values = {};
+  
+  Object.entries(config).forEach(([key, value]) => {
+    if (value instanceof THREE.Color) {
+      values[key] = `#${value.getHexString()}`;
+    } else if (value && typeof value === 'object') {
+      values[key] = serializeConfig(value);
+    } else {
+      values[key] = value;
+    }
+  });
+  
+  return values;
+}
+
+/**
+ * Read a possibly nested value
+ * @param {Object} object - Object to read from
+ * @param {string} key - Key, dotted for nested values
+ * @returns {any} - The value, or undefined if the path doesn't exist
+ */
+function getValue(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+/**
+ * Check a preset value against its schema field
+ * @param {Object} field - Schema entry
+ * @param {any} value - Value from the preset
+ * @param {any} current - Value currently in the config
+ * @returns {any} - Value to write, or undefined to keep the current one
+ */
+function validateValue(field, value, current) {
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return undefined;
+      return Math.min(field.max ?? Infinity, Math.max(field.min ?? -Infinity, value));
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'color':
+      // Colors stored as hex numbers keep that form
+      if (typeof current === 'number' && typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+        return parseInt(value.slice(1), 16);
+      }
+      return typeof value === 'string' || typeof value === 'number' ? value : undefined;
+    default:
+      if (typeof value !== 'string') return undefined;
+      return !field.options || field.options.includes(value) ? value : undefined;
+  }
+}
+
+/**
+ * Write preset values into a live config, in place so modules holding it see the change
+ * Only schema fields are written, plus colors outside the schema that createPreset saves;
+ * numbers are clamped to the field's range and values of the wrong type are skipped
+ * @param {Object} config - Visualization config to update
+ * @param {Object} values - Serialized values from a preset
+ * @param {Object} schema - Config schema (keys may be dotted paths)
+ */
+function applyConfigValues(config, values, schema) {
+  if (!values || typeof values !== 'object') return;
+  
+  Object.entries(schema).forEach(([key, field]) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const target = parts.length > 0 ? getValue(config, parts.join('.')) : config;
+    if (!target || typeof target !== 'object' || !(last in target)) return;
+    
+    const current = target[last];
+    const value = validateValue(field, getValue(values, key), current);
+    if (value === undefined) return;
+    
+    if (current instanceof THREE.Color) {
+      current.set(value);
+    } else {
+      target[last] = value;
+    }
+  });
+  
+  Object.entries(values).forEach(([key, value]) => {
+    if (key in schema || !(config[key] instanceof THREE.Color)) return;
+    
+    if (typeof value === 'string' || typeof value === 'number') {
+      config[key].set(value);
+    }
+  });
+}
+
+/**
+ * Capture the current look as a preset
+ * Every registered visualization's config is included so auto scene changes keep the look
+ * @param {string} name - Preset name
+ * @param {string} mode - Active visualization mode
+ * @returns {Object} - Preset
+ */
+export function createPreset(name, mode) {
+  const configs = {};
+  getVisualizations().forEach(({ id, config }) => {
+    configs[id] = serializeConfig(config);
+  });
+  
+  return {
+    version: PRESET_VERSION,
+    name,
+    mode,
+    configs,
+    transition: { ...transitionConfig },
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Apply a preset's configs and transition settings
+ * The caller recreates the visualization so count and geometry changes take effect
+ * @param {Object} preset - Preset to apply
+ * @returns {string} - Visualization mode the preset was saved with
+ */
+export function applyPresetConfigs(preset) {
+  Object.entries(preset.configs || {}).forEach(([id, values]) => {
+    const visualization = getVisualization(id);
+    if (visualization) {
+      applyConfigValues(visualization.config, values, visualization.configSchema);
+    }
+  });
+  
+  if (preset.transition) {
+    applyConfigValues(transitionConfig, preset.transition, transitionConfigSchema);
+  }
+  
+  return preset.mode;
+}
+
+/**
+ * Check that parsed JSON looks like a preset
+ * @param {any} data - Parsed JSON
+ * @returns {Object} - The preset
+ * @throws {Error} - If the data is not a usable preset
+ */
+function validatePreset(data) {
+  if (!data || typeof data !== 'object' || typeof data.name !== 'string' || !data.name.trim()) {
+    throw new Error('Not a visualizer preset');
+  }
+  if (data.version > PRESET_VERSION) {
+    throw new Error('Preset was made with a newer version of the visualizer');
+  }
+  if (!getVisualization(data.mode)) {
+    throw new Error(`Preset uses an unknown visualization: ${data.mode}`);
+  }
+  
+  return data;
+}
+
+/**
+ * Get the presets saved in this browser
+ * @returns {Array<Object>} - Saved presets, sorted by name
+ */
+export function loadPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return stored
+      .filter(preset => {
+        try {
+          validatePreset(preset);
+          return true;
+        } catch (e) {
+          return false;
+        }
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (e) {
+    console.warn('Could not read presets from localStorage:', e);
+    return [];
+  }
+}
+
+/**
+ * Save a preset, replacing any preset with the same name
+ * @param {Object} preset - Preset to save
+ * @returns {Array<Object>} - Saved presets after the change
+ */
+export function savePreset(preset) {
+  const presets = loadPresets().filter(existing => existing.name !== preset.name);
+  presets.push(preset);
+  writePresets(presets);
+  return loadPresets();
+}
+
+/**
+ * Delete a saved preset
+ * @param {string} name - Preset name
+ * @returns {Array<Object>} - Saved presets after the change
+ */
+export function deletePreset(name) {
+  writePresets(loadPresets().filter(preset => preset.name !== name));
+  return loadPresets();
+}
+
+/**
+ * Store the preset list
+ * @param {Array<Object>} presets - Presets to store
+ */
+function writePresets(presets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (e) {
+    console.warn('Could not save presets to localStorage:', e);
+  }
+}
+
+/**
+ * Download a preset as a JSON file
+ * @param {Object} preset - Preset to export
+ */
+export function exportPreset(preset) {
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+  downloadBlob(blob, `${preset.name.replace(/[^a-z0-9-_]+/gi, '-').toLowerCase() || 'preset'}.json`);
+}
+
+/**
+ * Read a preset from a JSON file
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} - The preset
+ * @throws {Error} - If the file is not valid JSON or not a preset
+ */
+export async function importPreset(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (e) {
+    throw new Error('Preset file is not valid JSON');
+  }
+  
+  return validatePreset(data);
+}
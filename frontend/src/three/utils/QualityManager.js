@@ -0,0 +1,236 @@
+// src/three/utils/QualityManager.js
+// Watches frame times and steps between quality tiers so weak machines stay smooth
+
+/**
+ * Quality tiers, lowest first
+ * Visualizations cap their own settings with the values they know about
+ * (see applyQuality in the visualization registry); powerPreference is only
+ * read when the renderer is created, since a WebGL context can't switch GPUs
+ */
+export const QUALITY_TIERS = [
+  {
+    id: 'low',
+    label: 'Low',
+    maxPixelRatio: 0.75,
+    shadowMapSize: 512,
+    numBars: 48,
+    particleCount: 800,
+    gpuParticleCount: 16384,
+    godRaysSamples: 0,
+    bloomResolution: 240,
+    smaa: false,
+    reflection: false,
+    terrainResolution: 0.5,
+    coverResolution: 64,
+    powerPreference: 'low-power'
+  },
+  {
+    id: 'medium',
+    label: 'Medium',
+    maxPixelRatio: 1,
+    shadowMapSize: 1024,
+    numBars: 96,
+    particleCount: 2000,
+    gpuParticleCount: 65536,
+    godRaysSamples: 30,
+    bloomResolution: 360,
+    smaa: false,
+    reflection: true,
+    terrainResolution: 0.75,
+    coverResolution: 96,
+    powerPreference: 'default'
+  },
+  {
+    id: 'high',
+    label: 'High',
+    maxPixelRatio: 2,
+    shadowMapSize: 2048,
+    numBars: 128,
+    particleCount: 10000,
+    gpuParticleCount: 131072,
+    godRaysSamples: 60,
+    bloomResolution: 480,
+    smaa: true,
+    reflection: true,
+    terrainResolution: 1,
+    coverResolution: 128,
+    powerPreference: 'high-performance'
+  }
+];
+
+const STORAGE_KEY = 'spotify_visualizer_quality';
+
+// Average FPS below which the tier drops, and above which it may rise again
+const DOWNGRADE_FPS = 45;
+const UPGRADE_FPS = 57;
+
+// Seconds of frames averaged before deciding to drop / to rise
+const DOWNGRADE_WINDOW = 2;
+const UPGRADE_WINDOW = 10;
+
+// Seconds to wait after a change before judging again (rebuilds cause hitches)
+const SETTLE_TIME = 3;
+
+// Seconds after dropping a tier before trying a higher one, so it doesn't flip-flop
+const UPGRADE_RETRY_DELAY = 60;
+
+// Gaps longer than this are hidden tabs or breakpoints, not slow frames
+const MAX_FRAME_TIME = 0.5;
+
+/**
+ * Find a tier by id
+ * @param {string} id - Tier id
+ * @returns {Object|null} - Tier, or null if unknown
+ */
+export function getQualityTier(id) {
+  return QUALITY_TIERS.find(tier => tier.id === id) || null;
+}
+
+/**
+ * QualityManager - Chooses a quality tier from measured frame times,
+ * unless the user has pinned one
+ */
+export class QualityManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {Function} options.onChange - Called with (tier) when the tier changes
+   */
+  constructor({ onChange = null } = {}) {
+    this.onChange = onChange;
+    
+    // A pinned tier from an earlier session wins over detection
+    this.pinnedId = this.loadPinned();
+    this.tierIndex = this.pinnedId ?
+      QUALITY_TIERS.findIndex(tier => tier.id === this.pinnedId) :
+      QUALITY_TIERS.length - 1;
+    
+    this.resetSamples();
+    this.lastFrameTime = null;
+    this.settleTime = SETTLE_TIME;
+    this.upgradeAllowedAt = 0;
+  }
+  
+  /**
+   * Read the pinned tier from localStorage
+   * @returns {string|null} - Tier id, or null for automatic
+   */
+  loadPinned() {
+    try {
+      const id = localStorage.getItem(STORAGE_KEY);
+      return getQualityTier(id) ? id : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  /**
+   * Current tier
+   * @returns {Object} - Tier settings
+   */
+  getTier() {
+    return QUALITY_TIERS[this.tierIndex];
+  }
+  
+  /**
+   * Whether the tier is chosen automatically
+   * @returns {boolean} - True unless the user pinned a tier
+   */
+  isAutomatic() {
+    return this.pinnedId === null;
+  }
+  
+  /**
+   * Pin a tier, or go back to automatic
+   * @param {string|null} id - Tier id, or null for automatic
+   */
+  pin(id) {
+    const tier = id ? getQualityTier(id) : null;
+    this.pinnedId = tier ? tier.id : null;
+    
+    try {
+      if (this.pinnedId) {
+        localStorage.setItem(STORAGE_KEY, this.pinnedId);
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    } catch (e) {
+      console.warn('Could not save quality setting:', e);
+    }
+    
+    if (tier) {
+      this.setTierIndex(QUALITY_TIERS.indexOf(tier));
+    } else {
+      // Start automatic detection from a clean slate
+      this.resetSamples();
+      this.settleTime = SETTLE_TIME;
+    }
+  }
+  
+  /**
+   * Record a frame - call once per animation frame with wall time
+   * Frame times are measured with the wall clock, not the render clock,
+   * because a fixed-step or scrubbed clock says nothing about performance
+   * @param {number} now - Wall time in seconds
+   */
+  frame(now) {
+    const frameTime = this.lastFrameTime === null ? 0 : now - this.lastFrameTime;
+    this.lastFrameTime = now;
+    
+    if (frameTime <= 0 || frameTime > MAX_FRAME_TIME || !this.isAutomatic()) return;
+    
+    if (this.settleTime > 0) {
+      this.settleTime -= frameTime;
+      return;
+    }
+    
+    this.sampleTime += frameTime;
+    this.sampleFrames++;
+    
+    const fps = this.sampleFrames / this.sampleTime;
+    
+    if (this.sampleTime >= DOWNGRADE_WINDOW && fps < DOWNGRADE_FPS && this.tierIndex > 0) {
+      console.log(`Average ${fps.toFixed(1)} fps - lowering quality`);
+      this.upgradeAllowedAt = now + UPGRADE_RETRY_DELAY;
+      this.setTierIndex(this.tierIndex - 1);
+    } else if (this.sampleTime >= UPGRADE_WINDOW) {
+      const canUpgrade = this.tierIndex < QUALITY_TIERS.length - 1 && now >= this.upgradeAllowedAt;
+      if (fps > UPGRADE_FPS && canUpgrade) {
+        console.log(`Average ${fps.toFixed(1)} fps - raising quality`);
+        this.setTierIndex(this.tierIndex + 1);
+      } else {
+        this.resetSamples();
+      }
+    }
+  }
+  
+  /**
+   * Forget the frame time gap, e.g. after the loop was suspended
+   */
+  skipFrame() {
+    this.lastFrameTime = null;
+  }
+  
+  /**
+   * Switch tiers and notify
+   * @param {number} index - Index into QUALITY_TIERS
+   */
+  setTierIndex(index) {
+    this.resetSamples();
+    this.settleTime = SETTLE_TIME;
+    
+    if (index === this.tierIndex) return;
+    
+    this.tierIndex = index;
+    if (this.onChange) {
+      this.onChange(this.getTier());
+    }
+  }
+  
+  /**
+   * Start a new measurement window
+   */
+  resetSamples() {
+    this.sampleTime = 0;
+    this.sampleFrames = 0;
+  }
+}
@@ -0,0 +1,269 @@
+// src/three/utils/VisualizationTransition.js
+// Blends the outgoing and incoming visualization when the mode changes
+
+import * as THREE from 'three';
+import { Effect, EffectPass, EffectAttribute, BlendFunction, EffectComposer, RenderPass } from 'postprocessing';
+
+// Layer the outgoing visualization is moved to, so the main render skips it
+const OUTGOING_LAYER = 31;
+
+// Shader ids for each transition type
+const TRANSITION_TYPES = {
+  crossfade: 0,
+  dissolve: 1,
+  zoom: 2
+};
+
+// Transition settings - editable at runtime
+export const transitionConfig = {
+  type: 'crossfade',   // 'crossfade' | 'dissolve' | 'zoom'
+  duration: 1.2        // Seconds, 0 switches instantly
+};
+
+// Fields of transitionConfig a preset may set, in the visualization configSchema format
+export const transitionConfigSchema = {
+  type: { type: 'string', options: Object.keys(TRANSITION_TYPES) },
+  duration: { type: 'number', min: 0, max: 5 }
+};
+
+const fragmentShader = `
+  uniform sampler2D outgoingBuffer;
+  uniform float progress;
+  uniform int transitionType;
+  
+  float hash(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+  
+  vec4 sampleMasked(sampler2D buffer, vec2 uv) {
+    float inside = step(0.0, uv.x) * step(uv.x, 1.0) * step(0.0, uv.y) * step(uv.y, 1.0);
+    return texture2D(buffer, clamp(uv, 0.0, 1.0)) * inside;
+  }
+  
+  void mainImage(const in vec4 inputColor, const in vec2 uv, out vec4 outputColor) {
+    if (transitionType == 1) {
+      // Dissolve - blocky noise decides when each pixel switches over
+      float noise = hash(floor(uv * resolution / 6.0));
+      float edge = smoothstep(noise - 0.08, noise + 0.08, progress * 1.16 - 0.08);
+      outputColor = mix(texture2D(outgoingBuffer, uv), inputColor, edge);
+    } else if (transitionType == 2) {
+      // Zoom through - fly into the outgoing scene while the new one grows from the center
+      vec2 center = vec2(0.5);
+      vec2 outgoingUv = center + (uv - center) / (1.0 + progress * progress * 3.0);
+      vec2 incomingUv = center + (uv - center) * mix(2.5, 1.0, progress);
+      vec4 outgoing = texture2D(outgoingBuffer, outgoingUv);
+      vec4 incoming = sampleMasked(inputBuffer, incomingUv);
+      outputColor = mix(outgoing, incoming, smoothstep(0.25, 0.75, progress));
+    } else {
+      // Crossfade
+      outputColor = mix(texture2D(outgoingBuffer, uv), inputColor, progress);
+    }
+  }
+`;
+
+/**
+ * TransitionEffect - Mixes a render of the outgoing visualization into the composer output
+ */
+class TransitionEffect extends Effect {
+  constructor() {
+    super('TransitionEffect', fragmentShader, {
+      attributes: EffectAttribute.CONVOLUTION,
+      blendFunction: BlendFunction.SET,
+      uniforms: new Map([
+        ['outgoingBuffer', new THREE.Uniform(null)],
+        ['progress', new THREE.Uniform(0)],
+        ['transitionType', new THREE.Uniform(0)]
+      ])
+    });
+  }
+}
+
+/**
+ * Get the scene children a callback adds
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {Function} callback - Function that adds objects to the scene
+ * @returns {Object} - { result, objects } with the callback result and added objects
+ */
+export function captureAddedObjects(scene, callback) {
+  const before = new Set(scene.children);
+  const result = callback();
+  const objects = scene.children.filter(child => !before.has(child));
+  
+  return { result, objects };
+}
+
+/**
+ * VisualizationTransition - Keeps the outgoing visualization alive on its own
+ * layer, renders it into a texture each frame and blends it with the new one
+ */
+export class VisualizationTransition {
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Three.js renderer
+   * @param {THREE.Scene} scene - Three.js scene
+   * @param {THREE.Camera} camera - Three.js camera
+   */
+  constructor(renderer, scene, camera) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    
+    this.effect = new TransitionEffect();
+    this.pass = new EffectPass(camera, this.effect);
+    this.renderTarget = null;
+    this.composer = null;
+    this.fallbackComposer = null;
+    
+    this.outgoing = null;
+    this.elapsed = 0;
+    this.duration = 0;
+  }
+  
+  /**
+   * Whether a transition is running
+   * @returns {boolean} - True while blending
+   */
+  isActive() {
+    return this.outgoing !== null;
+  }
+  
+  /**
+   * Start blending from the outgoing visualization
+   * @param {Object} outgoing - { definition, instance, objects } of the outgoing visualization
+   * @param {EffectComposer|null} composer - Composer of the incoming visualization
+   * @param {Object} options - Transition options
+   * @param {string} options.type - 'crossfade', 'dissolve' or 'zoom'
+   * @param {number} options.duration - Duration in seconds
+   * @returns {EffectComposer} - Composer to render with while the transition runs
+   */
+  start(outgoing, composer, { type = transitionConfig.type, duration = transitionConfig.duration } = {}) {
+    // Only one transition at a time
+    this.finish();
+    
+    this.outgoing = outgoing;
+    this.elapsed = 0;
+    this.duration = duration;
+    
+    // The main render only sees layer 0, so move the outgoing objects out of it
+    outgoing.objects.forEach(object => {
+      object.traverse(child => child.layers.set(OUTGOING_LAYER));
+    });
+    
+    // Lights have to be on the outgoing layer too for it to be lit
+    this.scene.traverse(child => {
+      if (child.isLight) child.layers.enable(OUTGOING_LAYER);
+    });
+    
+    const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+    if (!this.renderTarget) {
+      this.renderTarget = new THREE.WebGLRenderTarget(size.x, size.y);
+    } else {
+      this.renderTarget.setSize(size.x, size.y);
+    }
+    
+    this.effect.uniforms.get('outgoingBuffer').value = this.renderTarget.texture;
+    this.effect.uniforms.get('progress').value = 0;
+    this.effect.uniforms.get('transitionType').value = TRANSITION_TYPES[type] ?? TRANSITION_TYPES.crossfade;
+    
+    // Modes without postprocessing still need a composer to blend in
+    if (!composer) {
+      if (!this.fallbackComposer) {
+        this.fallbackComposer = new EffectComposer(this.renderer);
+        this.fallbackComposer.addPass(new RenderPass(this.scene, this.camera));
+      }
+      composer = this.fallbackComposer;
+    }
+    
+    this.composer = composer;
+    composer.addPass(this.pass);
+    
+    return composer;
+  }
+  
+  /**
+   * Advance the transition, disposing the outgoing visualization when it ends
+   * @param {number} deltaTime - Seconds since the last frame
+   */
+  update(deltaTime) {
+    if (!this.outgoing) return;
+    
+    this.elapsed += deltaTime;
+    const progress = this.duration > 0 ? Math.min(1, this.elapsed / this.duration) : 1;
+    
+    // Ease in and out so neither end snaps
+    this.effect.uniforms.get('progress').value = progress * progress * (3 - 2 * progress);
+    
+    if (progress >= 1) {
+      this.finish();
+    }
+  }
+  
+  /**
+   * Render the outgoing visualization into the blend texture
+   * Call before rendering the composer each frame
+   */
+  renderOutgoing() {
+    if (!this.outgoing) return;
+    
+    const mask = this.camera.layers.mask;
+    const previousTarget = this.renderer.getRenderTarget();
+    
+    this.camera.layers.set(OUTGOING_LAYER);
+    this.renderer.setRenderTarget(this.renderTarget);
+    this.renderer.clear();
+    this.renderer.render(this.scene, this.camera);
+    
+    this.renderer.setRenderTarget(previousTarget);
+    this.camera.layers.mask = mask;
+  }
+  
+  /**
+   * End the transition now and dispose the outgoing visualization
+   */
+  finish() {
+    if (!this.outgoing) return;
+    
+    const { definition, instance } = this.outgoing;
+    this.outgoing = null;
+    
+    if (this.composer) {
+      this.composer.removePass(this.pass);
+      this.composer = null;
+    }
+    
+    definition.dispose(instance, this.scene);
+  }
+  
+  /**
+   * Free the blend texture and passes
+   */
+  dispose() {
+    this.finish();
+    
+    if (this.renderTarget) {
+      this.renderTarget.dispose();
+      this.renderTarget = null;
+    }
+    if (this.fallbackComposer) {
+      this.fallbackComposer.dispose();
+      this.fallbackComposer = null;
+    }
+    this.pass.dispose();
+  }
+  
+  /**
+   * Resize the blend texture
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   */
+  setSize(width, height) {
+    const pixelRatio = this.renderer.getPixelRatio();
+    
+    if (this.renderTarget) {
+      this.renderTarget.setSize(width * pixelRatio, height * pixelRatio);
+    }
+    if (this.fallbackComposer) {
+      // The renderer itself has already been resized by the caller
+      this.fallbackComposer.setSize(width, height, false);
+    }
+  }
+}
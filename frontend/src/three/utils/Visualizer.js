@@ -2,37 +2,58 @@
 // Main controller for the 3D audio visualizer with enhanced visualization features and in-app music browser
 
 import * as THREE from 'three';
-import { renderTrackInfo } from '../../ui/TrackInfo.js';
+import { connectTrackInfo, removeTrackInfo } from '../../ui/TrackInfo.js';
 import { createVolumeControl } from '../../ui/VolumeControl.js';
 import { refreshAccessToken, getStoredAccessToken } from '../../auth/handleAuth.js';
 import { createMusicBrowser } from '../../ui/MusicBrowser.js';
+import { createLocalFileDrop } from '../../ui/LocalFileDrop.js';
+import { createPresetPanel } from '../../ui/PresetPanel.js';
+import { createSettingsPanel } from '../../ui/SettingsPanel.js';
+import { createRecordingControls } from '../../ui/RecordingControls.js';
+import { createQualityControl } from '../../ui/QualityControl.js';
+import { createPerformanceHud } from '../../ui/PerformanceHud.js';
+import { CanvasRecorder, downloadBlob } from '../../recording/CanvasRecorder.js';
+import { renderOffline } from '../../recording/OfflineRenderer.js';
+import { DemoPlayer } from '../../demo/DemoPlayer.js';
 import audioAnalyzer from '../../audio/AudioAnalyzer.js';
-import { getCurrentlyPlayingTrack, getAudioAnalysis, getAudioFeatures } from '../../spotify/spotifyAPI.js';
+import { sharedClock } from '../../timing/Clock.js';
+import {
+  playbackStore,
+  DEFAULT_AUDIO_FEATURES,
+  deviceReady,
+  trackChanged,
+  playerStateUpdated,
+  playerPositionReported,
+  progressEstimated,
+  pauseChanged,
+  analysisLoaded,
+  resetPlayback,
+  followsSpotifyPlayer
+} from '../../state/playback.js';
+import { getCurrentlyPlayingTrack, getAudioAnalysis, getAudioFeatures, clearAudioDataCache, getAudioDataCacheStats } from '../../spotify/spotifyAPI.js';
 import '../../ui/volume-control.css';
 import '../../ui/music-browser.css';
+import '../../ui/local-file-drop.css';
+import '../../ui/preset-panel.css';
+import '../../ui/settings-panel.css';
+import '../../ui/recording-controls.css';
+import '../../ui/quality-control.css';
+import '../../ui/performance-hud.css';
 
-// Import visualization modules
-import { 
-  createBarsVisualization, 
-  removeBarsVisualization, 
-  updateBarsVisualization,
-  setupPostprocessing,
-  renderWithPostprocessing,
-  config as barsConfig
-} from '../visualizations/BarsVisualization.js';
-
-// Import other visualizations
-import {
-  createParticlesVisualization,
-  removeParticlesVisualization,
-  updateParticlesVisualization
-} from '../visualizations/ParticlesVisualization.js';
-
+// Registered visualization modes
+import { getVisualization, getVisualizations, getVisualizationIds } from '../visualizations/index.js';
+import { VisualizationTransition, captureAddedObjects, transitionConfig } from './VisualizationTransition.js';
+import { AlbumPalette } from './AlbumPalette.js';
+import { QualityManager, QUALITY_TIERS } from './QualityManager.js';
 import {
-  createWaveformVisualization,
-  removeWaveformVisualization,
-  updateWaveformVisualization
-} from '../visualizations/WaveformVisualization.js';
+  createPreset,
+  applyPresetConfigs,
+  loadPresets,
+  savePreset,
+  deletePreset,
+  exportPreset,
+  importPreset
+} from './Presets.js';
 
 // Import utility functions
 import { 
@@ -40,33 +61,81 @@ import {
   showError, 
   waitForSpotifySDK,
   addVisualizationControls,
+  setActiveVisualizationButton,
   isAuthError
 } from './VisualizerUtils.js';
 
+// Hue rotations applied to the palette on loud sections
+const SECTION_HUE_SHIFTS = [0.12, -0.1, 0.25, -0.2];
+
+// Minimum seconds between automatic mode changes
+const MIN_AUTO_MODE_INTERVAL = 20;
+
 // Scene variables
 let scene, camera, renderer;
+let mainLight = null;
 
 // Visualization state
 let visualizationMode = 'bars';
-let bars = [];
-let particles = [];
-let waveform = null;
+let activeVisualization = null;
+let activeObjects = [];
+let composer = null;
+let transition = null;
+
+// Colors from the current album cover
+const albumPalette = new AlbumPalette();
 
 // Camera animation
 let cameraTargetPosition = new THREE.Vector3(0, 0, 30);
 let cameraCurrentPosition = new THREE.Vector3(0, 8, 30);
 
-// Spotify and audio state
+// Framing of the active visualization, eased towards like the mood position
+const cameraFramingOffset = new THREE.Vector3();
+const cameraLookTarget = new THREE.Vector3();
+const cameraCurrentLookAt = new THREE.Vector3();
+const cameraGoal = new THREE.Vector3();
+
+// Recording state
+let canvasRecorder = null;
+let recordingSize = null;
+let offlineRendering = false;
+
+// Live playback to hand back to after scrubbing ({ clockMode, isPaused, positionMs }),
+// null while the visuals follow the player
+let scrubReturn = null;
+
+// Steps quality down on slow machines (or holds the tier the user pinned)
+let qualityManager = null;
+
+// Spotify player and UI
+// Track, pause state, position and analysis live in playbackStore
 let player = null;
 let accessTokenValue = null;
-let currentTrackId = null;
-let currentTrackAnalysis = null;
-let currentAudioFeatures = null;
-let currentTrackData = null;
 let musicBrowser = null;
-let spotifyDeviceId = null;
+let visualizationControls = null;
+let volumeControl = null;
+let localFileDrop = null;
+let presetPanel = null;
+let settingsPanel = null;
+let recordingControls = null;
+let qualityControl = null;
+let performanceHud = null;
+let lastFrameStart = 0;
+let demoPlayer = null;
+
+// Loops, timers and store subscriptions to stop on dispose
+let animationFrameId = null;
+let pollTimers = [];
+let storeSubscriptions = [];
+
+// Analysis requests in flight, by track ID
+const analysisRequests = new Map();
 
-// Animation state
+// Time source for the render loop - shared with the audio analyzer
+let clock = sharedClock;
+
+// Animation state - changes every frame and is only read by the render loop,
+// so it stays here rather than in the store
 let animationTime = 0;
 let lastBeatTime = 0;
 let beatDetected = false;
@@ -75,12 +144,13 @@ let lastUpdateTime = 0;
 let pulseFactor = 0;
 let pulseTime = 0;
 let lastPowerLevel = 0.5;
-let isPaused = false;
 
-// Current playback state
-let currentPlaybackProgressMs = 0;
-let lastPlaybackUpdateTime = 0;
-let lastKnownPlayerPosition = 0;
+// Section-driven scene state
+let currentSection = null;
+let autoSceneChanges = false;
+let lastAutoModeChangeTime = 0;
+let hueShift = 0;
+let targetHueShift = 0;
 
 // Audio data from analyzer
 let audioData = {
@@ -92,11 +162,25 @@ let audioData = {
   beatIntensity: 0
 };
 
+/**
+ * Drive the render loop and audio analyzer from a different clock
+ * @param {Clock} newClock - Clock to read frame times from
+ */
+export function setClock(newClock) {
+  clock = newClock;
+  audioAnalyzer.setClock(newClock);
+  lastUpdateTime = clock.now();
+}
+
 /**
  * Initialize the visualizer
- * @param {string} accessToken - Spotify access token
+ * @param {string|null} accessToken - Spotify access token (unused in demo mode)
+ * @param {Object} options - Visualizer options
+ * @param {boolean} options.demo - Play the bundled demo playlist instead of Spotify
+ * @returns {Promise<Object>} - Controller: { dispose } stops the visualizer and frees everything it created,
+ *   { scrubTo, stopScrubbing } move the visuals through the current track independently of the player
  */
-export async function initVisualizer(accessToken) {
+export async function initVisualizer(accessToken, { demo = false } = {}) {
   // Store access token for later use
   accessTokenValue = accessToken;
   
@@ -106,32 +190,66 @@ export async function initVisualizer(accessToken) {
     appContainer.style.display = 'block';
   }
   
+  // Pick the quality tier before anything is built
+  setupQuality();
+  
   // Setup Three.js scene
   setupThreeScene();
   
   // Initialize audio analyzer
   await audioAnalyzer.initialize();
   
-  // Setup Spotify player
-  const playerInitialized = await setupSpotifyPlayer(accessToken);
+  // React to track and pause changes before anything starts playing
+  connectPlaybackStore();
   
-  if (!playerInitialized) {
-    // If player failed to initialize, try to refresh token
-    const newToken = await refreshAccessToken();
-    if (newToken) {
-      accessTokenValue = newToken;
-      await setupSpotifyPlayer(newToken);
-    } else {
-      throw new Error('Failed to initialize Spotify player. Authentication may have failed.');
+  if (demo) {
+    // No Spotify at all - play the bundled fixtures on a simulated clock
+    await setupDemoPlayback();
+  } else {
+    // Setup Spotify player
+    const playerInitialized = await setupSpotifyPlayer(accessToken);
+    
+    if (!playerInitialized) {
+      // If player failed to initialize, try to refresh token
+      const newToken = await refreshAccessToken();
+      if (newToken) {
+        accessTokenValue = newToken;
+        await setupSpotifyPlayer(newToken);
+      } else {
+        throw new Error('Failed to initialize Spotify player. Authentication may have failed.');
+      }
     }
   }
   
   // Add UI for changing visualization modes
-  addVisualizationControls(changeVisualizationMode);
+  visualizationControls = addVisualizationControls(visualizationMode, changeVisualizationMode, (enabled) => {
+    autoSceneChanges = enabled;
+    showMessage(enabled ?
+      'Auto scenes on: visuals change on choruses and drops' :
+      'Auto scenes off', 3000);
+  }, async () => {
+    await clearAudioDataCache();
+    showMessage('Cached track analysis cleared', 3000);
+  });
   
   // Add volume control
   setupVolumeControl();
   
+  // Allow dropping local audio files onto the page
+  setupLocalFilePlayback();
+  
+  // Save, apply and share presets
+  setupPresetPanel();
+  
+  // Live controls for the current visualization
+  setupSettingsPanel();
+  
+  // Record or export clips of the canvas
+  setupRecording();
+  
+  // Frame timing and sync diagnostics, toggled with the backtick key
+  setupPerformanceHud();
+  
   // Handle window resizing
   window.addEventListener('resize', onWindowResize);
   
@@ -142,7 +260,178 @@ export async function initVisualizer(accessToken) {
   animate();
   
   // Set up polling for current track
-  pollCurrentTrack();
+  if (!demo) {
+    pollCurrentTrack();
+  }
+  
+  return {
+    dispose: disposeVisualizer,
+    scrubTo: scrubVisuals,
+    stopScrubbing
+  };
+}
+
+/**
+ * Show the visuals at a position in the current track, leaving the player alone
+ * Call on every move of a scrub control; stopScrubbing() hands back to the player
+ * @param {number} seconds - Position in the track
+ */
+function scrubVisuals(seconds) {
+  if (!renderer || offlineRendering) return;
+  
+  if (!scrubReturn) {
+    const { isPaused, positionMs } = playbackStore.getState();
+    scrubReturn = { clockMode: clock.mode, isPaused, positionMs };
+  }
+  
+  // In scrub mode the clock's time is the track position (see animate)
+  clock.scrubTo(Math.max(0, seconds));
+}
+
+/**
+ * Let the visuals follow the player again after scrubbing
+ */
+function stopScrubbing() {
+  if (!scrubReturn) return;
+  
+  const { clockMode, isPaused, positionMs } = scrubReturn;
+  scrubReturn = null;
+  clock.setMode(clockMode);
+  
+  // Back to where playback was - the player's next reported position takes it from there
+  playbackStore.dispatch(pauseChanged(isPaused));
+  playbackStore.dispatch(progressEstimated(positionMs));
+  audioAnalyzer.updateProgress(positionMs);
+}
+
+/**
+ * Tear down everything initVisualizer started - loops, the player, listeners,
+ * UI and GPU resources - so the visualizer can be started again or removed
+ */
+function disposeVisualizer() {
+  if (!renderer) return;
+  
+  // Loops and timers
+  cancelAnimationFrame(animationFrameId);
+  animationFrameId = null;
+  pollTimers.forEach(timer => clearInterval(timer));
+  pollTimers = [];
+  
+  // Recordings in progress are dropped; an offline render stops at its next frame
+  if (canvasRecorder && canvasRecorder.isRecording()) {
+    canvasRecorder.stop().catch(() => {});
+  }
+  canvasRecorder = null;
+  offlineRendering = false;
+  recordingSize = null;
+  
+  // The clock is shared, so don't leave it stuck on a scrub position
+  if (scrubReturn) {
+    clock.setMode(scrubReturn.clockMode);
+    scrubReturn = null;
+  }
+  
+  // Listeners
+  window.removeEventListener('resize', onWindowResize);
+  window.removeEventListener('keydown', onPerformanceHudKey);
+  
+  // Playback
+  if (player) {
+    player.disconnect();
+    player = null;
+  }
+  if (demoPlayer) {
+    demoPlayer.onTrackChange = null;
+    demoPlayer = null;
+  }
+  audioAnalyzer.reset();
+  
+  // Unsubscribe first so the reset doesn't look like a track change
+  storeSubscriptions.forEach(unsubscribe => unsubscribe());
+  storeSubscriptions = [];
+  analysisRequests.clear();
+  playbackStore.dispatch(resetPlayback());
+  
+  // UI
+  [
+    visualizationControls,
+    volumeControl,
+    localFileDrop,
+    presetPanel,
+    settingsPanel,
+    recordingControls,
+    performanceHud,
+    musicBrowser
+  ].forEach(component => {
+    if (!component) return;
+    
+    if (typeof component.remove === 'function') {
+      component.remove();
+    } else if (component.element) {
+      component.element.remove();
+    }
+  });
+  removeTrackInfo();
+  visualizationControls = null;
+  volumeControl = null;
+  localFileDrop = null;
+  presetPanel = null;
+  settingsPanel = null;
+  recordingControls = null;
+  qualityControl = null;
+  performanceHud = null;
+  musicBrowser = null;
+  
+  // GPU resources
+  clearVisualizations();
+  transition.dispose();
+  transition = null;
+  if (composer) {
+    composer.dispose();
+    composer = null;
+  }
+  albumPalette.clear();
+  albumPalette.dispose();
+  disposeSceneObjects(scene);
+  mainLight.shadow.dispose();
+  renderer.dispose();
+  renderer.domElement.remove();
+  
+  scene = null;
+  camera = null;
+  renderer = null;
+  mainLight = null;
+  qualityManager = null;
+  
+  // Playback state, so a new init starts fresh
+  accessTokenValue = null;
+  currentSection = null;
+  autoSceneChanges = false;
+  hueShift = 0;
+  targetHueShift = 0;
+}
+
+/**
+ * Dispose the geometries, materials and textures of everything left in a scene
+ * @param {THREE.Scene} target - Scene to empty
+ */
+function disposeSceneObjects(target) {
+  target.traverse(object => {
+    if (object.geometry) {
+      object.geometry.dispose();
+    }
+    
+    const materials = Array.isArray(object.material) ? object.material : [object.material];
+    materials.filter(Boolean).forEach(material => {
+      Object.values(material).forEach(value => {
+        if (value && value.isTexture) {
+          value.dispose();
+        }
+      });
+      material.dispose();
+    });
+  });
+  target.clear();
 }
 
 /**
@@ -162,39 +451,103 @@ function setupThreeScene() {
   camera.position.set(0, 8, 30);
   camera.lookAt(0, 0, 0);
 
+  // The GPU is chosen once for the context's lifetime. A pinned tier asks for its own;
+  // automatic detection starts on the fast GPU, since it only steps down when frames are slow
+  const powerPreference = qualityManager.isAutomatic() ?
+    'high-performance' :
+    qualityManager.getTier().powerPreference;
+  
   // Create renderer with better settings
   renderer = new THREE.WebGLRenderer({ 
     antialias: true,
     alpha: true,
-    powerPreference: 'high-performance'
+    powerPreference
   });
   
   renderer.setSize(window.innerWidth, window.innerHeight);
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit for performance
+  renderer.setPixelRatio(getPixelRatio()); // Limited by the quality tier
   renderer.shadowMap.enabled = true;
   renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+  
+  // Stats cover every pass of a frame, not just the last render call
+  renderer.info.autoReset = false;
   document.getElementById('app').appendChild(renderer.domElement);
 
   // Add better lighting
   const ambientLight = new THREE.AmbientLight(0x333333);
   scene.add(ambientLight);
   
-  const mainLight = new THREE.DirectionalLight(0xffffff, 1);
+  mainLight = new THREE.DirectionalLight(0xffffff, 1);
   mainLight.position.set(10, 20, 20);
   mainLight.castShadow = true;
-  mainLight.shadow.mapSize.width = 2048;
-  mainLight.shadow.mapSize.height = 2048;
+  const shadowMapSize = qualityManager.getTier().shadowMapSize;
+  mainLight.shadow.mapSize.set(shadowMapSize, shadowMapSize);
   scene.add(mainLight);
   
   const backLight = new THREE.DirectionalLight(0x444444, 1);
   backLight.position.set(-10, 10, -10);
   scene.add(backLight);
 
-  // Create initial visualization
-  bars = createBarsVisualization(scene);
+  // Blends between modes when they change
+  transition = new VisualizationTransition(renderer, scene, camera);
+  
+  // Create initial visualization (and its postprocessing)
+  changeVisualizationMode(visualizationMode, { duration: 0 });
+}
+
+/**
+ * Create the quality manager and hand the starting tier to the visualizations
+ */
+function setupQuality() {
+  qualityManager = new QualityManager({ onChange: applyQualityTier });
   
-  // Setup postprocessing for better visuals
-  setupPostprocessing(renderer, scene, camera);
+  const tier = qualityManager.getTier();
+  getVisualizations().forEach(visualization => {
+    if (visualization.applyQuality) {
+      visualization.applyQuality(tier);
+    }
+  });
+}
+
+/**
+ * Switch the renderer and visualizations to a quality tier
+ * @param {Object} tier - Quality tier
+ */
+function applyQualityTier(tier) {
+  console.log('Quality tier:', tier.id);
+  
+  getVisualizations().forEach(visualization => {
+    if (visualization.applyQuality) {
+      visualization.applyQuality(tier);
+    }
+  });
+  
+  // The shadow map is reallocated at the new size on the next render
+  mainLight.shadow.mapSize.set(tier.shadowMapSize, tier.shadowMapSize);
+  if (mainLight.shadow.map) {
+    mainLight.shadow.map.dispose();
+    mainLight.shadow.map = null;
+  }
+  
+  // Recordings keep their own resolution
+  if (!recordingSize) {
+    setRenderSize(window.innerWidth, window.innerHeight);
+  }
+  
+  // Rebuild the current mode and its composer with the new caps
+  changeVisualizationMode(visualizationMode);
+  
+  if (qualityControl) {
+    qualityControl.setState(tier, qualityManager.isAutomatic());
+  }
+}
+
+/**
+ * Device pixel ratio capped by the quality tier
+ * @returns {number} - Pixel ratio
+ */
+function getPixelRatio() {
+  return Math.min(window.devicePixelRatio, qualityManager.getTier().maxPixelRatio);
 }
 
 /**
@@ -220,59 +573,152 @@ function setupAudioAnalyzer() {
     // Update power level for visualizations
     lastPowerLevel = data.volume;
   };
+  
+  // React to musical sections (verse, chorus, drop...)
+  audioAnalyzer.onSection = handleSectionChange;
 }
 
 /**
- * Get track audio analysis and features from Spotify API
- * @param {string} trackId - Spotify track ID
+ * Update the scene when playback enters a new section of the track
+ * @param {Object} section - Section event from the audio analyzer
  */
-async function fetchTrackAnalysis(trackId) {
-  try {
-    // Get audio analysis and features in parallel
-    const token = await getStoredAccessToken();
+function handleSectionChange(section) {
+  currentSection = section;
+  
+  // Move the camera for the energy of this section
+  updateCameraForMood(playbackStore.getState().features, section);
+  
+  const isHighlight = section.isDrop || section.isPeak;
+  
+  // Rotate the palette on choruses and drops, settle back otherwise
+  targetHueShift = isHighlight ?
+    SECTION_HUE_SHIFTS[section.index % SECTION_HUE_SHIFTS.length] :
+    0;
+  
+  // Switch visualization on highlights, but not on the opening section or too often
+  if (autoSceneChanges && isHighlight && section.index > 0 &&
+      animationTime - lastAutoModeChangeTime > MIN_AUTO_MODE_INTERVAL) {
+    const modes = getVisualizationIds();
+    const nextMode = modes[(modes.indexOf(visualizationMode) + 1) % modes.length];
+    
+    lastAutoModeChangeTime = animationTime;
+    
+    // Drops fly through into the next scene
+    changeVisualizationMode(nextMode, section.isDrop ? { type: 'zoom' } : {});
+    setActiveVisualizationButton(nextMode);
+  }
+}
+
+/**
+ * Subscribe the visualizer to playback changes - whichever path reports them
+ * (player events, polling, the demo player or a dropped file), each change is handled once
+ */
+function connectPlaybackStore() {
+  storeSubscriptions = [
+    connectTrackInfo(playbackStore, {
+      demo: () => {
+        const playing = demoPlayer.togglePlay();
+        showMessage(playing ? 'Resumed demo' : 'Paused demo', 2000);
+      },
+      local: () => {
+        const playing = audioAnalyzer.toggleLocalPlayback();
+        showMessage(playing ? 'Resumed local file' : 'Paused local file', 2000);
+      }
+    }),
+    playbackStore.select(state => state.track, handleTrackChange),
+    playbackStore.select(state => state.analysis, handleAnalysisChange),
+    playbackStore.select(state => state.isPaused, paused => audioAnalyzer.setPaused(paused))
+  ];
+}
+
+/**
+ * Reset track-specific scene state and load the new track's analysis
+ * @param {Object|null} track - New track from the playback store
+ * @param {Object|null} previousTrack - Track that was playing
+ * @param {Object} state - Playback state
+ */
+function handleTrackChange(track, previousTrack, state) {
+  // Sections of the previous track no longer apply
+  currentSection = null;
+  targetHueShift = 0;
+  
+  updateAlbumPalette(track);
+  
+  // Demo fixtures come with their analysis, local files are analyzed live
+  if (!track || state.source !== 'spotify') return;
+  
+  fetchTrackAnalysis(track.id);
+  
+  showMessage(`Now playing: ${track.name} by ${track.artists[0].name}`);
+  console.log('🎵 Track ID:', track.id);
+}
 
-if (!token) {
-  console.error('❌ Cannot fetch track analysis – token missing or invalid.');
-  return;
+/**
+ * Feed newly loaded analysis to the audio analyzer
+ * @param {Object|null} analysis - Audio analysis from the playback store
+ * @param {Object|null} previousAnalysis - Analysis of the previous track
+ * @param {Object} state - Playback state
+ */
+function handleAnalysisChange(analysis, previousAnalysis, state) {
+  // A missing or failed analysis still clears the previous track's beats,
+  // segments and sections so the analyzer falls back to synthetic data
+  audioAnalyzer.updateTrackData(analysis, state.features);
+  
+  if (!analysis) return;
+  
+  // Update camera position based on audio features
+  updateCameraForMood(state.features);
 }
 
-const [analysisResponse, featuresResponse] = await Promise.all([
-  getAudioAnalysis(trackId, token),
-  getAudioFeatures(trackId, token)
-]);
+/**
+ * Get track audio analysis and features from Spotify API
+ * Requests for a track that is already loading share the pending request
+ * @param {string} trackId - Spotify track ID
+ * @returns {Promise<void>} - Resolves once the analysis is in the store (or failed)
+ */
+function fetchTrackAnalysis(trackId) {
+  if (!analysisRequests.has(trackId)) {
+    analysisRequests.set(trackId, loadTrackAnalysis(trackId).finally(() => {
+      analysisRequests.delete(trackId);
+    }));
+  }
+  
+  return analysisRequests.get(trackId);
+}
 
+/**
+ * Request analysis and features and put them in the store
+ * @param {string} trackId - Spotify track ID
+ */
+async function loadTrackAnalysis(trackId) {
+  try {
+    const token = await getStoredAccessToken();
     
-    // Store analysis data
-    currentTrackAnalysis = analysisResponse;
-    currentAudioFeatures = featuresResponse;
+    if (!token) {
+      console.error('❌ Cannot fetch track analysis – token missing or invalid.');
+      return;
+    }
     
-    // Update audio analyzer with the data
-    audioAnalyzer.updateTrackData(currentTrackAnalysis, currentAudioFeatures);
+    // Get audio analysis and features in parallel
+    const [analysisResponse, featuresResponse] = await Promise.all([
+      getAudioAnalysis(trackId, token),
+      getAudioFeatures(trackId, token)
+    ]);
     
-    // Update camera position based on audio features
-    updateCameraForMood(currentAudioFeatures);
+    // Ignored by the store if another track started meanwhile
+    playbackStore.dispatch(analysisLoaded(trackId, analysisResponse, featuresResponse));
     
     console.log('Track analysis loaded:', trackId);
   } catch (error) {
     console.error(`❌ Error fetching analysis for track ${trackId}:`, error);
     
-    // Set default values if analysis fails
-    currentAudioFeatures = {
-      energy: 0.5,
-      tempo: 120,
-      valence: 0.5,
-      danceability: 0.5,
-      acousticness: 0.5,
-      instrumentalness: 0.5,
-      liveness: 0.5,
-      speechiness: 0.5
-    };
+    if (playbackStore.getState().trackId !== trackId) return;
     
-    // Update audio analyzer with default values
-    audioAnalyzer.energy = currentAudioFeatures.energy;
-    audioAnalyzer.tempo = currentAudioFeatures.tempo;
-    audioAnalyzer.danceability = currentAudioFeatures.danceability;
-    audioAnalyzer.valence = currentAudioFeatures.valence;
+    // The store keeps default features for the track - give the analyzer the same
+    audioAnalyzer.energy = DEFAULT_AUDIO_FEATURES.energy;
+    audioAnalyzer.tempo = DEFAULT_AUDIO_FEATURES.tempo;
+    audioAnalyzer.danceability = DEFAULT_AUDIO_FEATURES.danceability;
+    audioAnalyzer.valence = DEFAULT_AUDIO_FEATURES.valence;
   }
 }
 
@@ -305,7 +751,7 @@ function setupVolumeControl() {
   });
 
   // Create volume control component
-  const volumeControl = createVolumeControl((volume) => {
+  volumeControl = createVolumeControl((volume) => {
     try {
       player.setVolume(volume);
     } catch (error) {
@@ -318,6 +764,441 @@ function setupVolumeControl() {
   document.body.appendChild(volumeControl.element);
 }
 
+/**
+ * Set up drag-and-drop playback of local audio files
+ */
+function setupLocalFilePlayback() {
+  localFileDrop = createLocalFileDrop(playLocalFile);
+  document.body.appendChild(localFileDrop.element);
+  
+  audioAnalyzer.onLocalPlaybackEnded = () => {
+    // In demo mode there's no Spotify to hand back to, so resume the playlist
+    if (demoPlayer) {
+      stopLocalFilePlayback();
+      if (demoPlayer.isPaused()) {
+        demoPlayer.togglePlay();
+      }
+      loadDemoTrack(demoPlayer.getCurrentTrack());
+      return;
+    }
+    
+    showMessage('Local file finished. Click the track info to play it again.');
+  };
+}
+
+/**
+ * Set up the preset panel
+ */
+function setupPresetPanel() {
+  presetPanel = createPresetPanel({
+    onApply: name => {
+      const preset = loadPresets().find(saved => saved.name === name);
+      if (preset) {
+        applyPreset(preset);
+      }
+    },
+    onSave: name => {
+      presetPanel.setPresets(savePreset(createPreset(name, visualizationMode)), name);
+      showMessage(`Preset "${name}" saved`, 3000);
+    },
+    onDelete: name => {
+      presetPanel.setPresets(deletePreset(name));
+    },
+    onExport: name => {
+      const preset = loadPresets().find(saved => saved.name === name);
+      if (preset) {
+        exportPreset(preset);
+      }
+    },
+    onImport: async file => {
+      try {
+        const preset = await importPreset(file);
+        presetPanel.setPresets(savePreset(preset), preset.name);
+        applyPreset(preset);
+      } catch (error) {
+        showMessage(`Could not import preset: ${error.message}`, 4000);
+      }
+    }
+  }, loadPresets());
+  
+  document.body.appendChild(presetPanel.element);
+}
+
+/**
+ * Set up the settings drawer for the current visualization
+ */
+function setupSettingsPanel() {
+  settingsPanel = createSettingsPanel((key, value, field) => {
+    // Everything else is read from config on the next frame
+    if (field.recreate) {
+      changeVisualizationMode(visualizationMode);
+    }
+  });
+  settingsPanel.setVisualization(getVisualization(visualizationMode));
+  
+  // Quality applies to every mode, so it sits above the per-mode settings
+  qualityControl = createQualityControl(QUALITY_TIERS, (tierId) => {
+    qualityManager.pin(tierId);
+    qualityControl.setState(qualityManager.getTier(), qualityManager.isAutomatic());
+  });
+  qualityControl.setState(qualityManager.getTier(), qualityManager.isAutomatic());
+  settingsPanel.addSection(qualityControl.element);
+  
+  document.body.appendChild(settingsPanel.toggle);
+  document.body.appendChild(settingsPanel.element);
+}
+
+/**
+ * Set up the performance HUD and its keyboard toggle
+ */
+function setupPerformanceHud() {
+  performanceHud = createPerformanceHud(getPerformanceDiagnostics);
+  document.body.appendChild(performanceHud.element);
+  
+  window.addEventListener('keydown', onPerformanceHudKey);
+}
+
+/**
+ * Toggle the performance HUD with the backtick key
+ * @param {KeyboardEvent} event - Key event
+ */
+function onPerformanceHudKey(event) {
+  if (event.key !== '`' || event.ctrlKey || event.metaKey || event.altKey) return;
+  
+  // Don't steal the key from text fields
+  const target = event.target;
+  if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+  
+  performanceHud.toggle();
+}
+
+/**
+ * Collect the numbers shown in the performance HUD
+ * @returns {Object} - Renderer, analyzer, playback and cache stats
+ */
+function getPerformanceDiagnostics() {
+  const { render, memory, programs } = renderer.info;
+  const tier = qualityManager.getTier();
+  const playback = playbackStore.getState();
+  
+  // Only the Spotify player reports positions to drift from
+  const followsPlayer = followsSpotifyPlayer(playback);
+  
+  return {
+    drawCalls: render.calls,
+    triangles: render.triangles,
+    points: render.points,
+    lines: render.lines,
+    geometries: memory.geometries,
+    textures: memory.textures,
+    programs: programs ? programs.length : 0,
+    quality: `${tier.label}${qualityManager.isAutomatic() ? ' (auto)' : ''}, ${renderer.getPixelRatio().toFixed(2)}x`,
+    analysis: audioAnalyzer.getDiagnostics(),
+    driftMs: followsPlayer ? playback.positionMs - playback.playerPositionMs : null,
+    cache: getAudioDataCacheStats()
+  };
+}
+
+/**
+ * Set up the record button and clip export options
+ */
+function setupRecording() {
+  // Neither live capture nor frame-by-frame encoding is available
+  if (!CanvasRecorder.isSupported() && typeof VideoEncoder === 'undefined') return;
+  
+  canvasRecorder = new CanvasRecorder(renderer.domElement);
+  recordingControls = createRecordingControls({
+    onStart: startRecording,
+    onStop: stopRecording,
+    onRenderOffline: renderOfflineClip,
+    onCancelOffline: () => {
+      offlineRendering = false;
+    }
+  });
+  
+  document.body.appendChild(recordingControls.toggle);
+  document.body.appendChild(recordingControls.element);
+}
+
+/**
+ * Render at a fixed clip resolution
+ * The canvas keeps filling the window, letterboxed to the clip's aspect ratio
+ * @param {number} width - Clip width in pixels
+ * @param {number} height - Clip height in pixels
+ */
+function applyRecordingSize(width, height) {
+  recordingSize = { width, height };
+  renderer.domElement.style.objectFit = 'contain';
+  setRenderSize(width, height, { pixelRatio: 1, updateStyle: false });
+}
+
+/**
+ * Go back to rendering at the window size after a recording
+ */
+function restoreWindowSize() {
+  recordingSize = null;
+  renderer.domElement.style.objectFit = '';
+  setRenderSize(window.innerWidth, window.innerHeight);
+}
+
+/**
+ * Start recording the canvas live
+ * @param {Object} options - Recording options
+ * @param {number|null} options.width - Clip width, null for the window size
+ * @param {number|null} options.height - Clip height, null for the window size
+ * @param {number} options.fps - Frames per second
+ */
+function startRecording({ width, height, fps }) {
+  if (width && height) {
+    applyRecordingSize(width, height);
+  }
+  
+  try {
+    canvasRecorder.start({ fps });
+  } catch (error) {
+    if (recordingSize) {
+      restoreWindowSize();
+    }
+    showMessage(`Could not start recording: ${error.message}`, 4000);
+    return;
+  }
+  
+  recordingControls.setRecording(true);
+  showMessage('Recording - click the record button again to stop', 3000);
+}
+
+/**
+ * Stop the live recording and download the clip
+ */
+async function stopRecording() {
+  try {
+    const blob = await canvasRecorder.stop();
+    downloadBlob(blob, getClipFilename());
+    showMessage('Clip saved', 3000);
+  } catch (error) {
+    console.error('Error stopping recording:', error);
+    showMessage('Recording failed', 3000);
+  } finally {
+    recordingControls.setRecording(false);
+    if (recordingSize) {
+      restoreWindowSize();
+    }
+  }
+}
+
+/**
+ * Export a clip frame by frame from the current position on the analysis timeline
+ * The live loop is suspended, so every frame gets rendered no matter how slow
+ * @param {Object} options - Export options
+ * @param {number|null} options.width - Clip width, null for the window size
+ * @param {number|null} options.height - Clip height, null for the window size
+ * @param {number} options.fps - Frames per second
+ * @param {number} options.duration - Clip length in seconds
+ */
+async function renderOfflineClip({ width, height, fps, duration }) {
+  const playback = playbackStore.getState();
+  
+  // Live spectrum analysis can't be stepped through ahead of playback
+  if (audioAnalyzer.isLocalPlaybackActive() || !playback.analysis) {
+    showMessage('Offline export needs track analysis - record local files live instead', 4000);
+    return;
+  }
+  
+  // Stop at the end of the track
+  const startMs = playback.positionMs;
+  const trackMs = (playback.analysis.track?.duration || 0) * 1000;
+  const clipSeconds = trackMs > startMs ? Math.min(duration, (trackMs - startMs) / 1000) : duration;
+  
+  // Video encoders want even frame sizes
+  const even = value => Math.max(2, Math.round(value / 2) * 2);
+  applyRecordingSize(even(width || window.innerWidth), even(height || window.innerHeight));
+  
+  const wasPaused = playback.isPaused;
+  const previousClockMode = clock.mode;
+  offlineRendering = true;
+  
+  // Kept locally - a dispose during the render clears the module reference
+  const controls = recordingControls;
+  
+  // Every frame advances exactly one frame interval, however long it takes to draw
+  clock.useFixedStep(1 / fps);
+  controls.setProgress(0);
+  
+  try {
+    const blob = await renderOffline({
+      canvas: renderer.domElement,
+      fps,
+      frameCount: Math.max(1, Math.round(clipSeconds * fps)),
+      renderFrame: index => renderFrame(clock.tick(), startMs + (index / fps) * 1000),
+      onProgress: fraction => controls.setProgress(fraction),
+      isCancelled: () => !offlineRendering
+    });
+    
+    if (blob) {
+      downloadBlob(blob, getClipFilename());
+      showMessage('Offline render saved', 3000);
+    } else {
+      showMessage('Offline render cancelled', 3000);
+    }
+  } catch (error) {
+    console.error('Offline render failed:', error);
+    showMessage(`Offline render failed: ${error.message}`, 4000);
+  } finally {
+    offlineRendering = false;
+    controls.setProgress(null);
+    clock.setMode(previousClockMode);
+    
+    // Hand back to the live player - the clock continues from the last rendered frame
+    // (unless the visualizer was disposed while rendering)
+    if (renderer) {
+      restoreWindowSize();
+      playbackStore.dispatch(pauseChanged(wasPaused));
+      
+      // Rewind the analyzer from the clip's last frame to where the render started -
+      // the player's next reported position takes it from there
+      playbackStore.dispatch(progressEstimated(startMs));
+      audioAnalyzer.updateProgress(startMs);
+    }
+  }
+}
+
+/**
+ * File name for an exported clip
+ * @returns {string} - Name like track-name-bars-2024-01-01-12-00-00.webm
+ */
+function getClipFilename() {
+  const name = playbackStore.getState().track?.name || 'visualizer';
+  const slug = name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'visualizer';
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+  
+  return `${slug}-${visualizationMode}-${stamp}.webm`;
+}
+
+/**
+ * Apply a preset live, rebuilding the visualization so every setting takes effect
+ * @param {Object} preset - Preset to apply
+ */
+function applyPreset(preset) {
+  const mode = applyPresetConfigs(preset);
+  
+  changeVisualizationMode(mode);
+  setActiveVisualizationButton(mode);
+  showMessage(`Preset "${preset.name}" applied`, 3000);
+}
+
+/**
+ * Play a dropped local file and drive the visualizer from its live spectrum
+ * @param {File|null} file - Dropped audio file
+ */
+async function playLocalFile(file) {
+  if (!file) {
+    showMessage('Unsupported file. Drop an MP3, WAV, OGG or FLAC file.');
+    return;
+  }
+  
+  // Don't let the demo or Spotify play over the local file
+  if (demoPlayer && !demoPlayer.isPaused()) {
+    demoPlayer.togglePlay();
+  }
+  
+  if (player && !playbackStore.getState().isPaused) {
+    try {
+      await player.pause();
+    } catch (error) {
+      console.warn('Could not pause Spotify playback:', error);
+    }
+  }
+  
+  try {
+    showMessage(`Loading ${file.name}...`);
+    await audioAnalyzer.loadLocalFile(file);
+  } catch (error) {
+    console.error('Error loading local audio file:', error);
+    showMessage(`Could not decode ${file.name}. Try another file.`);
+    return;
+  }
+  
+  // Replaces the Spotify or demo track, which gets picked up again when playback resumes
+  playbackStore.dispatch(pauseChanged(false));
+  playbackStore.dispatch(trackChanged({
+    source: 'local',
+    track: {
+      id: null,
+      name: file.name.replace(/\.[^.]+$/, ''),
+      artists: [{ name: 'Local file' }],
+      album: {
+        name: formatDuration(audioAnalyzer.getLocalDuration()),
+        images: []
+      }
+    }
+  }));
+  
+  showMessage(`Now playing local file: ${file.name}`);
+}
+
+/**
+ * Leave local playback mode so Spotify drives the visualizer again
+ */
+function stopLocalFilePlayback() {
+  audioAnalyzer.stopLocalPlayback();
+}
+
+/**
+ * Start the demo playlist and load each track into the analyzer as it comes up
+ */
+async function setupDemoPlayback() {
+  demoPlayer = new DemoPlayer();
+  demoPlayer.onTrackChange = loadDemoTrack;
+  
+  await demoPlayer.start();
+  
+  showMessage('Demo mode: playing bundled tracks. Click the track info to pause, drop a file to play your own.', 7000);
+}
+
+/**
+ * Show a demo track and feed its fixture to the analyzer
+ * @param {Object} track - Demo track fixture
+ */
+function loadDemoTrack(track) {
+  playbackStore.dispatch(playerStateUpdated({ isPaused: demoPlayer.isPaused(), positionMs: 0 }));
+  playbackStore.dispatch(trackChanged({
+    source: 'demo',
+    track: {
+      id: track.id,
+      name: track.name,
+      artists: [{ name: track.artist }],
+      album: {
+        name: `${track.album} · ${formatDuration(track.duration_ms / 1000)}`,
+        images: []
+      }
+    },
+    analysis: track.analysis,
+    features: track.features
+  }));
+  
+  showMessage(`Now playing: ${track.name} by ${track.artist}`);
+}
+
+/**
+ * Start extracting the palette of a track's album cover
+ * Tracks without a cover fade back to the visualizations' own colors
+ * @param {Object|null} track - Track from the playback store
+ */
+function updateAlbumPalette(track) {
+  albumPalette.setImage(track?.album?.images?.[0]?.url || null);
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Duration as m:ss
+ */
+function formatDuration(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainder = Math.floor(seconds % 60);
+  return `${minutes}:${remainder.toString().padStart(2, '0')}`;
+}
+
 
 
 /**
@@ -473,140 +1354,186 @@ try {
   player.addListener('ready', async ({ device_id }) => {
     console.log('Player ready with device ID', device_id);
     
-    // Store device ID both locally and globally
-    spotifyDeviceId = device_id;
-    window.spotifyDeviceId = device_id;
+    // Shared with the music browser through the playback store
+    playbackStore.dispatch(deviceReady(device_id));
     
-    // Initialize the music browser with the device ID
-    musicBrowser = initializeMusicBrowser(device_id);
+    musicBrowser = await initializeMusicBrowser();
     
     // Show welcome message
     showMessage('Spotify visualizer ready! Click the Music button to browse and play tracks.');
   });
 
   // Track change listener
-  player.addListener('player_state_changed', async (state) => {
-    if (!state) {
-      // No state means no active player - set to paused
-      isPaused = true;
-      audioAnalyzer.setPaused(true);
-      return;
+  player.addListener('player_state_changed', (state) => {
+    // A local file owns the visualizer until Spotify starts playing again
+    if (audioAnalyzer.isLocalPlaybackActive()) {
+      if (!state || state.paused) return;
+      stopLocalFilePlayback();
     }
     
-    // Update pause state
-    isPaused = state.paused;
-    audioAnalyzer.setPaused(isPaused);
-    
-    // If no track window or current track, something's wrong
-    if (!state.track_window || !state.track_window.current_track) {
+    if (!state) {
+      // No state means no active player - set to paused
+      playbackStore.dispatch(pauseChanged(true));
       return;
     }
     
-    const track = state.track_window.current_track;
-    
-    // If track changed, update UI
-    if (!currentTrackId || track.id !== currentTrackId) {
-      currentTrackId = track.id;
-      
-      // Create track data in the format expected by renderTrackInfo
-      const trackData = {
-        item: {
-          name: track.name,
-          artists: [{ name: track.artists[0].name }],
-          album: {
-            name: track.album.name,
-            images: [{ url: track.album.images[0].url }]
-          },
-          id: track.id
-        },
-        is_playing: !isPaused
-      };
-      
-      // Store current track data
-      currentTrackData = trackData;
-      
-      renderTrackInfo(trackData);
-      
-      // Reset playback progress
-      currentPlaybackProgressMs = state.position;
-      lastPlaybackUpdateTime = performance.now() / 1000;
-      
-      // Fetch track analysis data
-      await fetchTrackAnalysis(track.id);
-      
-      // Show track change message
-      showMessage(`Now playing: ${track.name} by ${track.artists[0].name}`);
-      console.log('🎵 Track ID:', track.id, 'URI:', track.uri);
-
-    }
-    
-    // Update current progress
-    currentPlaybackProgressMs = state.position;
-    lastKnownPlayerPosition = state.position;
-    
     // If we have a device ID in the state, update it
-    if (state.device_id && state.device_id !== spotifyDeviceId) {
-      spotifyDeviceId = state.device_id;
-      window.spotifyDeviceId = state.device_id;
-      
-      // Update the music browser if it exists
-      if (musicBrowser && typeof musicBrowser.updateDeviceId === 'function') {
-        musicBrowser.updateDeviceId(state.device_id);
-      }
+    if (state.device_id) {
+      playbackStore.dispatch(deviceReady(state.device_id));
     }
+    
+    applyPlayerState(state);
   });
   
   return player;
 }
 
+/**
+ * Put a state reported by the Spotify player in the store - from its events or from polling
+ * @param {Object} state - Web Playback SDK player state
+ */
+function applyPlayerState(state) {
+  // Offline exports and scrubbing set the position frame by frame until they finish
+  if (offlineRendering || scrubReturn) return;
+  
+  playbackStore.dispatch(playerStateUpdated({ isPaused: state.paused, positionMs: state.position }));
+  audioAnalyzer.updateProgress(state.position);
+  
+  const track = state.track_window?.current_track;
+  if (!track) return;
+  
+  // The store ignores this if the track is already current, so both paths can report it
+  playbackStore.dispatch(trackChanged({
+    source: 'spotify',
+    track: {
+      id: track.id,
+      name: track.name,
+      artists: track.artists,
+      album: track.album
+    }
+  }));
+}
+
 /**
  * Main animation loop with improved synchronization
  */
 function animate() {
-  requestAnimationFrame(animate);
+  animationFrameId = requestAnimationFrame(animate);
+  
+  // Offline exports drive frames themselves
+  if (offlineRendering) {
+    qualityManager.skipFrame();
+    return;
+  }
+  
+  const frameStart = performance.now();
+  
+  // Hold the tier while recording so the clip doesn't change quality midway
+  if (canvasRecorder && canvasRecorder.isRecording()) {
+    qualityManager.skipFrame();
+  } else {
+    qualityManager.frame(frameStart / 1000);
+  }
+  
+  // While scrubbing, the clock's time is the position in the track
+  const time = clock.tick();
+  renderFrame(time, clock.mode === 'scrub' ? time * 1000 : null);
+  
+  // CPU time only - the GPU finishes asynchronously
+  performanceHud.recordFrame(frameStart - lastFrameStart, performance.now() - frameStart);
+  lastFrameStart = frameStart;
+}
 
-  const currentTime = performance.now() / 1000; // Current time in seconds
-  const deltaTime = currentTime - lastUpdateTime;
+/**
+ * Advance the visualization and draw one frame
+ * @param {number} currentTime - Current time in seconds
+ * @param {number|null} timelineProgressMs - Playback position to render at, overriding
+ *   the player (offline exports, scrubbing); null follows the live player
+ */
+function renderFrame(currentTime, timelineProgressMs = null) {
+  // Scrubbing backwards must not run animations in reverse
+  const deltaTime = Math.max(0, currentTime - lastUpdateTime);
   lastUpdateTime = currentTime;
   
+  // renderer.info accumulates until reset, so it covers this frame's passes
+  renderer.info.reset();
+  
   // Update animation time
   animationTime += deltaTime;
   
+  // Ease towards the colors of the current cover
+  albumPalette.update(deltaTime);
+  
   // Update playback progress estimate with more accurate compensation
   // Use different approaches depending on data availability
-  if (!isPaused) {
+  const current = playbackStore.getState();
+  
+  if (timelineProgressMs !== null) {
+    // Offline export or scrub - the frame's position on the fixed analysis timeline
+    if (current.isPaused) {
+      playbackStore.dispatch(pauseChanged(false));
+    }
+    playbackStore.dispatch(progressEstimated(timelineProgressMs));
+    audioAnalyzer.updateProgress(timelineProgressMs);
+  } else if (audioAnalyzer.isLocalPlaybackActive()) {
+    // Local files report their exact position from the AudioContext clock
+    const positionMs = audioAnalyzer.getLocalProgress() * 1000;
+    playbackStore.dispatch(playerStateUpdated({ isPaused: audioAnalyzer.isLocalPlaybackPaused(), positionMs }));
+    audioAnalyzer.updateProgress(positionMs);
+  } else if (demoPlayer) {
+    // The demo player's simulated clock is the playback position
+    const positionMs = demoPlayer.tick(currentTime);
+    playbackStore.dispatch(playerStateUpdated({ isPaused: demoPlayer.isPaused(), positionMs }));
+    audioAnalyzer.updateProgress(positionMs);
+  } else if (!current.isPaused) {
+    let positionMs = current.positionMs;
+    
     // If we have real analysis data, align with actual playback position
-    if (currentTrackAnalysis && currentTrackData) {
+    if (current.analysis && current.track) {
       // Only increment by actual elapsed time
       const estimatedProgressIncrease = deltaTime * 1000; // Convert to ms
       
       // Check if our estimate is reasonably close to actual position
       // If more than 300ms difference, player.getCurrentState might have updated position
-      if (Math.abs(currentPlaybackProgressMs - lastKnownPlayerPosition) > 300) {
+      if (Math.abs(positionMs - current.playerPositionMs) > 300) {
         // Use the more accurate position when available
-        if (lastKnownPlayerPosition > 0) {
-          currentPlaybackProgressMs = lastKnownPlayerPosition;
+        if (current.playerPositionMs > 0) {
+          positionMs = current.playerPositionMs;
         } else {
           // Otherwise just increment
-          currentPlaybackProgressMs += estimatedProgressIncrease;
+          positionMs += estimatedProgressIncrease;
         }
       } else {
         // Normal increment during playback
-        currentPlaybackProgressMs += estimatedProgressIncrease;
+        positionMs += estimatedProgressIncrease;
       }
     } else {
       // Without analysis data, we still need to update time for synthetic data
-      currentPlaybackProgressMs += deltaTime * 1000;
+      positionMs += deltaTime * 1000;
     }
     
     // Update the audio analyzer with our estimated progress
-    audioAnalyzer.updateProgress(currentPlaybackProgressMs);
+    playbackStore.dispatch(progressEstimated(positionMs));
+    audioAnalyzer.updateProgress(positionMs);
   }
   
+  // State after this frame's updates
+  const { isPaused, features, track } = playbackStore.getState();
+  
+  // The beat tracker refines the tempo of local files as they play
+  const trackFeatures = audioAnalyzer.isLocalPlaybackActive() ?
+    { ...features, tempo: audioAnalyzer.tempo } :
+    features;
+  
   // Smoothly move camera towards target position
-  cameraCurrentPosition.lerp(cameraTargetPosition, 0.02);
+  cameraGoal.copy(cameraTargetPosition).add(cameraFramingOffset);
+  cameraCurrentPosition.lerp(cameraGoal, 0.02);
   camera.position.copy(cameraCurrentPosition);
-  camera.lookAt(0, 0, 0);
+  cameraCurrentLookAt.lerp(cameraLookTarget, 0.02);
+  camera.lookAt(cameraCurrentLookAt);
+  
+  // Ease towards the palette of the current section
+  hueShift += (targetHueShift - hueShift) * 0.02;
   
   // Update the pulse effect (smooth fade out after a beat)
   if (pulseTime > 0) {
@@ -636,57 +1563,72 @@ function animate() {
     treble: trebleLevel,
     beatDetected: beatDetected,
     beatIntensity: beatIntensity,
-    pulseTime: pulseTime
+    pulseTime: pulseTime,
+    hueShift: hueShift,
+    // Colors from the album cover (null without one)
+    palette: albumPalette.getPalette(),
+    // Position in the musical grid for quantized animation
+    beatPhase: audioData.beatPhase ?? 0,
+    barPhase: audioData.barPhase ?? 0,
+    tatumPhase: audioData.tatumPhase ?? 0,
+    beatInBar: audioData.beatInBar ?? 0,
+    // Harmonic content for pitch-based tinting
+    chroma: audioData.chroma,
+    dominantPitchClass: audioData.dominantPitchClass ?? -1,
+    key: audioData.key ?? -1,
+    mode: audioData.mode ?? 1,
+    // Live spectrum (0-1 per bin) from local files, null otherwise
+    spectrum: audioData.spectrum ?? null,
+    // Album art of the current track, null for tracks without one
+    albumImageUrl: track?.album?.images?.[0]?.url || null
   };
 
-  // Update visualization based on current mode
-  switch (visualizationMode) {
-    case 'bars':
-      updateBarsVisualization(
-        bars, 
-        powerLevel, 
-        pulseTime, 
-        isPaused, 
-        animationTime, 
-        {
-          ...currentAudioFeatures,
-          ...enhancedAudioData
-        }
-      );
-      break;
-    case 'particles':
-      updateParticlesVisualization(
-        particles, 
-        powerLevel, 
-        pulseTime, 
-        isPaused, 
-        animationTime, 
-        {
-          ...currentAudioFeatures,
-          ...enhancedAudioData
-        }
-      );
-      break;
-    case 'waveform':
-      updateWaveformVisualization(
-        waveform, 
-        powerLevel, 
-        pulseTime, 
-        isPaused, 
-        animationTime, 
-        {
-          ...currentAudioFeatures,
-          ...enhancedAudioData
-        }
-      );
-      break;
+  // Update the current visualization
+  const visualization = getVisualization(visualizationMode);
+  if (visualization && activeVisualization) {
+    visualization.update(
+      activeVisualization, 
+      powerLevel, 
+      pulseTime, 
+      isPaused, 
+      animationTime, 
+      {
+        ...trackFeatures,
+        ...enhancedAudioData
+      }
+    );
+  }
+
+  // Keep the outgoing visualization moving while it blends out
+  if (transition.isActive()) {
+    const { definition, instance } = transition.outgoing;
+    definition.update(
+      instance, 
+      powerLevel, 
+      pulseTime, 
+      isPaused, 
+      animationTime, 
+      {
+        ...trackFeatures,
+        ...enhancedAudioData
+      }
+    );
+    transition.renderOutgoing();
   }
 
   // Reset beat detection for next frame
   beatDetected = false;
 
   // Render with postprocessing if available, otherwise use standard render
-  renderWithPostprocessing(renderer, scene, camera);
+  const activeComposer = transition.isActive() ? transition.composer : composer;
+  if (activeComposer) {
+    activeComposer.render(deltaTime);
+  } else {
+    renderer.render(scene, camera);
+  }
+  
+  // Disposes the outgoing visualization once the blend is done
+  transition.update(deltaTime);
 }
 
 /**
@@ -699,14 +1641,16 @@ function pollCurrentTrack() {
   
   // Fast polling for position updates
   const positionInterval = setInterval(async () => {
-    if (!accessTokenValue || !player) return;
+    if (!accessTokenValue || !player || offlineRendering || scrubReturn) return;
     
     try {
       // Just get playback position without full state
       const state = await player.getCurrentState();
-      if (state) {
+      
+      // An offline export or scrub may have started while waiting
+      if (state && !offlineRendering && !scrubReturn) {
         // Store position for animator to use
-        lastKnownPlayerPosition = state.position;
+        playbackStore.dispatch(playerPositionReported(state.position));
       }
     } catch (error) {
       // Ignore errors for fast polling
@@ -721,59 +1665,21 @@ function pollCurrentTrack() {
       // Get full playback state
       const state = await player.getCurrentState();
       
+      // Disposed while waiting
+      if (!player) return;
+      
+      // Leave local playback alone unless Spotify has started playing
+      if (audioAnalyzer.isLocalPlaybackActive()) {
+        if (!state || state.paused) return;
+        stopLocalFilePlayback();
+      }
+      
       if (state) {
-        // Update pause state
-        const wasPlaying = !isPaused;
-        isPaused = state.paused;
-        
-        // Update paused state in audio analyzer
-        audioAnalyzer.setPaused(isPaused);
-        
-        // Update current playback position with accurate value
-        currentPlaybackProgressMs = state.position;
-        lastKnownPlayerPosition = state.position;
-        lastPlaybackUpdateTime = performance.now() / 1000;
-        
-        // Update audio analyzer with current progress
-        audioAnalyzer.updateProgress(currentPlaybackProgressMs);
-        
-        // Update current track data from the player
-        if (state.track_window && state.track_window.current_track) {
-          const track = state.track_window.current_track;
-          
-          // If track changed, update info
-          if (track.id !== currentTrackId) {
-            currentTrackId = track.id;
-            
-            // Format track data to match the expected structure
-            const trackData = {
-              item: {
-                name: track.name,
-                artists: track.artists,
-                album: track.album,
-                id: track.id
-              },
-              is_playing: !isPaused
-            };
-            
-            currentTrackData = trackData;
-            renderTrackInfo(trackData);
-            
-            // Reset playback progress
-            currentPlaybackProgressMs = state.position;
-            lastPlaybackUpdateTime = performance.now() / 1000;
-            
-            // Fetch track analysis data
-            await fetchTrackAnalysis(track.id);
-            
-            // Show track change message
-            showMessage(`Now playing: ${track.name} by ${track.artists[0].name}`);
-          }
-        }
+        // Track changes already reported by the player event are ignored by the store
+        applyPlayerState(state);
       } else {
         // No track playing - set to paused
-        isPaused = true;
-        audioAnalyzer.setPaused(true);
+        playbackStore.dispatch(pauseChanged(true));
       }
     } catch (error) {
       console.error('Error polling current track:', error);
@@ -790,15 +1696,16 @@ function pollCurrentTrack() {
     }
   }, 1000);
   
-  // Return both intervals for potential cleanup
-  return { positionInterval, stateInterval };
+  // Cleared by dispose
+  pollTimers.push(positionInterval, stateInterval);
 }
 
 /**
  * Update camera position based on track mood
  * @param {Object} features - Audio features
+ * @param {Object} section - Current section event (optional)
  */
-function updateCameraForMood(features) {
+function updateCameraForMood(features, section = currentSection) {
   if (!features) return;
   
   // Calculate target camera position based on audio features
@@ -806,71 +1713,149 @@ function updateCameraForMood(features) {
   const valence = features.valence || 0.5;
   
   // Higher energy = closer to the visualization
-  const zDistance = 40 - (energy * 20);
+  let zDistance = 40 - (energy * 20);
   
   // Valence (happiness) affects height - happier songs = higher view
-  const height = 5 + (valence * 10);
+  let height = 5 + (valence * 10);
+  
+  // Loud sections pull the camera in, drops drop it low
+  if (section) {
+    zDistance -= (section.energyLevel - 0.5) * 10;
+    if (section.isDrop) {
+      height -= 3;
+    }
+  }
   
   // Set new camera target position
   cameraTargetPosition.set(0, height, zDistance);
 }
 
 /**
- * Change the visualization mode
+ * Change the visualization mode, blending from the current one
  * @param {string} mode - Visualization mode
+ * @param {Object} options - Transition options
+ * @param {string} options.type - 'crossfade', 'dissolve' or 'zoom' (default from transitionConfig)
+ * @param {number} options.duration - Seconds, 0 to switch instantly (default from transitionConfig)
  */
-function changeVisualizationMode(mode) {
-  visualizationMode = mode;
+function changeVisualizationMode(mode, { type = transitionConfig.type, duration = transitionConfig.duration } = {}) {
+  const visualization = getVisualization(mode);
+  if (!visualization) {
+    console.warn('Unknown visualization mode:', mode);
+    return;
+  }
   
-  // Clear existing visualizations
-  clearVisualizations();
+  // A transition still running is cut short
+  transition.finish();
+  
+  // Recreating the same mode can't blend - modules keep their objects in module state
+  if (mode === visualizationMode) {
+    duration = 0;
+  }
+  
+  const outgoing = activeVisualization ? {
+    definition: getVisualization(visualizationMode),
+    instance: activeVisualization,
+    objects: activeObjects
+  } : null;
+  
+  if (outgoing && duration <= 0) {
+    // Clear existing visualizations
+    clearVisualizations();
+  }
+  
+  // The camera eases into the new mode's framing
+  applyCameraFraming(visualization.camera);
   
   // Create selected visualization
-  switch (mode) {
-    case 'bars':
-      bars = createBarsVisualization(scene);
-      break;
-    case 'particles':
-      particles = createParticlesVisualization(scene);
-      break;
-    case 'waveform':
-      waveform = createWaveformVisualization(scene);
-      break;
+  visualizationMode = mode;
+  const created = captureAddedObjects(scene, () => visualization.create(scene, renderer));
+  activeVisualization = created.result;
+  activeObjects = created.objects;
+  
+  // Every mode gets a fresh composer - effects can hold objects from the old scene
+  if (composer) {
+    composer.dispose();
+  }
+  composer = visualization.setupPostprocessing(renderer, scene, camera, qualityManager.getTier());
+  
+  // Both visualizations run until the blend finishes
+  if (outgoing && duration > 0) {
+    transition.start(outgoing, composer, { type, duration });
+  }
+  
+  if (settingsPanel) {
+    settingsPanel.setVisualization(visualization);
   }
 }
 
 /**
- * Clear all visualizations from the scene
+ * Point the camera the way a visualization wants to be seen
+ * @param {Object|null} framing - { offset, lookAt } from the registry, null for the default view
+ */
+function applyCameraFraming(framing) {
+  cameraFramingOffset.set(0, 0, 0);
+  cameraLookTarget.set(0, 0, 0);
+  
+  if (framing?.offset) {
+    cameraFramingOffset.copy(framing.offset);
+  }
+  if (framing?.lookAt) {
+    cameraLookTarget.copy(framing.lookAt);
+  }
+}
+
+/**
+ * Clear the current visualization from the scene
  */
 function clearVisualizations() {
-  removeBarsVisualization(bars, scene);
-  removeParticlesVisualization(particles, scene);
-  removeWaveformVisualization(waveform, scene);
+  transition.finish();
+  
+  const visualization = getVisualization(visualizationMode);
+  
+  if (visualization && activeVisualization) {
+    visualization.dispose(activeVisualization, scene);
+  }
   
-  bars = [];
-  particles = [];
-  waveform = null;
+  activeVisualization = null;
+  activeObjects = [];
 }
 
 /**
  * Handle window resize events
  */
 function onWindowResize() {
-  camera.aspect = window.innerWidth / window.innerHeight;
+  // Recordings keep their resolution, the canvas is only scaled to the window
+  if (recordingSize) return;
+  
+  setRenderSize(window.innerWidth, window.innerHeight);
+}
+
+/**
+ * Resize the drawing buffer, camera and postprocessing
+ * @param {number} width - Width in CSS pixels
+ * @param {number} height - Height in CSS pixels
+ * @param {Object} options - Resize options
+ * @param {number} options.pixelRatio - Device pixels per CSS pixel
+ * @param {boolean} options.updateStyle - Whether the canvas element is resized too
+ */
+function setRenderSize(width, height, { pixelRatio = getPixelRatio(), updateStyle = true } = {}) {
+  camera.aspect = width / height;
   camera.updateProjectionMatrix();
-  renderer.setSize(window.innerWidth, window.innerHeight);
+  renderer.setPixelRatio(pixelRatio);
+  renderer.setSize(width, height, updateStyle);
   
   // Update composer size for postprocessing
-  if (typeof setupPostprocessing === 'function') {
-    setupPostprocessing(renderer, scene, camera);
+  if (composer) {
+    composer.setSize(width, height, false);
   }
+  transition.setSize(width, height);
 }
 
 /**
  * Initialize music browser for direct track selection
- * @param {string} deviceId - The Spotify player device ID
+ * It reads the device ID and current track from the playback store
  */
-async function initializeMusicBrowser(deviceId) {
+async function initializeMusicBrowser() {
   if (!player) {
     console.warn('Cannot initialize music browser: Spotify player not available');
     return null;
@@ -885,7 +1870,7 @@ async function initializeMusicBrowser(deviceId) {
 
   try {
     // Create music browser component with fresh token
-    const browser = createMusicBrowser(player, freshToken, deviceId);
+    const browser = createMusicBrowser(player, freshToken, playbackStore);
 
     // Add to the DOM
     document.body.appendChild(browser.element);
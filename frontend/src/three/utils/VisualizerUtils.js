@@ -3,6 +3,26 @@
 
 import { createErrorOverlay as createErrorUI, showMessage as showMessageUI, showReauthPrompt } from '../../ui/ErrorOverlay.js';
 import { refreshAccessToken, redirectToLogin, clearTokens } from '../../auth/handleAuth.js';
+import { TimelineIndex } from '../../audio/TimelineIndex.js';
+import { getVisualizations } from '../visualizations/index.js';
+
+// Lookups over beats / segments arrays, kept per array so consecutive
+// frames resume from the last position instead of rescanning
+const timelines = new WeakMap();
+
+/**
+ * Get the timeline index for an array of analysis events
+ * @param {Array} events - Timed events sorted by start
+ * @returns {TimelineIndex} - Index over the events
+ */
+function getTimeline(events) {
+  let timeline = timelines.get(events);
+  if (!timeline) {
+    timeline = new TimelineIndex(events);
+    timelines.set(events, timeline);
+  }
+  return timeline;
+}
 
 /**
  * Detect beats in the audio based on Spotify analysis data
@@ -32,12 +52,17 @@ export function detectBeats(time, beats, lastBeatTime, currentTempo, energy, isP
       // Convert seconds to milliseconds for comparison
       const currentTimeMs = time * 1000;
       
-      // Look for beats within a small window of the current time
-      for (let i = 0; i < beats.length; i++) {
+      // Look for beats within a small window of the current time,
+      // starting from the last beat before the window
+      const first = Math.max(0, getTimeline(beats).indexAt(time - 0.1));
+      
+      for (let i = first; i < beats.length; i++) {
         const beat = beats[i];
         // Convert beat time to milliseconds and add offset
         const beatStart = beat.start * 1000;
-        const beatDuration = beat.duration * 1000;
+        
+        // Past the window - no later beat can match
+        if (beatStart >= currentTimeMs + 100) break;
         
         if (Math.abs(currentTimeMs - beatStart) < 100) { // 100ms window
           // Beat detected!
@@ -90,19 +115,7 @@ export function detectBeats(time, beats, lastBeatTime, currentTempo, energy, isP
     // Use audio analysis segments to get loudness data
     if (segments && segments.length > 0) {
       // Find current segment
-      const segmentTimeMs = time * 1000;
-      let foundSegment = null;
-      
-      for (let i = 0; i < segments.length; i++) {
-        const segment = segments[i];
-        const segmentStart = segment.start * 1000;
-        const segmentEnd = segmentStart + (segment.duration * 1000);
-        
-        if (segmentTimeMs >= segmentStart && segmentTimeMs < segmentEnd) {
-          foundSegment = segment;
-          break;
-        }
-      }
+      const foundSegment = getTimeline(segments).eventAt(time);
       
       if (foundSegment) {
         // Loudness is in negative dB, so convert to 0-1 range
@@ -282,10 +295,13 @@ export function showMessage(message, timeout = 5000) {
 }
 
 /**
- * Add visualization controls to the UI
+ * Add visualization controls to the UI, one button per registered visualization
+ * @param {string} activeMode - Mode to show as selected
  * @param {Function} onModeChange - Callback when mode changes
+ * @param {Function} onAutoChange - Optional callback when automatic scene changes are toggled
+ * @param {Function} onClearCache - Optional callback to clear cached track analysis
  */
-export function addVisualizationControls(onModeChange) {
+export function addVisualizationControls(activeMode, onModeChange, onAutoChange = null, onClearCache = null) {
   // Remove existing controls if present
   const existingControls = document.getElementById('visualization-controls');
   if (existingControls) {
@@ -297,9 +313,11 @@ export function addVisualizationControls(onModeChange) {
   controls.id = 'visualization-controls';
   controls.innerHTML = `
     <div class="viz-buttons">
-      <button class="viz-button active" data-mode="bars">Bars</button>
-      <button class="viz-button" data-mode="particles">Particles</button>
-      <button class="viz-button" data-mode="waveform">Waveform</button>
+      ${getVisualizations().map(({ id, label }) => `
+        <button class="viz-button${id === activeMode ? ' active' : ''}" data-mode="${id}">${label}</button>
+      `).join('')}
+      <button class="viz-auto-toggle" title="Change scenes on choruses and drops">Auto</button>
+      <button class="viz-cache-clear" title="Clear cached track analysis">Clear cache</button>
     </div>
   `;
   
@@ -309,8 +327,7 @@ export function addVisualizationControls(onModeChange) {
   document.querySelectorAll('.viz-button').forEach(button => {
     button.addEventListener('click', () => {
       // Update active state
-      document.querySelectorAll('.viz-button').forEach(b => b.classList.remove('active'));
-      button.classList.add('active');
+      setActiveVisualizationButton(button.dataset.mode);
       
       // Change visualization mode
       if (onModeChange) {
@@ -319,5 +336,33 @@ export function addVisualizationControls(onModeChange) {
     });
   });
   
+  const autoToggle = controls.querySelector('.viz-auto-toggle');
+  if (onAutoChange) {
+    autoToggle.addEventListener('click', () => {
+      const enabled = autoToggle.classList.toggle('active');
+      onAutoChange(enabled);
+    });
+  } else {
+    autoToggle.remove();
+  }
+  
+  const cacheClear = controls.querySelector('.viz-cache-clear');
+  if (onClearCache) {
+    cacheClear.addEventListener('click', () => onClearCache());
+  } else {
+    cacheClear.remove();
+  }
+  
   return controls;
+}
+
+/**
+ * Highlight the button for a visualization mode
+ * Used when the mode changes without a click, e.g. on a section change
+ * @param {string} mode - Visualization mode
+ */
+export function setActiveVisualizationButton(mode) {
+  document.querySelectorAll('.viz-button').forEach(button => {
+    button.classList.toggle('active', button.dataset.mode === mode);
+  });
 }
\ No newline at end of file
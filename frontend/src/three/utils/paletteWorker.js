@@ -0,0 +1,147 @@
+// src/three/utils/paletteWorker.js
+// Web worker that extracts a small color palette from an album cover with k-means,
+// keeping image decoding and clustering off the render thread
+
+// Covers are scaled down before clustering - plenty for a handful of colors
+const SAMPLE_SIZE = 48;
+const MAX_COLORS = 5;
+const ITERATIONS = 8;
+
+// Clusters closer than this (RGB distance) are merged
+const MIN_COLOR_DISTANCE = 28;
+
+// Clusters covering less of the image than this are dropped
+const MIN_WEIGHT = 0.03;
+
+self.onmessage = async (event) => {
+  const { id, url } = event.data;
+  
+  try {
+    const pixels = await loadPixels(url);
+    self.postMessage({ id, colors: extractPalette(pixels) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
+
+/**
+ * Download and downscale an image
+ * @param {string} url - Image URL (must allow CORS)
+ * @returns {Promise<Array<Array<number>>>} - Opaque pixels as [r, g, b]
+ */
+async function loadPixels(url) {
+  const response = await fetch(url, { mode: 'cors' });
+  if (!response.ok) {
+    throw new Error(`Image request failed: ${response.status}`);
+  }
+  
+  const bitmap = await createImageBitmap(await response.blob(), {
+    resizeWidth: SAMPLE_SIZE,
+    resizeHeight: SAMPLE_SIZE,
+    resizeQuality: 'low'
+  });
+  
+  const canvas = new OffscreenCanvas(SAMPLE_SIZE, SAMPLE_SIZE);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  
+  const { data } = context.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+  const pixels = [];
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] >= 128) {
+      pixels.push([data[i], data[i + 1], data[i + 2]]);
+    }
+  }
+  
+  return pixels;
+}
+
+/**
+ * Squared distance between two RGB colors
+ * @param {Array<number>} a - [r, g, b]
+ * @param {Array<number>} b - [r, g, b]
+ * @returns {number} - Squared distance
+ */
+function distanceSq(a, b) {
+  const dr = a[0] - b[0];
+  const dg = a[1] - b[1];
+  const db = a[2] - b[2];
+  return dr * dr + dg * dg + db * db;
+}
+
+/**
+ * Cluster pixels into the dominant colors of the image
+ * Centers start at brightness quantiles so results are the same on every run
+ * @param {Array<Array<number>>} pixels - Pixels as [r, g, b]
+ * @returns {Array<Object>} - Colors as { r, g, b, weight } (0-1), most common first
+ */
+function extractPalette(pixels) {
+  if (pixels.length === 0) return [];
+  
+  const byBrightness = pixels.slice().sort((a, b) => (a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
+  let centers = Array.from({ length: MAX_COLORS }, (_, i) =>
+    byBrightness[Math.floor((i + 0.5) / MAX_COLORS * byBrightness.length)].slice()
+  );
+  
+  const assignments = new Array(pixels.length).fill(0);
+  
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    // Assign each pixel to its nearest center
+    pixels.forEach((pixel, index) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centers.forEach((center, c) => {
+        const distance = distanceSq(pixel, center);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = c;
+        }
+      });
+      assignments[index] = best;
+    });
+    
+    // Move centers to the mean of their pixels, keeping empty ones where they were
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    pixels.forEach((pixel, index) => {
+      const sum = sums[assignments[index]];
+      sum[0] += pixel[0];
+      sum[1] += pixel[1];
+      sum[2] += pixel[2];
+      sum[3]++;
+    });
+    centers = centers.map((center, c) => {
+      const [r, g, b, count] = sums[c];
+      return count > 0 ? [r / count, g / count, b / count] : center;
+    });
+  }
+  
+  const counts = new Array(centers.length).fill(0);
+  assignments.forEach(c => counts[c]++);
+  
+  const clusters = centers
+    .map((center, c) => ({ center, weight: counts[c] / pixels.length }))
+    .sort((a, b) => b.weight - a.weight);
+  
+  // Fold near-duplicates into the larger cluster
+  const merged = [];
+  clusters.forEach(cluster => {
+    const match = merged.find(existing =>
+      distanceSq(existing.center, cluster.center) < MIN_COLOR_DISTANCE * MIN_COLOR_DISTANCE
+    );
+    if (match) {
+      match.weight += cluster.weight;
+    } else {
+      merged.push({ ...cluster });
+    }
+  });
+  
+  return merged
+    .filter((cluster, index) => index === 0 || cluster.weight >= MIN_WEIGHT)
+    .map(({ center, weight }) => ({
+      r: center[0] / 255,
+      g: center[1] / 255,
+      b: center[2] / 255,
+      weight
+    }));
+}
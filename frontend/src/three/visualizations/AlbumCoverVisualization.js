@@ -0,0 +1,419 @@
+// AlbumCoverVisualization.js
+// Album art as a particle cloud - one particle per pixel of the cover. Beats blow it
+// apart into a sphere, and a new cover is morphed into by sending each particle to
+// a pixel of the same brightness rank, so dark areas flow into dark areas
+
+import * as THREE from 'three';
+import { getPointScale } from './GpuParticles.js';
+
+// Configuration for album cover visualization
+const config = {
+  resolution: 128,    // Pixels sampled along each side of the cover
+  size: 20,           // Width of the cover in world units
+  depth: 1.5,         // Bright pixels stand out of the cover by up to this much
+  pointSize: 1.2,     // Particle size relative to the pixel spacing
+  scatter: 0.8,       // How far a full beat pulse blows the cover apart (0-1)
+  sphereRadius: 13,   // Radius of the sphere beats scatter into
+  morphDuration: 2.5, // Seconds to morph into a new cover
+  morphArc: 4,        // How far particles swing out on their way to the new cover
+  
+  // Gradient shown when there is no cover, or it fails to load
+  gradientStart: new THREE.Color(0x1db954),
+  gradientEnd: new THREE.Color(0x191414)
+};
+
+// Caps from the active quality tier - kept out of config so presets don't store them
+const quality = {
+  resolution: config.resolution
+};
+
+const vertexShader = `
+  uniform float uMorph;
+  uniform float uMorphArc;
+  uniform float uScatter;
+  uniform float uSphereRadius;
+  uniform float uSize;
+  uniform float uScale;
+  uniform float uBrightness;
+  
+  attribute vec3 aFrom;
+  attribute vec3 aColorFrom;
+  attribute vec3 aColorTo;
+  attribute vec3 aDirection;
+  attribute float aSeed;
+  
+  varying vec3 vColor;
+  
+  // Staggered by seed so the new cover sweeps in rather than snapping (see morphProgress)
+  float morphProgress(float morph, float seed) {
+    return smoothstep(0.0, 1.0, clamp(morph * 1.5 - seed * 0.5, 0.0, 1.0));
+  }
+  
+  void main() {
+    float morph = morphProgress(uMorph, aSeed);
+    
+    // position holds the pixel the particle is heading for
+    vec3 cover = mix(aFrom, position, morph) + aDirection * sin(morph * 3.14159265) * uMorphArc;
+    vec3 sphere = aDirection * uSphereRadius;
+    float scatter = smoothstep(0.0, 1.0, clamp(uScatter * (0.6 + aSeed * 0.4), 0.0, 1.0));
+    
+    vColor = mix(aColorFrom, aColorTo, morph) * uBrightness;
+    
+    vec4 mvPosition = modelViewMatrix * vec4(mix(cover, sphere, scatter), 1.0);
+    gl_PointSize = uSize * (uScale / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const fragmentShader = `
+  varying vec3 vColor;
+  
+  void main() {
+    if (length(gl_PointCoord - 0.5) > 0.5) discard;
+    
+    gl_FragColor = vec4(vColor, 1.0);
+    
+    #include <colorspace_fragment>
+  }
+`;
+
+const pixelColor = new THREE.Color();
+
+/**
+ * Apply a quality tier - takes effect when the visualization is next created
+ * @param {Object} tier - Quality tier (see QualityManager)
+ */
+export function applyAlbumCoverQuality(tier) {
+  quality.resolution = tier.coverResolution;
+}
+
+/**
+ * Morph progress of one particle - must match morphProgress in the vertex shader
+ * @param {number} morph - Overall morph progress (0-1)
+ * @param {number} seed - Particle seed (0-1)
+ * @returns {number} - Particle progress (0-1)
+ */
+function morphProgress(morph, seed) {
+  return THREE.MathUtils.smoothstep(morph * 1.5 - seed * 0.5, 0, 1);
+}
+
+/**
+ * Download an album cover and scale it to the sampling resolution
+ * @param {string} url - Image URL (must allow CORS)
+ * @param {number} resolution - Pixels along each side
+ * @returns {Promise<Uint8ClampedArray>} - RGBA pixels, top row first
+ */
+async function sampleCover(url, resolution) {
+  const response = await fetch(url, { mode: 'cors' });
+  if (!response.ok) {
+    throw new Error(`Image request failed: ${response.status}`);
+  }
+  
+  const bitmap = await createImageBitmap(await response.blob(), {
+    resizeWidth: resolution,
+    resizeHeight: resolution,
+    resizeQuality: 'medium'
+  });
+  
+  const canvas = document.createElement('canvas');
+  canvas.width = resolution;
+  canvas.height = resolution;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  
+  return context.getImageData(0, 0, resolution, resolution).data;
+}
+
+/**
+ * Diagonal gradient between the configured colors
+ * @param {number} resolution - Pixels along each side
+ * @returns {Uint8ClampedArray} - RGBA pixels, top row first
+ */
+function createGradient(resolution) {
+  const canvas = document.createElement('canvas');
+  canvas.width = resolution;
+  canvas.height = resolution;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  
+  const gradient = context.createLinearGradient(0, 0, resolution, resolution);
+  gradient.addColorStop(0, config.gradientStart.getStyle());
+  gradient.addColorStop(1, config.gradientEnd.getStyle());
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, resolution, resolution);
+  
+  return context.getImageData(0, 0, resolution, resolution).data;
+}
+
+/**
+ * Turn cover pixels into particle targets
+ * @param {Uint8ClampedArray} rgba - RGBA pixels, top row first
+ * @param {number} resolution - Pixels along each side
+ * @returns {Object} - positions and colors (3 per pixel) and luminance (1 per pixel)
+ */
+function createPixelTargets(rgba, resolution) {
+  const count = resolution * resolution;
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const luminance = new Float32Array(count);
+  const spacing = config.size / resolution;
+  
+  for (let i = 0; i < count; i++) {
+    const x = i % resolution;
+    const y = Math.floor(i / resolution);
+    const r = rgba[i * 4] / 255;
+    const g = rgba[i * 4 + 1] / 255;
+    const b = rgba[i * 4 + 2] / 255;
+    
+    luminance[i] = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    
+    positions[i * 3] = (x + 0.5) * spacing - config.size / 2;
+    positions[i * 3 + 1] = config.size / 2 - (y + 0.5) * spacing;
+    positions[i * 3 + 2] = (luminance[i] - 0.5) * config.depth;
+    
+    // Image pixels are sRGB, the shader works in linear
+    pixelColor.setRGB(r, g, b, THREE.SRGBColorSpace);
+    colors[i * 3] = pixelColor.r;
+    colors[i * 3 + 1] = pixelColor.g;
+    colors[i * 3 + 2] = pixelColor.b;
+  }
+  
+  return { positions, colors, luminance };
+}
+
+/**
+ * Indices sorted by ascending value
+ * @param {ArrayLike<number>} values - Values to sort by
+ * @returns {Uint32Array} - Indices into values
+ */
+function sortedIndices(values) {
+  const indices = new Uint32Array(values.length);
+  for (let i = 0; i < indices.length; i++) {
+    indices[i] = i;
+  }
+  return indices.sort((a, b) => values[a] - values[b]);
+}
+
+/**
+ * Start morphing from wherever the particles are now to a new cover
+ * @param {Object} cover - Visualization components
+ * @param {Object} targets - Pixel targets from createPixelTargets
+ */
+function morphTo(cover, targets) {
+  const { count } = cover;
+  const attributes = cover.points.geometry.attributes;
+  const to = attributes.position.array;
+  const from = attributes.aFrom.array;
+  const colorFrom = attributes.aColorFrom.array;
+  const colorTo = attributes.aColorTo.array;
+  const direction = attributes.aDirection.array;
+  const seeds = attributes.aSeed.array;
+  const luminance = new Float32Array(count);
+  
+  // Freeze where every particle is now, so an interrupted morph carries on from there
+  for (let i = 0; i < count; i++) {
+    const progress = morphProgress(cover.morph, seeds[i]);
+    const arc = Math.sin(progress * Math.PI) * config.morphArc;
+    
+    for (let k = i * 3; k < i * 3 + 3; k++) {
+      from[k] += (to[k] - from[k]) * progress + direction[k] * arc;
+      colorFrom[k] += (colorTo[k] - colorFrom[k]) * progress;
+    }
+    
+    luminance[i] = 0.2126 * colorFrom[i * 3] + 0.7152 * colorFrom[i * 3 + 1] + 0.0722 * colorFrom[i * 3 + 2];
+  }
+  
+  // The n-th darkest particle goes to the n-th darkest pixel
+  const particleOrder = sortedIndices(luminance);
+  const pixelOrder = sortedIndices(targets.luminance);
+  
+  for (let n = 0; n < count; n++) {
+    const i = particleOrder[n] * 3;
+    const pixel = pixelOrder[n] * 3;
+    
+    for (let k = 0; k < 3; k++) {
+      to[i + k] = targets.positions[pixel + k];
+      colorTo[i + k] = targets.colors[pixel + k];
+    }
+  }
+  
+  ['position', 'aFrom', 'aColorFrom', 'aColorTo'].forEach(name => {
+    attributes[name].needsUpdate = true;
+  });
+  
+  cover.morph = 0;
+}
+
+/**
+ * Morph to a new album cover, or to the gradient without one
+ * @param {Object} cover - Visualization components
+ * @param {string|null} url - Album image URL
+ */
+function setCover(cover, url) {
+  if (url === cover.coverUrl) return;
+  cover.coverUrl = url;
+  
+  if (!url) {
+    morphTo(cover, createPixelTargets(createGradient(cover.resolution), cover.resolution));
+    return;
+  }
+  
+  sampleCover(url, cover.resolution)
+    .catch(error => {
+      console.warn('Could not load album cover, showing a gradient instead:', error);
+      return createGradient(cover.resolution);
+    })
+    .then(rgba => {
+      // Another cover was requested, or the visualization was removed, while loading
+      if (url !== cover.coverUrl) return;
+      
+      morphTo(cover, createPixelTargets(rgba, cover.resolution));
+    });
+}
+
+/**
+ * Create album cover visualization
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {THREE.WebGLRenderer} renderer - Renderer, for sizing the points
+ * @returns {Object} - Visualization components
+ */
+export function createAlbumCoverVisualization(scene, renderer) {
+  const resolution = Math.max(16, Math.min(config.resolution, quality.resolution));
+  const count = resolution * resolution;
+  
+  // Start as the gradient until the first cover arrives
+  const targets = createPixelTargets(createGradient(resolution), resolution);
+  const directions = new Float32Array(count * 3);
+  const seeds = new Float32Array(count);
+  const direction = new THREE.Vector3();
+  
+  for (let i = 0; i < count; i++) {
+    direction.randomDirection().toArray(directions, i * 3);
+    seeds[i] = Math.random();
+  }
+  
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(targets.positions, 3));
+  geometry.setAttribute('aFrom', new THREE.BufferAttribute(targets.positions.slice(), 3));
+  geometry.setAttribute('aColorTo', new THREE.BufferAttribute(targets.colors, 3));
+  geometry.setAttribute('aColorFrom', new THREE.BufferAttribute(targets.colors.slice(), 3));
+  geometry.setAttribute('aDirection', new THREE.BufferAttribute(directions, 3));
+  geometry.setAttribute('aSeed', new THREE.BufferAttribute(seeds, 1));
+  
+  const material = new THREE.ShaderMaterial({
+    uniforms: {
+      uMorph: { value: 1 },
+      uMorphArc: { value: config.morphArc },
+      uScatter: { value: 0 },
+      uSphereRadius: { value: config.sphereRadius },
+      uSize: { value: 0 },
+      uScale: { value: 1 },
+      uBrightness: { value: 1 }
+    },
+    vertexShader,
+    fragmentShader,
+    // Show the cover's own colors
+    toneMapped: false
+  });
+  
+  const points = new THREE.Points(geometry, material);
+  // Particles leave the cover's bounds when they scatter and morph
+  points.frustumCulled = false;
+  scene.add(points);
+  
+  return {
+    points,
+    renderer,
+    resolution,
+    count,
+    coverUrl: null,
+    morph: 1,
+    lastTime: null
+  };
+}
+
+/**
+ * Remove album cover visualization from scene
+ * @param {Object} cover - Visualization components
+ * @param {THREE.Scene} scene - Three.js scene
+ */
+export function removeAlbumCoverVisualization(cover, scene) {
+  if (!cover) return;
+  
+  scene.remove(cover.points);
+  cover.points.geometry.dispose();
+  cover.points.material.dispose();
+  
+  // A cover still loading is dropped when it arrives
+  cover.coverUrl = null;
+}
+
+/**
+ * Update album cover visualization based on audio data
+ * @param {Object} cover - Visualization components
+ * @param {number} powerLevel - Current audio power level (0-1)
+ * @param {number} pulseTime - Beat pulse effect time (0-1)
+ * @param {boolean} isPaused - Whether playback is paused
+ * @param {number} animationTime - Current animation time
+ * @param {Object} audioFeatures - Audio features from Spotify API
+ */
+export function updateAlbumCoverVisualization(cover, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) {
+  if (!cover) return;
+  
+  const uniforms = cover.points.material.uniforms;
+  
+  setCover(cover, audioFeatures?.albumImageUrl || null);
+  
+  // Morphs finish even while paused - a track can change without playing
+  const deltaTime = cover.lastTime === null ? 0 : Math.max(0, animationTime - cover.lastTime);
+  cover.lastTime = animationTime;
+  cover.morph = Math.min(1, cover.morph + deltaTime / config.morphDuration);
+  uniforms.uMorph.value = cover.morph;
+  uniforms.uMorphArc.value = config.morphArc;
+  
+  // The pulse jumps on a beat and decays, so the cover bursts and pulls itself back together
+  uniforms.uScatter.value = isPaused ? 0 : Math.min(1, pulseTime * config.scatter);
+  uniforms.uSphereRadius.value = config.sphereRadius;
+  
+  uniforms.uBrightness.value = isPaused ? 0.6 : 0.85 + powerLevel * 0.15 + pulseTime * 0.1;
+  uniforms.uSize.value = (config.size / cover.resolution) * config.pointSize;
+  uniforms.uScale.value = getPointScale(cover.renderer);
+  
+  // Sway gently so the relief of the cover shows
+  if (!isPaused) {
+    cover.points.rotation.y = Math.sin(animationTime * 0.3) * 0.2;
+    cover.points.rotation.x = Math.sin(animationTime * 0.23) * 0.1;
+  }
+}
+
+// Export configuration for other modules to access
+export { config };
+
+/**
+ * Registry entry for the album cover visualization
+ */
+export const albumCoverVisualization = {
+  id: 'cover',
+  label: 'Cover',
+  config,
+  configSchema: {
+    scatter: { type: 'number', label: 'Beat scatter', min: 0, max: 1.5, step: 0.05 },
+    sphereRadius: { type: 'number', label: 'Scatter radius', min: 5, max: 30, step: 1 },
+    morphDuration: { type: 'number', label: 'Morph time', min: 0.5, max: 6, step: 0.25 },
+    morphArc: { type: 'number', label: 'Morph arc', min: 0, max: 12, step: 0.5 },
+    pointSize: { type: 'number', label: 'Particle size', min: 0.5, max: 2, step: 0.05 },
+    gradientStart: { type: 'color', label: 'Gradient start' },
+    gradientEnd: { type: 'color', label: 'Gradient end' },
+    depth: { type: 'number', label: 'Relief', min: 0, max: 5, step: 0.25, recreate: true },
+    resolution: { type: 'number', label: 'Resolution', min: 32, max: 192, step: 16, recreate: true }
+  },
+  // Face the cover head on, like the radial bars
+  camera: {
+    offset: { x: 0, y: -6, z: 0 },
+    lookAt: { x: 0, y: 0, z: 0 }
+  },
+  create: createAlbumCoverVisualization,
+  update: updateAlbumCoverVisualization,
+  dispose: removeAlbumCoverVisualization,
+  applyQuality: applyAlbumCoverQuality
+};
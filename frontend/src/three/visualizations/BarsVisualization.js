@@ -5,6 +5,7 @@ import * as THREE from 'three';
 import { Text } from 'troika-three-text';
 import { gsap } from 'gsap';
 import { EffectComposer, RenderPass, EffectPass, BloomEffect, GodRaysEffect, SMAAEffect } from 'postprocessing';
+import { followPitchColor, getKeyName } from '../utils/PitchColors.js';
 
 // Configuration for visualization
 const config = {
@@ -32,21 +33,55 @@ const config = {
   animationSpeed: 1.2,
   pulseStrength: 1.5,
   
+  // How strongly bars are tinted towards the dominant pitch color (0-1)
+  pitchTint: 0.35,
+  
+  // How far the colors above follow the album cover palette (0-1)
+  albumColors: 0.8,
+  
   // Visual settings
   useReflection: true,
-  useGlow: true
+  useGlow: true,
+  
+  // Postprocessing - applied when the composer is set up
+  bloom: {
+    intensity: 1.0,
+    luminanceThreshold: 0.4,
+    luminanceSmoothing: 0.7
+  },
+  godRays: true
+};
+
+// Caps from the active quality tier - kept out of config so presets don't store them
+const quality = {
+  numBars: config.numBars,
+  godRaysSamples: 60,
+  bloomResolution: 480,
+  smaa: true,
+  reflection: true
 };
 
 // Global variables for rendering
 let composer;
+let bloomEffect;
 let instancedMesh;
 let reflectionMesh;
 let dummy = new THREE.Object3D();
 let trackInfoText;
 let frequencyText;
-let analyzerValues = new Array(config.numBars).fill(0);
+let pitchColor = config.baseColor.clone();
+let bandColors = {
+  bass: new THREE.Color(),
+  mid: new THREE.Color(),
+  high: new THREE.Color()
+};
+// Smoothing state for the bars - sized to config.numBars by simulateFrequencyData
+let analyzerValues = [];
 let lightSource;
 
+// Bars actually drawn - fewer than config.numBars on lower quality tiers
+let barCount = config.numBars;
+
 /**
  * Set up postprocessing effects
  * @param {THREE.WebGLRenderer} renderer - Three.js renderer
@@ -58,25 +93,26 @@ export function setupPostprocessing(renderer, scene, camera) {
   composer.addPass(new RenderPass(scene, camera));
   
   // Add bloom for glow effect
-  const bloomEffect = new BloomEffect({
-    intensity: 1.0,
-    luminanceThreshold: 0.4,
-    luminanceSmoothing: 0.7,
-    height: 480
+  bloomEffect = new BloomEffect({
+    intensity: config.bloom.intensity,
+    luminanceThreshold: config.bloom.luminanceThreshold,
+    luminanceSmoothing: config.bloom.luminanceSmoothing,
+    height: quality.bloomResolution
   });
+  applyBloomSettings();
   
   // Add anti-aliasing for smoother edges
-  const smaaEffect = new SMAAEffect();
+  const smaaEffect = quality.smaa ? new SMAAEffect() : null;
   
   // Create god rays effect from the light source if it exists
   let godRaysEffect;
-  if (lightSource) {
+  if (lightSource && config.godRays && quality.godRaysSamples > 0) {
     godRaysEffect = new GodRaysEffect(camera, lightSource, {
       resolutionScale: 0.5,
       density: 0.96,
       decay: 0.92,
       weight: 0.4,
-      samples: 60
+      samples: quality.godRaysSamples
     });
   }
   
@@ -84,15 +120,65 @@ export function setupPostprocessing(renderer, scene, camera) {
   const effectPass = new EffectPass(
     camera, 
     bloomEffect, 
-    smaaEffect,
+    ...(smaaEffect ? [smaaEffect] : []),
     ...(godRaysEffect ? [godRaysEffect] : [])
   );
-  effectPass.renderToScreen = true;
+  // The composer renders its last pass to screen, so later passes can be appended
   composer.addPass(effectPass);
   
   return composer;
 }
 
+/**
+ * Copy the glow settings from config onto the bloom effect
+ * Runs every frame so edits show up without rebuilding the composer
+ */
+function applyBloomSettings() {
+  if (!bloomEffect) return;
+  
+  bloomEffect.intensity = config.useGlow ? config.bloom.intensity : 0;
+  bloomEffect.luminanceMaterial.threshold = config.bloom.luminanceThreshold;
+  bloomEffect.luminanceMaterial.smoothing = config.bloom.luminanceSmoothing;
+}
+
+/**
+ * Apply a quality tier - takes effect when the visualization is next created
+ * @param {Object} tier - Quality tier (see QualityManager)
+ */
+export function applyBarsQuality(tier) {
+  quality.numBars = tier.numBars;
+  quality.godRaysSamples = tier.godRaysSamples;
+  quality.bloomResolution = tier.bloomResolution;
+  quality.smaa = tier.smaa;
+  quality.reflection = tier.reflection;
+}
+
+/**
+ * Index into the full-resolution spectrum for a drawn bar
+ * @param {number} i - Bar index
+ * @returns {number} - Index into the config.numBars frequency data
+ */
+function spectrumIndex(i) {
+  return Math.floor(i * config.numBars / barCount);
+}
+
+/**
+ * Width of a drawn bar relative to a full-resolution one
+ * @returns {number} - Horizontal scale
+ */
+function getBarWidth() {
+  return config.numBars / barCount;
+}
+
+/**
+ * Horizontal position of a drawn bar
+ * @param {number} i - Bar index
+ * @returns {number} - X position
+ */
+function getBarX(i) {
+  return (i - barCount / 2) * config.spacing * getBarWidth();
+}
+
 /**
  * Create bars visualization
  * @param {THREE.Scene} scene - Three.js scene
@@ -102,6 +188,9 @@ export function createBarsVisualization(scene) {
   // Create array to return with visualization elements
   const bars = [];
   
+  // Fewer, wider bars on lower quality tiers keep the same overall width
+  barCount = Math.max(1, Math.min(config.numBars, quality.numBars));
+  
   // Create instanced mesh for all bars (more efficient than individual meshes)
   const barGeometry = new THREE.BoxGeometry(0.6, 1, 0.6);
   const barMaterial = new THREE.MeshStandardMaterial({
@@ -112,15 +201,15 @@ export function createBarsVisualization(scene) {
   });
   
   // Create bars using instanced mesh for better performance
-  instancedMesh = new THREE.InstancedMesh(barGeometry, barMaterial, config.numBars);
+  instancedMesh = new THREE.InstancedMesh(barGeometry, barMaterial, barCount);
   instancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
   instancedMesh.position.y = 0;
   
   // Set up initial bar positions
-  for (let i = 0; i < config.numBars; i++) {
-    const x = (i - config.numBars / 2) * config.spacing;
+  for (let i = 0; i < barCount; i++) {
+    const x = getBarX(i);
     dummy.position.set(x, config.minHeight / 2, 0);
-    dummy.scale.set(1, config.minHeight, 1);
+    dummy.scale.set(getBarWidth(), config.minHeight, 1);
     dummy.updateMatrix();
     instancedMesh.setMatrixAt(i, dummy.matrix);
     
@@ -130,7 +219,7 @@ export function createBarsVisualization(scene) {
   scene.add(instancedMesh);
   
   // Create reflective floor
-  if (config.useReflection) {
+  if (config.useReflection && quality.reflection) {
     const floorGeometry = new THREE.PlaneGeometry(120, 120);
     const floorMaterial = new THREE.MeshStandardMaterial({
       color: 0x111111,
@@ -248,13 +337,17 @@ export function removeBarsVisualization(bars, scene) {
 
 /**
  * Simulate frequency data for different audio bands
+ * Other visualizations can use the same bands, passing their own smoothing
+ * array so they don't smooth the bars' values a second time each frame
  * @param {number} powerLevel - Overall power level (0-1)
  * @param {Object} audioFeatures - Audio features from Spotify API
  * @param {number} time - Current animation time
  * @param {boolean} isPaused - Whether playback is paused
- * @returns {Array} - Array of frequency values
+ * @param {Array<number>} smoothed - Values eased towards the new frame in place,
+ *   grown or trimmed to config.numBars first
+ * @returns {Array} - Array of frequency values (config.numBars long)
  */
-function simulateFrequencyData(powerLevel, audioFeatures, time, isPaused) {
+export function simulateFrequencyData(powerLevel, audioFeatures, time, isPaused, smoothed = analyzerValues) {
   // Get audio features or use defaults
   const energy = audioFeatures?.energy || 0.5;
   const danceability = audioFeatures?.danceability || 0.5;
@@ -322,16 +415,23 @@ function simulateFrequencyData(powerLevel, audioFeatures, time, isPaused) {
     frequencies[i] += 0.15 * Math.random() * energy;
   }
   
+  // config.numBars can change after the smoothing array was made (presets)
+  if (smoothed.length !== config.numBars) {
+    const previousLength = smoothed.length;
+    smoothed.length = config.numBars;
+    smoothed.fill(0, previousLength);
+  }
+  
   // Apply smoothing with previous values for more natural transitions
   for (let i = 0; i < config.numBars; i++) {
     // Apply overall power level
     frequencies[i] *= powerLevel;
     
     // Smooth transitions
-    analyzerValues[i] = analyzerValues[i] * 0.7 + frequencies[i] * 0.3;
+    smoothed[i] = smoothed[i] * 0.7 + frequencies[i] * 0.3;
   }
   
-  return analyzerValues;
+  return smoothed;
 }
 
 /**
@@ -351,36 +451,72 @@ export function updateBarsVisualization(bars, powerLevel, pulseTime, isPaused, a
   const danceability = audioFeatures?.danceability || 0.5;
   const valence = audioFeatures?.valence || 0.5;
   
+  // Palette rotation from section changes
+  const hueShift = audioFeatures?.hueShift || 0;
+  
+  // Harmonic tint - eases towards the dominant pitch class
+  const hasPitch = !isPaused && followPitchColor(pitchColor, audioFeatures, 0.05);
+  
   // Simulate frequency data based on audio features
   const frequencies = simulateFrequencyData(powerLevel, audioFeatures, animationTime, isPaused);
   
+  // Band colors follow the album cover when there is one
+  const palette = audioFeatures?.palette;
+  const albumAmount = palette ? config.albumColors * palette.strength : 0;
+  bandColors.bass.copy(config.bassColor);
+  bandColors.mid.copy(config.midColor);
+  bandColors.high.copy(config.highColor);
+  bars.instancedMesh.material.color.copy(config.baseColor);
+  if (albumAmount > 0) {
+    bandColors.bass.lerp(palette.bass, albumAmount);
+    bandColors.mid.lerp(palette.mid, albumAmount);
+    bandColors.high.lerp(palette.high, albumAmount);
+    bars.instancedMesh.material.color.lerp(palette.base, albumAmount);
+  }
+  bars.instancedMesh.material.emissive.copy(bars.instancedMesh.material.color).multiplyScalar(0.3);
+  
+  // Beats push the bars up, scaled by pulseStrength
+  const beatBoost = isPaused ? 1 : 1 + pulseTime * config.pulseStrength * 0.15;
+  
+  applyBloomSettings();
+  
   // Update instanced mesh based on frequency data
-  for (let i = 0; i < config.numBars; i++) {
+  for (let i = 0; i < barCount; i++) {
+    const band = spectrumIndex(i);
+    
     // Calculate height based on frequency value
-    const height = config.minHeight + frequencies[i] * config.maxHeight;
+    const height = config.minHeight + frequencies[band] * config.maxHeight * beatBoost;
     
     // Position based on bar index
-    const x = (i - config.numBars / 2) * config.spacing;
+    const x = getBarX(i);
     
     // Assign different colors based on frequency band
     let color;
-    if (i < config.frequencyBands.bass.to) {
+    if (band < config.frequencyBands.bass.to) {
       // Bass frequencies - green to teal
-      color = config.bassColor.clone();
-    } else if (i < config.frequencyBands.lowMid.to) {
+      color = bandColors.bass.clone();
+    } else if (band < config.frequencyBands.lowMid.to) {
       // Low-mid frequencies - teal to blue
-      color = config.midColor.clone();
-    } else if (i < config.frequencyBands.highMid.to) {
+      color = bandColors.mid.clone();
+    } else if (band < config.frequencyBands.highMid.to) {
       // High-mid frequencies - blue to purple
-      color = config.midColor.clone().lerp(config.highColor, (i - config.frequencyBands.lowMid.to) / 
+      color = bandColors.mid.clone().lerp(bandColors.high, (band - config.frequencyBands.lowMid.to) / 
         (config.frequencyBands.highMid.to - config.frequencyBands.lowMid.to));
     } else {
       // Treble frequencies - purple
-      color = config.highColor.clone();
+      color = bandColors.high.clone();
+    }
+    
+    if (hueShift) {
+      color.offsetHSL(hueShift, 0, 0);
+    }
+    
+    if (hasPitch) {
+      color.lerp(pitchColor, config.pitchTint);
     }
     
     // Add color variation based on height
-    const heightFactor = (height - config.minHeight) / config.maxHeight;
+    const heightFactor = Math.min(1, (height - config.minHeight) / config.maxHeight);
     const intensity = isPaused ? 0.3 : 0.5 + heightFactor * 0.5;
     
     // Set color for this instance
@@ -388,7 +524,7 @@ export function updateBarsVisualization(bars, powerLevel, pulseTime, isPaused, a
     
     // Create matrix for this bar
     dummy.position.set(x, height / 2, 0);
-    dummy.scale.set(1, height, 1);
+    dummy.scale.set(getBarWidth(), height, 1);
     
     // Add some dynamic movement and rotation
     if (!isPaused && danceability > 0.5) {
@@ -414,7 +550,7 @@ export function updateBarsVisualization(bars, powerLevel, pulseTime, isPaused, a
   // Update reflection if it exists
   if (bars.reflection) {
     // Copy matrices from original mesh to reflection
-    for (let i = 0; i < config.numBars; i++) {
+    for (let i = 0; i < barCount; i++) {
       bars.instancedMesh.getMatrixAt(i, dummy.matrix);
       
       // Extract position and scale
@@ -444,12 +580,12 @@ export function updateBarsVisualization(bars, powerLevel, pulseTime, isPaused, a
   
   // Update light source pulsing with the beat
   if (bars.lightSource) {
-    const pulseScale = isPaused ? 1 : 1 + pulseTime * 0.4;
+    const pulseScale = isPaused ? 1 : 1 + pulseTime * config.pulseStrength * 0.25;
     bars.lightSource.scale.set(pulseScale, pulseScale, pulseScale);
     
     // Change color based on valence (happiness)
     const lightHue = valence > 0.5 ? 0.3 : 0.6; // Green for happy, blue for sad
-    const lightColor = new THREE.Color().setHSL(lightHue, 0.8, 0.5 + pulseTime * 0.3);
+    const lightColor = new THREE.Color().setHSL(lightHue + hueShift, 0.8, 0.5 + pulseTime * 0.3);
     bars.lightSource.material.color.copy(lightColor);
     
     // Update opacity
@@ -463,7 +599,10 @@ export function updateBarsVisualization(bars, powerLevel, pulseTime, isPaused, a
     } else {
       const energyText = energy > 0.7 ? 'High Energy' : energy > 0.4 ? 'Medium Energy' : 'Low Energy';
       const valenceText = valence > 0.7 ? 'Positive' : valence > 0.4 ? 'Neutral' : 'Melancholic';
-      bars.trackInfoText.text = `${energyText} | ${valenceText}`;
+      const keyName = getKeyName(audioFeatures?.key, audioFeatures?.mode);
+      bars.trackInfoText.text = keyName ?
+        `${energyText} | ${valenceText} | ${keyName}` :
+        `${energyText} | ${valenceText}`;
     }
     
     // Pulse text with beat
@@ -501,4 +640,35 @@ export function renderWithPostprocessing(renderer, scene, camera) {
 }
 
 // Export configuration and main functions
-export { config };
\ No newline at end of file
+export { config };
+
+/**
+ * Registry entry for the bars visualization
+ * Schema fields marked recreate only apply when the visualization is rebuilt,
+ * dotted keys point into nested config objects
+ */
+export const barsVisualization = {
+  id: 'bars',
+  label: 'Bars',
+  config,
+  configSchema: {
+    spacing: { type: 'number', label: 'Bar spacing', min: 0.3, max: 1.5, step: 0.05 },
+    maxHeight: { type: 'number', label: 'Max height', min: 5, max: 40, step: 1 },
+    pulseStrength: { type: 'number', label: 'Beat pulse', min: 0, max: 4, step: 0.1 },
+    pitchTint: { type: 'number', label: 'Pitch tint', min: 0, max: 1, step: 0.05 },
+    albumColors: { type: 'number', label: 'Album colors', min: 0, max: 1, step: 0.05 },
+    bassColor: { type: 'color', label: 'Bass color' },
+    midColor: { type: 'color', label: 'Mid color' },
+    highColor: { type: 'color', label: 'High color' },
+    useReflection: { type: 'boolean', label: 'Reflection', recreate: true },
+    useGlow: { type: 'boolean', label: 'Glow' },
+    'bloom.intensity': { type: 'number', label: 'Bloom intensity', min: 0, max: 3, step: 0.05 },
+    'bloom.luminanceThreshold': { type: 'number', label: 'Bloom threshold', min: 0, max: 1, step: 0.05 },
+    godRays: { type: 'boolean', label: 'God rays', recreate: true }
+  },
+  create: createBarsVisualization,
+  update: updateBarsVisualization,
+  dispose: removeBarsVisualization,
+  setupPostprocessing,
+  applyQuality: applyBarsQuality
+};
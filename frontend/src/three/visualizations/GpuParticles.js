@@ -0,0 +1,394 @@
+// GpuParticles.js
+// Particle system simulated on the GPU - positions and velocities live in float
+// textures and are stepped by fragment shaders, so 100k+ particles cost no CPU time
+
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+
+// Album palette colors the render shader can pick from
+const MAX_PALETTE_COLORS = 5;
+
+// 3D simplex noise (Ashima Arts, MIT) and the curl of a noise vector field,
+// which gives divergence-free flow - particles swirl without bunching up
+const noiseShader = `
+  vec4 permute(vec4 x) { return mod(((x * 34.0) + 1.0) * x, 289.0); }
+  vec4 taylorInvSqrt(vec4 r) { return 1.79284291400159 - 0.85373472095314 * r; }
+  
+  float snoise(vec3 v) {
+    const vec2 C = vec2(1.0 / 6.0, 1.0 / 3.0);
+    const vec4 D = vec4(0.0, 0.5, 1.0, 2.0);
+    
+    vec3 i = floor(v + dot(v, C.yyy));
+    vec3 x0 = v - i + dot(i, C.xxx);
+    
+    vec3 g = step(x0.yzx, x0.xyz);
+    vec3 l = 1.0 - g;
+    vec3 i1 = min(g.xyz, l.zxy);
+    vec3 i2 = max(g.xyz, l.zxy);
+    
+    vec3 x1 = x0 - i1 + C.xxx;
+    vec3 x2 = x0 - i2 + C.yyy;
+    vec3 x3 = x0 - D.yyy;
+    
+    i = mod(i, 289.0);
+    vec4 p = permute(permute(permute(
+      i.z + vec4(0.0, i1.z, i2.z, 1.0)) +
+      i.y + vec4(0.0, i1.y, i2.y, 1.0)) +
+      i.x + vec4(0.0, i1.x, i2.x, 1.0));
+    
+    vec3 ns = 0.142857142857 * D.wyz - D.xzx;
+    vec4 j = p - 49.0 * floor(p * ns.z * ns.z);
+    
+    vec4 x_ = floor(j * ns.z);
+    vec4 y_ = floor(j - 7.0 * x_);
+    
+    vec4 x = x_ * ns.x + ns.yyyy;
+    vec4 y = y_ * ns.x + ns.yyyy;
+    vec4 h = 1.0 - abs(x) - abs(y);
+    
+    vec4 b0 = vec4(x.xy, y.xy);
+    vec4 b1 = vec4(x.zw, y.zw);
+    vec4 s0 = floor(b0) * 2.0 + 1.0;
+    vec4 s1 = floor(b1) * 2.0 + 1.0;
+    vec4 sh = -step(h, vec4(0.0));
+    
+    vec4 a0 = b0.xzyw + s0.xzyw * sh.xxyy;
+    vec4 a1 = b1.xzyw + s1.xzyw * sh.zzww;
+    
+    vec3 p0 = vec3(a0.xy, h.x);
+    vec3 p1 = vec3(a0.zw, h.y);
+    vec3 p2 = vec3(a1.xy, h.z);
+    vec3 p3 = vec3(a1.zw, h.w);
+    
+    vec4 norm = taylorInvSqrt(vec4(dot(p0, p0), dot(p1, p1), dot(p2, p2), dot(p3, p3)));
+    p0 *= norm.x;
+    p1 *= norm.y;
+    p2 *= norm.z;
+    p3 *= norm.w;
+    
+    vec4 m = max(0.6 - vec4(dot(x0, x0), dot(x1, x1), dot(x2, x2), dot(x3, x3)), 0.0);
+    m = m * m;
+    return 42.0 * dot(m * m, vec4(dot(p0, x0), dot(p1, x1), dot(p2, x2), dot(p3, x3)));
+  }
+  
+  vec3 snoiseVec3(vec3 p) {
+    return vec3(
+      snoise(p),
+      snoise(p + vec3(-19.1, 33.4, 47.2)),
+      snoise(p + vec3(74.2, -124.5, 99.4))
+    );
+  }
+  
+  vec3 curlNoise(vec3 p) {
+    const float e = 0.1;
+    vec3 dx = vec3(e, 0.0, 0.0);
+    vec3 dy = vec3(0.0, e, 0.0);
+    vec3 dz = vec3(0.0, 0.0, e);
+    
+    vec3 x0 = snoiseVec3(p - dx);
+    vec3 x1 = snoiseVec3(p + dx);
+    vec3 y0 = snoiseVec3(p - dy);
+    vec3 y1 = snoiseVec3(p + dy);
+    vec3 z0 = snoiseVec3(p - dz);
+    vec3 z1 = snoiseVec3(p + dz);
+    
+    return vec3(
+      y1.z - y0.z - z1.y + z0.y,
+      z1.x - z0.x - x1.z + x0.z,
+      x1.y - x0.y - y1.x + y0.x
+    ) / (2.0 * e);
+  }
+`;
+
+// Velocity step - curl flow, a soft spring back into the sphere, bass attraction
+// towards the center and the expanding beat shockwave
+const velocityShader = `
+  uniform float uFlowTime;
+  uniform float uDelta;
+  uniform float uRadius;
+  uniform float uFlowScale;
+  uniform float uFlowStrength;
+  uniform float uAttraction;
+  uniform float uShockRadius;
+  uniform float uShockWidth;
+  uniform float uShockStrength;
+  uniform float uDamping;
+  
+  ${noiseShader}
+  
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec3 position = texture2D(texturePosition, uv).xyz;
+    vec4 velocityData = texture2D(textureVelocity, uv);
+    vec3 velocity = velocityData.xyz;
+    
+    float dist = length(position);
+    vec3 dir = dist > 0.0001 ? position / dist : vec3(0.0, 1.0, 0.0);
+    
+    vec3 force = curlNoise(position * uFlowScale + vec3(0.0, 0.0, uFlowTime)) * uFlowStrength;
+    
+    // Particles that drift past the radius are pulled back in
+    force -= dir * max(0.0, dist - uRadius) * 2.0;
+    
+    // Bass draws everything towards the center, strongest at the edge
+    force -= dir * uAttraction * min(dist / uRadius, 1.0);
+    
+    // The shockwave shell pushes the particles it passes outwards
+    float shell = 1.0 - smoothstep(0.0, uShockWidth, abs(dist - uShockRadius));
+    force += dir * shell * uShockStrength;
+    
+    velocity += force * uDelta;
+    velocity *= exp(-uDamping * uDelta);
+    
+    gl_FragColor = vec4(velocity, velocityData.w);
+  }
+`;
+
+// Position step - w carries the particle's random seed untouched
+const positionShader = `
+  uniform float uDelta;
+  
+  void main() {
+    vec2 uv = gl_FragCoord.xy / resolution.xy;
+    vec4 positionData = texture2D(texturePosition, uv);
+    vec3 velocity = texture2D(textureVelocity, uv).xyz;
+    
+    gl_FragColor = vec4(positionData.xyz + velocity * uDelta, positionData.w);
+  }
+`;
+
+const renderVertexShader = `
+  uniform sampler2D texturePosition;
+  uniform sampler2D textureVelocity;
+  uniform float uTime;
+  uniform float uSize;
+  uniform float uScale;
+  uniform vec3 uColorA;
+  uniform vec3 uColorB;
+  uniform vec3 uPalette[${MAX_PALETTE_COLORS}];
+  uniform float uAlbumAmount;
+  uniform vec3 uPitchColor;
+  uniform float uPitchTint;
+  
+  attribute vec2 reference;
+  attribute float aSize;
+  
+  varying vec3 vColor;
+  
+  void main() {
+    vec4 positionData = texture2D(texturePosition, reference);
+    vec3 velocity = texture2D(textureVelocity, reference).xyz;
+    float seed = positionData.w;
+    
+    // Each particle drifts between two hues, then takes one of the album colors
+    vec3 color = mix(uColorA, uColorB, 0.5 + 0.5 * sin(uTime * 0.1 + seed * 6.2831853));
+    int paletteIndex = int(min(seed * ${MAX_PALETTE_COLORS}.0, ${MAX_PALETTE_COLORS - 1}.0));
+    color = mix(color, uPalette[paletteIndex], uAlbumAmount);
+    color = mix(color, uPitchColor, uPitchTint);
+    
+    // Fast particles (shockwave, bass hits) flare up
+    vColor = color * (0.8 + min(length(velocity) * 0.05, 0.6));
+    
+    vec4 mvPosition = modelViewMatrix * vec4(positionData.xyz, 1.0);
+    gl_PointSize = uSize * aSize * (uScale / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const renderFragmentShader = `
+  uniform float uOpacity;
+  
+  varying vec3 vColor;
+  
+  void main() {
+    // Round, soft-edged points
+    float dist = length(gl_PointCoord - 0.5);
+    if (dist > 0.5) discard;
+    
+    gl_FragColor = vec4(vColor, smoothstep(0.5, 0.1, dist) * uOpacity);
+    
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+  }
+`;
+
+const drawingBufferSize = new THREE.Vector2();
+
+/**
+ * Scale for gl_PointSize that sizes points in world units, like PointsMaterial with sizeAttenuation
+ * @param {THREE.WebGLRenderer} renderer - Renderer
+ * @returns {number} - Half the drawing buffer height
+ */
+export function getPointScale(renderer) {
+  renderer.getDrawingBufferSize(drawingBufferSize);
+  return drawingBufferSize.y / 2;
+}
+
+/**
+ * GpuParticles - Points whose motion is computed entirely in shaders
+ */
+export class GpuParticles {
+  /**
+   * Whether a renderer can run the simulation (vertex textures and float render targets)
+   * @param {THREE.WebGLRenderer} renderer - Renderer
+   * @returns {boolean} - True if supported
+   */
+  static isSupported(renderer) {
+    if (!renderer?.capabilities || renderer.capabilities.maxVertexTextures === 0) return false;
+    return renderer.extensions.has('EXT_color_buffer_float');
+  }
+  
+  /**
+   * @param {THREE.WebGLRenderer} renderer - Renderer the simulation runs on
+   * @param {number} count - Number of particles
+   * @param {number} radius - Radius of the sphere particles start in
+   */
+  constructor(renderer, count, radius) {
+    this.renderer = renderer;
+    
+    // Smallest square texture holding every particle - the spare texels aren't drawn
+    const size = Math.ceil(Math.sqrt(count));
+    this.size = size;
+    this.count = count;
+    
+    this.gpuCompute = new GPUComputationRenderer(size, size, renderer);
+    
+    const initialPosition = this.gpuCompute.createTexture();
+    const initialVelocity = this.gpuCompute.createTexture();
+    const positions = initialPosition.image.data;
+    
+    for (let i = 0; i < size * size; i++) {
+      // Random position in a sphere, seed in w
+      const theta = Math.random() * Math.PI * 2;
+      const phi = Math.acos((Math.random() * 2) - 1);
+      const r = Math.cbrt(Math.random()) * radius;
+      
+      positions[i * 4] = r * Math.sin(phi) * Math.cos(theta);
+      positions[i * 4 + 1] = r * Math.sin(phi) * Math.sin(theta);
+      positions[i * 4 + 2] = r * Math.cos(phi);
+      positions[i * 4 + 3] = Math.random();
+    }
+    
+    this.positionVariable = this.gpuCompute.addVariable('texturePosition', positionShader, initialPosition);
+    this.velocityVariable = this.gpuCompute.addVariable('textureVelocity', velocityShader, initialVelocity);
+    this.gpuCompute.setVariableDependencies(this.positionVariable, [this.positionVariable, this.velocityVariable]);
+    this.gpuCompute.setVariableDependencies(this.velocityVariable, [this.positionVariable, this.velocityVariable]);
+    
+    this.positionUniforms = this.positionVariable.material.uniforms;
+    this.positionUniforms.uDelta = { value: 0 };
+    
+    this.velocityUniforms = this.velocityVariable.material.uniforms;
+    Object.assign(this.velocityUniforms, {
+      uFlowTime: { value: 0 },
+      uDelta: { value: 0 },
+      uRadius: { value: radius },
+      uFlowScale: { value: 0.08 },
+      uFlowStrength: { value: 4 },
+      uAttraction: { value: 0 },
+      uShockRadius: { value: -1000 },
+      uShockWidth: { value: 3 },
+      uShockStrength: { value: 0 },
+      uDamping: { value: 1.5 }
+    });
+    
+    // Each point looks up its own texel, and gets a random size
+    const geometry = new THREE.BufferGeometry();
+    const references = new Float32Array(count * 2);
+    const sizes = new Float32Array(count);
+    
+    for (let i = 0; i < count; i++) {
+      references[i * 2] = ((i % size) + 0.5) / size;
+      references[i * 2 + 1] = (Math.floor(i / size) + 0.5) / size;
+      sizes[i] = Math.random() + 0.5;
+    }
+    
+    // Positions come from the texture - this attribute only sets the vertex count
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.setAttribute('reference', new THREE.BufferAttribute(references, 2));
+    geometry.setAttribute('aSize', new THREE.BufferAttribute(sizes, 1));
+    
+    // Particles fly around the whole sphere, so culling by the (empty) bounds would be wrong
+    geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), radius * 2);
+    
+    this.uniforms = {
+      texturePosition: { value: null },
+      textureVelocity: { value: null },
+      uTime: { value: 0 },
+      uSize: { value: 0.2 },
+      uScale: { value: 1 },
+      uColorA: { value: new THREE.Color(0x1db954) },
+      uColorB: { value: new THREE.Color(0x1db954) },
+      uPalette: { value: Array.from({ length: MAX_PALETTE_COLORS }, () => new THREE.Color(0x1db954)) },
+      uAlbumAmount: { value: 0 },
+      uPitchColor: { value: new THREE.Color(0x1db954) },
+      uPitchTint: { value: 0 },
+      uOpacity: { value: 0.8 }
+    };
+    
+    const material = new THREE.ShaderMaterial({
+      uniforms: this.uniforms,
+      vertexShader: renderVertexShader,
+      fragmentShader: renderFragmentShader,
+      transparent: true,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending
+    });
+    
+    this.points = new THREE.Points(geometry, material);
+  }
+  
+  /**
+   * Create the simulation's render targets
+   * @returns {string|null} - Error message, or null on success
+   */
+  init() {
+    return this.gpuCompute.init();
+  }
+  
+  /**
+   * Advance the simulation one step
+   * @param {number} deltaTime - Seconds since the last step
+   * @param {Object} forces - Simulation inputs
+   * @param {number} forces.flowTime - Moves the flow field, so the swirls change over time
+   * @param {number} forces.radius - Radius particles are kept within
+   * @param {number} forces.flowScale - Size of the swirls (smaller is larger)
+   * @param {number} forces.flowStrength - How hard the flow pushes
+   * @param {number} forces.attraction - Pull towards the center
+   * @param {number} forces.shockRadius - Current radius of the shockwave shell
+   * @param {number} forces.shockStrength - Outward push of the shell, 0 for none
+   */
+  step(deltaTime, { flowTime, radius, flowScale, flowStrength, attraction, shockRadius, shockStrength }) {
+    // Long frames (hidden tab) would fling particles out of the sphere
+    const delta = Math.min(deltaTime, 1 / 30);
+    
+    this.positionUniforms.uDelta.value = delta;
+    
+    const uniforms = this.velocityUniforms;
+    uniforms.uFlowTime.value = flowTime;
+    uniforms.uDelta.value = delta;
+    uniforms.uRadius.value = radius;
+    uniforms.uFlowScale.value = flowScale;
+    uniforms.uFlowStrength.value = flowStrength;
+    uniforms.uAttraction.value = attraction;
+    uniforms.uShockRadius.value = shockRadius;
+    uniforms.uShockStrength.value = shockStrength;
+    
+    this.gpuCompute.compute();
+    
+    this.uniforms.texturePosition.value = this.gpuCompute.getCurrentRenderTarget(this.positionVariable).texture;
+    this.uniforms.textureVelocity.value = this.gpuCompute.getCurrentRenderTarget(this.velocityVariable).texture;
+    
+    this.uniforms.uScale.value = getPointScale(this.renderer);
+  }
+  
+  /**
+   * Free the simulation textures and the points
+   */
+  dispose() {
+    this.gpuCompute.dispose();
+    this.points.geometry.dispose();
+    this.points.material.dispose();
+  }
+}
+
+export { MAX_PALETTE_COLORS };
@@ -1,31 +1,103 @@
 // ParticlesVisualization.js
-// Handles the particles visualization type for the audio visualizer
+// Handles the particles visualization type for the audio visualizer - simulated on
+// the GPU where the renderer allows it, with the original CPU animation as a fallback
 
 import * as THREE from 'three';
+import { followPitchColor } from '../utils/PitchColors.js';
+import { GpuParticles, MAX_PALETTE_COLORS } from './GpuParticles.js';
 
 // Configuration for particles visualization
 const config = {
-  count: 2000,
+  count: 2000, // Particles on the CPU fallback
+  gpuCount: 131072, // Particles when simulated on the GPU
   radius: 20,
   size: 0.2,
-  speed: 0.3 // Reduced speed factor
+  speed: 0.3, // Reduced speed factor
+  pitchTint: 0.4, // Blend towards the dominant pitch color (0-1)
+  albumColors: 0.7, // Blend towards the album cover palette (0-1)
+  
+  // GPU simulation forces
+  flow: 4, // Curl noise strength
+  flowScale: 0.08, // Smaller values give larger swirls
+  attraction: 30, // Pull towards the center at full bass
+  shockwave: 60, // Outward push of the beat shockwave
+  shockSpeed: 35 // Units per second the shockwave travels
 };
 
+const pitchColor = new THREE.Color(0x1db954);
+
+// Most particles the active quality tier allows
+let maxParticles = Infinity;
+let maxGpuParticles = Infinity;
+
+/**
+ * Apply a quality tier - takes effect when the visualization is next created
+ * @param {Object} tier - Quality tier (see QualityManager)
+ */
+export function applyParticlesQuality(tier) {
+  maxParticles = tier.particleCount;
+  maxGpuParticles = tier.gpuParticleCount;
+}
+
 /**
  * Create particles visualization
  * @param {THREE.Scene} scene - Three.js scene
- * @returns {Array} - Array of particle systems
+ * @param {THREE.WebGLRenderer} renderer - Renderer, needed for the GPU simulation
+ * @returns {Object} - Particle points and, when simulated on the GPU, the simulation
  */
-export function createParticlesVisualization(scene) {
-  const particles = [];
+export function createParticlesVisualization(scene, renderer) {
+  const gpu = createGpuParticles(renderer);
+  const points = gpu ? gpu.points : createCpuPoints();
+  
+  scene.add(points);
   
+  return {
+    points,
+    gpu,
+    lastTime: null,
+    // Beat shockwave - started when the pulse rises
+    lastPulse: 0,
+    shockTime: -Infinity,
+    shockPower: 0
+  };
+}
+
+/**
+ * Set up the GPU simulation if the renderer supports it
+ * @param {THREE.WebGLRenderer} renderer - Renderer
+ * @returns {GpuParticles|null} - Simulation, or null to use the CPU path
+ */
+function createGpuParticles(renderer) {
+  if (!GpuParticles.isSupported(renderer)) {
+    console.warn('GPU particles not supported (no vertex textures or float render targets), using CPU particles');
+    return null;
+  }
+  
+  const gpu = new GpuParticles(renderer, Math.max(1024, Math.min(config.gpuCount, maxGpuParticles)), config.radius);
+  const error = gpu.init();
+  
+  if (error) {
+    console.warn('Could not start GPU particles, using CPU particles:', error);
+    gpu.dispose();
+    return null;
+  }
+  
+  return gpu;
+}
+
+/**
+ * Create the points animated on the CPU
+ * @returns {THREE.Points} - Particle system
+ */
+function createCpuPoints() {
   // Create particle geometry
   const geometry = new THREE.BufferGeometry();
-  const positions = new Float32Array(config.count * 3);
-  const colors = new Float32Array(config.count * 3);
-  const sizes = new Float32Array(config.count);
+  const count = Math.min(config.count, maxParticles);
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const sizes = new Float32Array(count);
   
-  for (let i = 0; i < config.count; i++) {
+  for (let i = 0; i < count; i++) {
     // Random position in a sphere
     const theta = Math.random() * Math.PI * 2;
     const phi = Math.acos((Math.random() * 2) - 1);
@@ -58,29 +130,30 @@ export function createParticlesVisualization(scene) {
     blending: THREE.AdditiveBlending
   });
   
-  const particleSystem = new THREE.Points(geometry, material);
-  scene.add(particleSystem);
-  particles.push(particleSystem);
-  
-  return particles;
+  return new THREE.Points(geometry, material);
 }
 
 /**
  * Remove particles visualization from scene
- * @param {Array} particles - Array of particle systems
+ * @param {Object} particles - Visualization components
  * @param {THREE.Scene} scene - Three.js scene
  */
 export function removeParticlesVisualization(particles, scene) {
-  particles.forEach(particleSystem => {
-    scene.remove(particleSystem);
-    particleSystem.geometry.dispose();
-    particleSystem.material.dispose();
-  });
+  if (!particles) return;
+  
+  scene.remove(particles.points);
+  
+  if (particles.gpu) {
+    particles.gpu.dispose();
+  } else {
+    particles.points.geometry.dispose();
+    particles.points.material.dispose();
+  }
 }
 
 /**
  * Update particles visualization based on audio data
- * @param {Array} particles - Array of particle systems
+ * @param {Object} particles - Visualization components
  * @param {number} powerLevel - Current audio power level (0-1)
  * @param {number} pulseTime - Beat pulse effect time (0-1)
  * @param {boolean} isPaused - Whether playback is paused
@@ -88,9 +161,102 @@ export function removeParticlesVisualization(particles, scene) {
  * @param {Object} audioFeatures - Audio features from Spotify API
  */
 export function updateParticlesVisualization(particles, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) {
-  if (particles.length === 0) return;
+  if (!particles) return;
+  
+  if (particles.gpu) {
+    updateGpuParticles(particles, powerLevel, pulseTime, isPaused, animationTime, audioFeatures);
+  } else {
+    updateCpuParticles(particles.points, powerLevel, pulseTime, isPaused, animationTime, audioFeatures);
+  }
+  
+  // Rotate the entire system - very slow when paused
+  const rotationSpeed = isPaused ? 0.01 : config.speed;
+  particles.points.rotation.y = animationTime * rotationSpeed;
+  particles.points.rotation.z = animationTime * rotationSpeed * 0.5;
+}
+
+/**
+ * Step the GPU simulation and set the colors the shader mixes per particle
+ * @param {Object} particles - Visualization components
+ * @param {number} powerLevel - Current audio power level (0-1)
+ * @param {number} pulseTime - Beat pulse effect time (0-1)
+ * @param {boolean} isPaused - Whether playback is paused
+ * @param {number} animationTime - Current animation time
+ * @param {Object} audioFeatures - Audio features from Spotify API
+ */
+function updateGpuParticles(particles, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) {
+  const { gpu } = particles;
+  const uniforms = gpu.uniforms;
+  
+  const energy = audioFeatures ? audioFeatures.energy : 0.5;
+  const valence = audioFeatures ? audioFeatures.valence : 0.5; // happiness
+  const hueShift = audioFeatures?.hueShift || 0; // Palette rotation from section changes
+  const bass = isPaused ? 0 : (audioFeatures?.bass ?? powerLevel);
+  
+  const deltaTime = particles.lastTime === null ? 0 : Math.max(0, animationTime - particles.lastTime);
+  particles.lastTime = animationTime;
+  
+  // The pulse only decays between beats, so any rise is a new beat
+  if (!isPaused && pulseTime > particles.lastPulse + 0.05) {
+    particles.shockTime = animationTime;
+    particles.shockPower = pulseTime;
+  }
+  particles.lastPulse = pulseTime;
+  
+  // The shell fades out as it leaves the sphere
+  const shockRadius = (animationTime - particles.shockTime) * config.shockSpeed;
+  const shockFade = Math.max(0, 1 - shockRadius / (config.radius * 1.5));
   
-  const particleSystem = particles[0];
+  gpu.step(deltaTime, {
+    flowTime: animationTime * (isPaused ? 0.05 : config.speed),
+    radius: config.radius,
+    flowScale: config.flowScale,
+    flowStrength: config.flow * (isPaused ? 0.2 : 0.5 + energy),
+    attraction: config.attraction * bass * bass,
+    shockRadius: Number.isFinite(shockRadius) ? shockRadius : -1000,
+    shockStrength: config.shockwave * particles.shockPower * shockFade
+  });
+  
+  // Each particle drifts between two hues either side of the valence hue
+  const saturation = isPaused ? 0.6 : 0.7 + energy * 0.3;
+  const lightness = isPaused ? 0.4 : 0.5 + pulseTime * 0.2;
+  const hue = isPaused ? valence * 0.4 + 0.3 : valence * 0.6 + 0.2;
+  const spread = isPaused ? 0 : 0.1;
+  uniforms.uColorA.value.setHSL((hue - spread + hueShift + 1) % 1, saturation, lightness);
+  uniforms.uColorB.value.setHSL((hue + spread + hueShift + 1) % 1, saturation, lightness);
+  uniforms.uTime.value = animationTime;
+  
+  const palette = audioFeatures?.palette;
+  uniforms.uAlbumAmount.value = palette ? config.albumColors * palette.strength : 0;
+  if (palette) {
+    for (let i = 0; i < MAX_PALETTE_COLORS; i++) {
+      uniforms.uPalette.value[i].copy(palette.colors[i % palette.colors.length]);
+    }
+  }
+  
+  const hasPitch = !isPaused && followPitchColor(pitchColor, audioFeatures, 0.05);
+  uniforms.uPitchColor.value.copy(pitchColor);
+  uniforms.uPitchTint.value = hasPitch ? config.pitchTint : 0;
+  
+  // Update sizes based on beats and energy - smaller when paused
+  uniforms.uSize.value = isPaused ?
+    config.size * 0.7 :
+    (0.5 + energy * 0.5) * (1 + pulseTime * 0.5) * config.size;
+  
+  // Additive points saturate to white when dense, so fade them with the count
+  uniforms.uOpacity.value = 0.8 * Math.min(1, Math.sqrt(10000 / gpu.count));
+}
+
+/**
+ * Move, size and color every particle on the CPU - used when the GPU simulation isn't available
+ * @param {THREE.Points} particleSystem - Particle system
+ * @param {number} powerLevel - Current audio power level (0-1)
+ * @param {number} pulseTime - Beat pulse effect time (0-1)
+ * @param {boolean} isPaused - Whether playback is paused
+ * @param {number} animationTime - Current animation time
+ * @param {Object} audioFeatures - Audio features from Spotify API
+ */
+function updateCpuParticles(particleSystem, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) {
   const positions = particleSystem.geometry.attributes.position.array;
   const colors = particleSystem.geometry.attributes.color.array;
   const sizes = particleSystem.geometry.attributes.size.array;
@@ -98,6 +264,12 @@ export function updateParticlesVisualization(particles, powerLevel, pulseTime, i
   // Use audio features to influence visualization
   const energy = audioFeatures ? audioFeatures.energy : 0.5;
   const valence = audioFeatures ? audioFeatures.valence : 0.5; // happiness
+  const hueShift = audioFeatures?.hueShift || 0; // Palette rotation from section changes
+  const hasPitch = !isPaused && followPitchColor(pitchColor, audioFeatures, 0.05);
+  
+  // Each particle takes one of the album cover colors
+  const palette = audioFeatures?.palette;
+  const albumAmount = palette ? config.albumColors * palette.strength : 0;
   
   // Beat pulse modifier - minimal when paused
   const beatPulse = isPaused ? 1 : 1 + pulseTime * 2;
@@ -153,9 +325,9 @@ export function updateParticlesVisualization(particles, powerLevel, pulseTime, i
     let hue;
     if (isPaused) {
       // More consistent coloring when paused
-      hue = (valence * 0.4 + 0.3) % 1;
+      hue = (valence * 0.4 + 0.3 + hueShift + 1) % 1;
     } else {
-      hue = (valence * 0.6 + 0.2 + Math.sin(time * 0.1 + i * 0.001) * 0.1) % 1;
+      hue = (valence * 0.6 + 0.2 + Math.sin(time * 0.1 + i * 0.001) * 0.1 + hueShift + 1) % 1;
     }
     
     const saturation = isPaused ? 0.6 : 0.7 + energy * 0.3;
@@ -165,6 +337,14 @@ export function updateParticlesVisualization(particles, powerLevel, pulseTime, i
     const color = new THREE.Color();
     color.setHSL(hue, saturation, lightness);
     
+    if (albumAmount > 0) {
+      color.lerp(palette.colors[i % palette.colors.length], albumAmount);
+    }
+    
+    if (hasPitch) {
+      color.lerp(pitchColor, config.pitchTint);
+    }
+    
     colors[idx] = color.r;
     colors[idx + 1] = color.g;
     colors[idx + 2] = color.b;
@@ -173,12 +353,33 @@ export function updateParticlesVisualization(particles, powerLevel, pulseTime, i
   particleSystem.geometry.attributes.position.needsUpdate = true;
   particleSystem.geometry.attributes.color.needsUpdate = true;
   particleSystem.geometry.attributes.size.needsUpdate = true;
-  
-  // Rotate the entire system - very slow when paused
-  const rotationSpeed = isPaused ? 0.01 : motionSpeed;
-  particleSystem.rotation.y = time * rotationSpeed;
-  particleSystem.rotation.z = time * rotationSpeed * 0.5;
 }
 
 // Export configuration for other modules to access
-export { config };
\ No newline at end of file
+export { config };
+
+/**
+ * Registry entry for the particles visualization
+ */
+export const particlesVisualization = {
+  id: 'particles',
+  label: 'Particles',
+  config,
+  configSchema: {
+    speed: { type: 'number', label: 'Speed', min: 0, max: 1, step: 0.05 },
+    size: { type: 'number', label: 'Particle size', min: 0.05, max: 1, step: 0.05 },
+    radius: { type: 'number', label: 'Radius', min: 5, max: 40, step: 1 },
+    pitchTint: { type: 'number', label: 'Pitch tint', min: 0, max: 1, step: 0.05 },
+    albumColors: { type: 'number', label: 'Album colors', min: 0, max: 1, step: 0.05 },
+    flow: { type: 'number', label: 'Flow', min: 0, max: 12, step: 0.5 },
+    flowScale: { type: 'number', label: 'Swirl detail', min: 0.01, max: 0.3, step: 0.01 },
+    attraction: { type: 'number', label: 'Bass attraction', min: 0, max: 100, step: 5 },
+    shockwave: { type: 'number', label: 'Beat shockwave', min: 0, max: 150, step: 5 },
+    count: { type: 'number', label: 'Particle count (CPU)', min: 500, max: 10000, step: 500, recreate: true },
+    gpuCount: { type: 'number', label: 'Particle count (GPU)', min: 16384, max: 262144, step: 16384, recreate: true }
+  },
+  create: createParticlesVisualization,
+  update: updateParticlesVisualization,
+  dispose: removeParticlesVisualization,
+  applyQuality: applyParticlesQuality
+};
@@ -0,0 +1,327 @@
+// RadialBarsVisualization.js
+// Circular spectrum - instanced bars radiate from a ring around the album cover
+
+import * as THREE from 'three';
+import { followPitchColor } from '../utils/PitchColors.js';
+import { simulateFrequencyData, config as barsConfig } from './BarsVisualization.js';
+
+// Configuration for radial bars visualization
+const config = {
+  numBars: 128,
+  innerRadius: 7,
+  barWidth: 0.3,
+  maxHeight: 10,
+  minHeight: 0.3,
+  
+  // Times the spectrum repeats around the ring
+  symmetry: 1,
+  
+  // Each repeat runs bass to treble and back, so the ring is symmetric
+  mirror: true,
+  
+  // Radians the ring turns per beat
+  rotationPerBeat: 0.04,
+  
+  // How far beats push the ring outwards (fraction of the radius)
+  beatExpansion: 0.12,
+  
+  // Color settings - same bands as the linear bars
+  bassColor: new THREE.Color(0x1ed760),
+  midColor: new THREE.Color(0x4059ff),
+  highColor: new THREE.Color(0xb23deb),
+  
+  // How strongly bars are tinted towards the dominant pitch color (0-1)
+  pitchTint: 0.35,
+  
+  // How far the colors above follow the album cover palette (0-1)
+  albumColors: 0.8
+};
+
+// Caps from the active quality tier - kept out of config so presets don't store them
+const quality = {
+  numBars: config.numBars
+};
+
+const dummy = new THREE.Object3D();
+const pitchColor = config.bassColor.clone();
+const barColor = new THREE.Color();
+const bandColors = {
+  bass: new THREE.Color(),
+  mid: new THREE.Color(),
+  high: new THREE.Color()
+};
+const textureLoader = new THREE.TextureLoader();
+textureLoader.setCrossOrigin('anonymous');
+
+/**
+ * Apply a quality tier - takes effect when the visualization is next created
+ * @param {Object} tier - Quality tier (see QualityManager)
+ */
+export function applyRadialBarsQuality(tier) {
+  quality.numBars = tier.numBars;
+}
+
+/**
+ * Position of a bar within the spectrum, honoring the symmetry options
+ * @param {number} i - Bar index
+ * @param {number} count - Number of bars
+ * @returns {number} - Index into the simulated frequency data
+ */
+function spectrumIndex(i, count) {
+  const symmetry = Math.max(1, Math.round(config.symmetry));
+  const segment = count / symmetry;
+  let position = (i % segment) / segment;
+  
+  if (config.mirror) {
+    position = position < 0.5 ? position * 2 : (1 - position) * 2;
+  }
+  
+  return Math.min(barsConfig.numBars - 1, Math.floor(position * barsConfig.numBars));
+}
+
+/**
+ * Create radial bars visualization
+ * @param {THREE.Scene} scene - Three.js scene
+ * @returns {Object} - Visualization components
+ */
+export function createRadialBarsVisualization(scene) {
+  const count = Math.max(8, Math.min(config.numBars, quality.numBars));
+  
+  const group = new THREE.Group();
+  
+  // Same instanced approach as the linear bars - one draw call for the whole ring
+  const barGeometry = new THREE.BoxGeometry(1, 1, 1);
+  barGeometry.translate(0, 0.5, 0); // Grow outwards from the ring, not both ways
+  const barMaterial = new THREE.MeshStandardMaterial({
+    color: 0xffffff,
+    metalness: 0.6,
+    roughness: 0.3
+  });
+  
+  const instancedMesh = new THREE.InstancedMesh(barGeometry, barMaterial, count);
+  instancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+  group.add(instancedMesh);
+  
+  // The album cover spins in the middle like a record
+  const cover = new THREE.Mesh(
+    new THREE.CircleGeometry(config.innerRadius * 0.85, 64),
+    new THREE.MeshBasicMaterial({ color: 0x1db954 })
+  );
+  group.add(cover);
+  
+  // Thin rim the bars stand on
+  const rim = new THREE.Mesh(
+    new THREE.RingGeometry(config.innerRadius * 0.92, config.innerRadius, 96),
+    new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.5 })
+  );
+  group.add(rim);
+  
+  scene.add(group);
+  
+  const radial = {
+    group,
+    instancedMesh,
+    cover,
+    rim,
+    count,
+    rotation: 0,
+    lastTime: null,
+    coverUrl: null,
+    coverTexture: null,
+    // Smoothing state for the simulated bands (see BarsVisualization)
+    smoothed: []
+  };
+  
+  // Start with every bar at its minimum so the first frame isn't empty
+  updateRadialBarsVisualization(radial, 0, 0, true, 0, null);
+  radial.lastTime = null;
+  
+  return radial;
+}
+
+/**
+ * Remove radial bars visualization from scene
+ * @param {Object} radial - Visualization components
+ * @param {THREE.Scene} scene - Three.js scene
+ */
+export function removeRadialBarsVisualization(radial, scene) {
+  if (!radial) return;
+  
+  scene.remove(radial.group);
+  
+  [radial.instancedMesh, radial.cover, radial.rim].forEach(mesh => {
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+  });
+  
+  if (radial.coverTexture) {
+    radial.coverTexture.dispose();
+  }
+  
+  // A cover still loading is dropped when it arrives
+  radial.coverUrl = null;
+}
+
+/**
+ * Show a new album cover on the disc, or a plain disc without one
+ * @param {Object} radial - Visualization components
+ * @param {string|null} url - Cover image URL
+ */
+function setCover(radial, url) {
+  if (url === radial.coverUrl) return;
+  radial.coverUrl = url;
+  
+  const material = radial.cover.material;
+  
+  if (radial.coverTexture) {
+    radial.coverTexture.dispose();
+    radial.coverTexture = null;
+  }
+  material.map = null;
+  material.needsUpdate = true;
+  
+  if (!url) return;
+  
+  textureLoader.load(url, texture => {
+    // Another cover was requested, or the visualization was removed, while loading
+    if (url !== radial.coverUrl) {
+      texture.dispose();
+      return;
+    }
+    
+    texture.colorSpace = THREE.SRGBColorSpace;
+    radial.coverTexture = texture;
+    material.map = texture;
+    material.color.set(0xffffff);
+    material.needsUpdate = true;
+  }, undefined, error => {
+    console.warn('Could not load album cover texture:', error);
+  });
+}
+
+/**
+ * Update radial bars visualization based on audio data
+ * @param {Object} radial - Visualization components
+ * @param {number} powerLevel - Current audio power level (0-1)
+ * @param {number} pulseTime - Beat pulse effect time (0-1)
+ * @param {boolean} isPaused - Whether playback is paused
+ * @param {number} animationTime - Current animation time
+ * @param {Object} audioFeatures - Audio features from Spotify API
+ */
+export function updateRadialBarsVisualization(radial, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) {
+  if (!radial) return;
+  
+  const { instancedMesh, count } = radial;
+  
+  // Palette rotation from section changes
+  const hueShift = audioFeatures?.hueShift || 0;
+  
+  // Harmonic tint - eases towards the dominant pitch class
+  const hasPitch = !isPaused && followPitchColor(pitchColor, audioFeatures, 0.05);
+  
+  const frequencies = simulateFrequencyData(powerLevel, audioFeatures, animationTime, isPaused, radial.smoothed);
+  
+  // Band colors follow the album cover when there is one
+  const palette = audioFeatures?.palette;
+  const albumAmount = palette ? config.albumColors * palette.strength : 0;
+  bandColors.bass.copy(config.bassColor);
+  bandColors.mid.copy(config.midColor);
+  bandColors.high.copy(config.highColor);
+  if (albumAmount > 0) {
+    bandColors.bass.lerp(palette.bass, albumAmount);
+    bandColors.mid.lerp(palette.mid, albumAmount);
+    bandColors.high.lerp(palette.high, albumAmount);
+  }
+  
+  setCover(radial, audioFeatures?.albumImageUrl || null);
+  if (!radial.coverTexture) {
+    radial.cover.material.color.copy(bandColors.bass).multiplyScalar(0.4);
+  }
+  radial.rim.material.color.copy(bandColors.mid);
+  
+  // Turn with the tempo - one rotationPerBeat step per beat
+  const deltaTime = radial.lastTime === null ? 0 : Math.max(0, animationTime - radial.lastTime);
+  radial.lastTime = animationTime;
+  if (!isPaused) {
+    const tempo = audioFeatures?.tempo || 120;
+    radial.rotation += deltaTime * (tempo / 60) * config.rotationPerBeat;
+  }
+  radial.group.rotation.z = -radial.rotation;
+  
+  // Beats push the whole ring outwards
+  const expansion = isPaused ? 1 : 1 + pulseTime * config.beatExpansion;
+  const radius = config.innerRadius * expansion;
+  radial.rim.scale.setScalar(expansion);
+  
+  for (let i = 0; i < count; i++) {
+    const band = spectrumIndex(i, count);
+    const value = frequencies[band];
+    const height = config.minHeight + value * config.maxHeight;
+    
+    // Bass in the bars at the top of each repeat, treble furthest from it
+    const angle = (i / count) * Math.PI * 2;
+    dummy.position.set(Math.sin(angle) * radius, Math.cos(angle) * radius, 0);
+    dummy.rotation.set(0, 0, -angle);
+    dummy.scale.set(config.barWidth, height, config.barWidth);
+    dummy.updateMatrix();
+    instancedMesh.setMatrixAt(i, dummy.matrix);
+    
+    // Bass to treble across the three band colors
+    const position = band / (barsConfig.numBars - 1);
+    if (position < 0.5) {
+      barColor.copy(bandColors.bass).lerp(bandColors.mid, position * 2);
+    } else {
+      barColor.copy(bandColors.mid).lerp(bandColors.high, (position - 0.5) * 2);
+    }
+    
+    if (hueShift) {
+      barColor.offsetHSL(hueShift, 0, 0);
+    }
+    
+    if (hasPitch) {
+      barColor.lerp(pitchColor, config.pitchTint);
+    }
+    
+    // Taller bars are brighter
+    const intensity = isPaused ? 0.3 : 0.5 + Math.min(1, value) * 0.5;
+    instancedMesh.setColorAt(i, barColor.multiplyScalar(intensity));
+  }
+  
+  instancedMesh.instanceMatrix.needsUpdate = true;
+  if (instancedMesh.instanceColor) instancedMesh.instanceColor.needsUpdate = true;
+}
+
+// Export configuration for other modules to access
+export { config };
+
+/**
+ * Registry entry for the radial bars visualization
+ */
+export const radialBarsVisualization = {
+  id: 'radial',
+  label: 'Radial',
+  config,
+  configSchema: {
+    symmetry: { type: 'number', label: 'Symmetry', min: 1, max: 6, step: 1 },
+    mirror: { type: 'boolean', label: 'Mirror' },
+    maxHeight: { type: 'number', label: 'Max height', min: 2, max: 20, step: 0.5 },
+    beatExpansion: { type: 'number', label: 'Beat expansion', min: 0, max: 0.5, step: 0.01 },
+    rotationPerBeat: { type: 'number', label: 'Rotation per beat', min: 0, max: 0.3, step: 0.01 },
+    pitchTint: { type: 'number', label: 'Pitch tint', min: 0, max: 1, step: 0.05 },
+    albumColors: { type: 'number', label: 'Album colors', min: 0, max: 1, step: 0.05 },
+    bassColor: { type: 'color', label: 'Bass color' },
+    midColor: { type: 'color', label: 'Mid color' },
+    highColor: { type: 'color', label: 'High color' },
+    barWidth: { type: 'number', label: 'Bar width', min: 0.1, max: 0.8, step: 0.05 },
+    innerRadius: { type: 'number', label: 'Ring radius', min: 3, max: 12, step: 0.5, recreate: true }
+  },
+  // Face the ring head on - the default view looks down on the linear bars
+  camera: {
+    offset: { x: 0, y: -6, z: 0 },
+    lookAt: { x: 0, y: 0, z: 0 }
+  },
+  create: createRadialBarsVisualization,
+  update: updateRadialBarsVisualization,
+  dispose: removeRadialBarsVisualization,
+  applyQuality: applyRadialBarsQuality
+};
@@ -0,0 +1,314 @@
+// ShaderVisualization.js
+// Full-screen fragment shader written by the user - pasted or loaded from a .frag file
+// in the settings drawer and recompiled live. Code that fails to compile leaves the
+// last working shader running and shows the compiler output instead
+
+import * as THREE from 'three';
+import { simulateFrequencyData } from './BarsVisualization.js';
+import { spectrumToBands, resampleBands } from './TerrainVisualization.js';
+import { showCompileError, hideCompileError } from '../../ui/ErrorOverlay.js';
+
+// Bands in the spectrum texture
+const SPECTRUM_BANDS = 64;
+
+// Declarations every shader gets in front of its code
+const SHADER_HEADER = `uniform float time;
+uniform vec2 resolution;
+uniform float volume;
+uniform float bass;
+uniform float mid;
+uniform float treble;
+uniform float beatIntensity;
+uniform float pulseTime;
+uniform float beatPhase;
+uniform float energy;
+uniform float valence;
+uniform float tempo;
+uniform sampler2D spectrum;
+varying vec2 vUv;
+`;
+
+const DEFAULT_SHADER = `// Available inputs:
+//   float time            Seconds of animation
+//   vec2 resolution       Canvas size in pixels
+//   vec2 vUv              Position on screen, 0-1
+//   float volume, bass, mid, treble   Current levels, 0-1
+//   float beatIntensity   Strength of the last beat, 0-1
+//   float pulseTime       Jumps on each beat and fades out, 0-1
+//   float beatPhase       Progress through the current beat, 0-1
+//   float energy, valence Track mood, 0-1
+//   float tempo           Beats per minute
+//   sampler2D spectrum    ${SPECTRUM_BANDS} bands, bass at x = 0, level in .r
+// Write void main() setting gl_FragColor, or a Shadertoy-style
+// mainImage(out vec4 fragColor, in vec2 fragCoord)
+
+void main() {
+  vec2 p = (vUv - 0.5) * vec2(resolution.x / resolution.y, 1.0);
+  float radius = length(p);
+  float angle = atan(p.y, p.x) / 6.2831853 + 0.5;
+  
+  // Each direction shows one band, mirrored so bass sits left and right
+  float level = texture2D(spectrum, vec2(abs(angle * 2.0 - 1.0), 0.5)).r;
+  
+  float core = smoothstep(0.15 + level * 0.3 + pulseTime * 0.08, 0.0, radius);
+  float rings = max(sin(radius * 40.0 - time * 2.0 - bass * 8.0), 0.0) * volume * 0.3;
+  
+  vec3 color = 0.5 + 0.5 * cos(time * 0.2 + valence * 3.0 + radius * 4.0 + vec3(0.0, 2.0, 4.0));
+  gl_FragColor = vec4(color * (core + rings), 1.0);
+}
+`;
+
+// Covers the screen whatever the camera does
+const vertexShader = `
+  varying vec2 vUv;
+  
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// Configuration for shader visualization
+const config = {
+  source: DEFAULT_SHADER
+};
+
+const compileCamera = new THREE.Camera();
+const drawingBufferSize = new THREE.Vector2();
+
+/**
+ * Wrap Shadertoy-style code that only defines mainImage
+ * @param {string} source - Fragment shader code
+ * @returns {string} - Code with a main function
+ */
+function withEntryPoint(source) {
+  // Comments may mention either function
+  const code = source.replace(/\/\/.*|\/\*[\s\S]*?\*\//g, '');
+  
+  if (/\bvoid\s+main\s*\(/.test(code) || !/\bmainImage\s*\(/.test(code)) {
+    return source;
+  }
+  
+  return `${source}\nvoid main() {\n  mainImage(gl_FragColor, vUv * resolution);\n}\n`;
+}
+
+/**
+ * Create the material for some fragment shader code
+ * @param {Object} uniforms - Uniforms, shared by every material of the visualization
+ * @param {string} source - Fragment shader code
+ * @returns {THREE.ShaderMaterial} - Material
+ */
+function createMaterial(uniforms, source) {
+  return new THREE.ShaderMaterial({
+    uniforms,
+    vertexShader,
+    fragmentShader: SHADER_HEADER + withEntryPoint(source),
+    depthTest: false,
+    depthWrite: false
+  });
+}
+
+/**
+ * Count the lines a piece of shader source adds in front of the user's code
+ * @param {string} text - Source text
+ * @returns {number} - Number of newlines
+ */
+function countLines(text) {
+  return (text.match(/\n/g) || []).length;
+}
+
+/**
+ * Turn the compiler output into messages with line numbers in the user's code
+ * @param {Object} diagnostics - Diagnostics of the failed three.js program
+ * @returns {string} - Compiler output
+ */
+function formatCompileLog(diagnostics) {
+  const { log, prefix } = diagnostics.fragmentShader;
+  
+  // Lines are counted from the #version line, then three.js' prefix and our header
+  const offset = 1 + countLines(prefix) + countLines(SHADER_HEADER);
+  const output = log || diagnostics.programLog || 'The shader could not be linked';
+  
+  return output
+    .replace(/(ERROR|WARNING): 0:(\d+)/g, (match, kind, line) => `${kind}: line ${Number(line) - offset}`)
+    .replace(/\0/g, '')
+    .trim();
+}
+
+/**
+ * Compile new fragment shader code, keeping the current material if it fails
+ * @param {Object} shader - Visualization components
+ * @param {string} source - Fragment shader code
+ */
+function applySource(shader, source) {
+  shader.source = source;
+  
+  const { renderer } = shader;
+  const material = createMaterial(shader.uniforms, source);
+  
+  // three.js logs failed programs to the console - the compile panel shows them instead
+  const onShaderError = renderer.debug.onShaderError;
+  renderer.debug.onShaderError = () => {};
+  
+  shader.compileMesh.material = material;
+  renderer.compile(shader.compileScene, compileCamera);
+  
+  // Link status is only checked when the program is first used
+  const program = renderer.properties.get(material).currentProgram;
+  program?.getUniforms();
+  
+  renderer.debug.onShaderError = onShaderError;
+  
+  const diagnostics = program?.diagnostics;
+  if (diagnostics && !diagnostics.runnable) {
+    material.dispose();
+    showCompileError('Shader failed to compile - the last working version keeps running', formatCompileLog(diagnostics));
+    return;
+  }
+  
+  hideCompileError();
+  shader.mesh.material.dispose();
+  shader.mesh.material = material;
+}
+
+/**
+ * Create shader visualization
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {THREE.WebGLRenderer} renderer - Renderer, for compiling and the resolution
+ * @returns {Object} - Visualization components
+ */
+export function createShaderVisualization(scene, renderer) {
+  const spectrumData = new Uint8Array(SPECTRUM_BANDS);
+  const spectrumTexture = new THREE.DataTexture(spectrumData, SPECTRUM_BANDS, 1, THREE.RedFormat);
+  spectrumTexture.magFilter = THREE.LinearFilter;
+  spectrumTexture.minFilter = THREE.LinearFilter;
+  spectrumTexture.needsUpdate = true;
+  
+  const uniforms = {
+    time: { value: 0 },
+    resolution: { value: new THREE.Vector2(1, 1) },
+    volume: { value: 0 },
+    bass: { value: 0 },
+    mid: { value: 0 },
+    treble: { value: 0 },
+    beatIntensity: { value: 0 },
+    pulseTime: { value: 0 },
+    beatPhase: { value: 0 },
+    energy: { value: 0.5 },
+    valence: { value: 0.5 },
+    tempo: { value: 120 },
+    spectrum: { value: spectrumTexture }
+  };
+  
+  // The default shader is known to compile, so there is always something to fall back on
+  const geometry = new THREE.PlaneGeometry(2, 2);
+  const mesh = new THREE.Mesh(geometry, createMaterial(uniforms, DEFAULT_SHADER));
+  mesh.frustumCulled = false;
+  mesh.renderOrder = -1; // Behind anything else in the scene
+  scene.add(mesh);
+  
+  const shader = {
+    mesh,
+    renderer,
+    uniforms,
+    spectrumData,
+    spectrumTexture,
+    source: DEFAULT_SHADER,
+    // Scratch scene new code is compiled in before it replaces the working material
+    compileScene: new THREE.Scene(),
+    compileMesh: new THREE.Mesh(geometry),
+    // Smoothing state for the simulated bands (see BarsVisualization)
+    smoothed: [],
+    bands: new Float32Array(SPECTRUM_BANDS)
+  };
+  shader.compileMesh.frustumCulled = false;
+  shader.compileScene.add(shader.compileMesh);
+  
+  if (config.source !== DEFAULT_SHADER) {
+    applySource(shader, config.source);
+  }
+  
+  return shader;
+}
+
+/**
+ * Remove shader visualization from scene
+ * @param {Object} shader - Visualization components
+ * @param {THREE.Scene} scene - Three.js scene
+ */
+export function removeShaderVisualization(shader, scene) {
+  if (!shader) return;
+  
+  scene.remove(shader.mesh);
+  shader.mesh.geometry.dispose();
+  shader.mesh.material.dispose();
+  shader.spectrumTexture.dispose();
+  
+  // Errors belong to this mode's code
+  hideCompileError();
+}
+
+/**
+ * Update shader visualization based on audio data
+ * @param {Object} shader - Visualization components
+ * @param {number} powerLevel - Current audio power level (0-1)
+ * @param {number} pulseTime - Beat pulse effect time (0-1)
+ * @param {boolean} isPaused - Whether playback is paused
+ * @param {number} animationTime - Current animation time
+ * @param {Object} audioFeatures - Audio features from Spotify API
+ */
+export function updateShaderVisualization(shader, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) {
+  if (!shader) return;
+  
+  // Edits in the settings drawer (or a loaded preset) change the source
+  if (config.source !== shader.source) {
+    applySource(shader, config.source);
+  }
+  
+  const { uniforms } = shader;
+  
+  shader.renderer.getDrawingBufferSize(drawingBufferSize);
+  uniforms.resolution.value.copy(drawingBufferSize);
+  uniforms.time.value = animationTime;
+  uniforms.volume.value = powerLevel;
+  uniforms.bass.value = audioFeatures?.bass ?? powerLevel;
+  uniforms.mid.value = audioFeatures?.mid ?? powerLevel;
+  uniforms.treble.value = audioFeatures?.treble ?? powerLevel;
+  uniforms.beatIntensity.value = audioFeatures?.beatIntensity ?? 0;
+  uniforms.pulseTime.value = pulseTime;
+  uniforms.beatPhase.value = audioFeatures?.beatPhase ?? 0;
+  uniforms.energy.value = audioFeatures?.energy ?? 0.5;
+  uniforms.valence.value = audioFeatures?.valence ?? 0.5;
+  uniforms.tempo.value = audioFeatures?.tempo ?? 120;
+  
+  // Real spectrum from local files, otherwise the same simulated bands as the bars
+  if (audioFeatures?.spectrum) {
+    spectrumToBands(audioFeatures.spectrum, shader.bands);
+  } else {
+    const frequencies = simulateFrequencyData(powerLevel, audioFeatures, animationTime, isPaused, shader.smoothed);
+    resampleBands(frequencies, shader.bands);
+  }
+  
+  for (let i = 0; i < SPECTRUM_BANDS; i++) {
+    shader.spectrumData[i] = Math.min(1, shader.bands[i]) * 255;
+  }
+  shader.spectrumTexture.needsUpdate = true;
+}
+
+// Export configuration for other modules to access
+export { config };
+
+/**
+ * Registry entry for the shader visualization
+ */
+export const shaderVisualization = {
+  id: 'shader',
+  label: 'Shader',
+  config,
+  configSchema: {
+    source: { type: 'code', label: 'Fragment shader', accept: '.frag,.glsl,.fs,text/plain' }
+  },
+  create: createShaderVisualization,
+  update: updateShaderVisualization,
+  dispose: removeShaderVisualization
+};
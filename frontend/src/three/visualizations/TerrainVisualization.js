@@ -0,0 +1,314 @@
+// TerrainVisualization.js
+// Scrolling spectrogram terrain - frequency runs across X, time runs along Z,
+// so the shape of a track builds up behind the newest row
+
+import * as THREE from 'three';
+import { simulateFrequencyData } from './BarsVisualization.js';
+
+// Configuration for terrain visualization
+const config = {
+  columns: 64,        // Frequency bands across the terrain
+  rows: 120,          // Rows of history kept
+  rowsPerSecond: 10,  // Scroll speed - rows / rowsPerSecond seconds stay visible
+  width: 48,
+  depth: 70,
+  maxHeight: 12,
+  
+  // Height colors: valleys, slopes and peaks
+  lowColor: new THREE.Color(0x0b2b22),
+  midColor: new THREE.Color(0x1db954),
+  highColor: new THREE.Color(0xf5f5a0),
+  
+  // How far the colors above follow the album cover palette (0-1)
+  albumColors: 0.7,
+  
+  // How dark the oldest rows get (0 keeps them as bright as the newest)
+  ageFade: 0.7,
+  
+  wireframe: true
+};
+
+// Caps from the active quality tier - kept out of config so presets don't store them
+const quality = {
+  resolution: 1
+};
+
+// Z of the newest row - in front of the origin the other modes are framed around
+const FRONT_Z = 8;
+
+const lowColor = new THREE.Color();
+const midColor = new THREE.Color();
+const highColor = new THREE.Color();
+const vertexColor = new THREE.Color();
+
+/**
+ * Apply a quality tier - takes effect when the visualization is next created
+ * @param {Object} tier - Quality tier (see QualityManager)
+ */
+export function applyTerrainQuality(tier) {
+  quality.resolution = tier.terrainResolution;
+}
+
+/**
+ * Create terrain visualization
+ * @param {THREE.Scene} scene - Three.js scene
+ * @returns {Object} - Terrain mesh, its history and scroll state
+ */
+export function createTerrainVisualization(scene) {
+  const columns = Math.max(8, Math.round(config.columns * quality.resolution));
+  const rows = Math.max(16, Math.round(config.rows * quality.resolution));
+  
+  // Rotated so rows run from the far edge (oldest) to the near edge (newest)
+  const geometry = new THREE.PlaneGeometry(config.width, config.depth, columns - 1, rows - 1);
+  geometry.rotateX(-Math.PI / 2);
+  geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(columns * rows * 3), 3));
+  
+  const material = new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    roughness: 0.7,
+    metalness: 0.1,
+    side: THREE.DoubleSide,
+    emissive: new THREE.Color(0x000000)
+  });
+  
+  const group = new THREE.Group();
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.receiveShadow = true;
+  group.add(mesh);
+  
+  // Grid lines over the surface make the rows easier to follow
+  let wireframe = null;
+  if (config.wireframe) {
+    wireframe = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color: 0xffffff,
+      wireframe: true,
+      transparent: true,
+      opacity: 0.06
+    }));
+    wireframe.position.y = 0.02;
+    group.add(wireframe);
+  }
+  
+  group.position.z = FRONT_Z - config.depth / 2;
+  scene.add(group);
+  
+  const terrain = {
+    group,
+    mesh,
+    wireframe,
+    columns,
+    rows,
+    rowSpacing: config.depth / (rows - 1),
+    // Band energies per row, a ring buffer whose oldest row is at head
+    history: new Float32Array(columns * rows),
+    head: 0,
+    // Loudest value per band since the last row was added
+    pending: new Float32Array(columns),
+    // Fraction of the next row already scrolled in, and when it was last advanced
+    rowProgress: 0,
+    lastTime: null,
+    // Smoothing state for the simulated bands (see BarsVisualization)
+    smoothed: [],
+    bands: new Float32Array(columns)
+  };
+  
+  rebuildSurface(terrain, null, 0);
+  
+  return terrain;
+}
+
+/**
+ * Remove terrain visualization from scene
+ * @param {Object} terrain - Terrain object
+ * @param {THREE.Scene} scene - Three.js scene
+ */
+export function removeTerrainVisualization(terrain, scene) {
+  if (!terrain) return;
+  
+  scene.remove(terrain.group);
+  terrain.mesh.geometry.dispose();
+  terrain.mesh.material.dispose();
+  if (terrain.wireframe) {
+    terrain.wireframe.material.dispose();
+  }
+}
+
+/**
+ * Average a live spectrum into log-spaced bands, so bass gets as much room as treble
+ * @param {ArrayLike<number>} spectrum - Magnitudes per bin (0-1), lowest first
+ * @param {Float32Array} bands - Output, one value per band
+ */
+export function spectrumToBands(spectrum, bands) {
+  const binCount = spectrum.length;
+  
+  for (let band = 0; band < bands.length; band++) {
+    const from = Math.floor(Math.pow(binCount, band / bands.length));
+    const to = Math.max(from + 1, Math.floor(Math.pow(binCount, (band + 1) / bands.length)));
+    
+    let sum = 0;
+    for (let i = from; i < to; i++) {
+      sum += spectrum[i];
+    }
+    bands[band] = sum / (to - from);
+  }
+}
+
+/**
+ * Resample the simulated bar frequencies to the terrain's bands
+ * @param {Array<number>} frequencies - Values from simulateFrequencyData
+ * @param {Float32Array} bands - Output, one value per band
+ */
+export function resampleBands(frequencies, bands) {
+  for (let band = 0; band < bands.length; band++) {
+    bands[band] = frequencies[Math.floor(band * frequencies.length / bands.length)];
+  }
+}
+
+/**
+ * Write heights and colors for every row from the history
+ * @param {Object} terrain - Terrain object
+ * @param {Object|null} palette - Album palette, or null
+ * @param {number} hueShift - Palette rotation from section changes
+ */
+function rebuildSurface(terrain, palette, hueShift) {
+  const { columns, rows, history, head } = terrain;
+  const geometry = terrain.mesh.geometry;
+  const positions = geometry.attributes.position.array;
+  const colors = geometry.attributes.color.array;
+  
+  // Height colors follow the album cover when there is one
+  const albumAmount = palette ? config.albumColors * palette.strength : 0;
+  lowColor.copy(config.lowColor);
+  midColor.copy(config.midColor);
+  highColor.copy(config.highColor);
+  if (albumAmount > 0) {
+    lowColor.lerp(palette.bass, albumAmount * 0.5);
+    midColor.lerp(palette.mid, albumAmount);
+    highColor.lerp(palette.high, albumAmount);
+  }
+  if (hueShift) {
+    lowColor.offsetHSL(hueShift, 0, 0);
+    midColor.offsetHSL(hueShift, 0, 0);
+    highColor.offsetHSL(hueShift, 0, 0);
+  }
+  
+  for (let row = 0; row < rows; row++) {
+    const slot = (head + row) % rows;
+    
+    // Older rows fade towards the background
+    const brightness = 1 - config.ageFade * (1 - row / (rows - 1));
+    
+    for (let column = 0; column < columns; column++) {
+      const value = Math.min(1, history[slot * columns + column]);
+      const vertex = row * columns + column;
+      
+      positions[vertex * 3 + 1] = value * config.maxHeight;
+      
+      if (value < 0.5) {
+        vertexColor.copy(lowColor).lerp(midColor, value * 2);
+      } else {
+        vertexColor.copy(midColor).lerp(highColor, (value - 0.5) * 2);
+      }
+      vertexColor.multiplyScalar(brightness);
+      
+      colors[vertex * 3] = vertexColor.r;
+      colors[vertex * 3 + 1] = vertexColor.g;
+      colors[vertex * 3 + 2] = vertexColor.b;
+    }
+  }
+  
+  geometry.attributes.position.needsUpdate = true;
+  geometry.attributes.color.needsUpdate = true;
+  geometry.computeVertexNormals();
+}
+
+/**
+ * Update terrain visualization based on audio data
+ * @param {Object} terrain - Terrain object
+ * @param {number} powerLevel - Current audio power level (0-1)
+ * @param {number} pulseTime - Beat pulse effect time (0-1)
+ * @param {boolean} isPaused - Whether playback is paused
+ * @param {number} animationTime - Current animation time
+ * @param {Object} audioFeatures - Audio features from Spotify API
+ */
+export function updateTerrainVisualization(terrain, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) {
+  if (!terrain) return;
+  
+  const material = terrain.mesh.material;
+  
+  // History stands still while paused
+  if (isPaused) {
+    material.emissive.setScalar(0);
+    terrain.lastTime = null;
+    return;
+  }
+  
+  // Real spectrum from local files, otherwise the same simulated bands as the bars
+  if (audioFeatures?.spectrum) {
+    spectrumToBands(audioFeatures.spectrum, terrain.bands);
+  } else {
+    const frequencies = simulateFrequencyData(powerLevel, audioFeatures, animationTime, isPaused, terrain.smoothed);
+    resampleBands(frequencies, terrain.bands);
+  }
+  
+  // Keep the peaks between rows so short hits still leave a mark
+  for (let band = 0; band < terrain.columns; band++) {
+    terrain.pending[band] = Math.max(terrain.pending[band], terrain.bands[band]);
+  }
+  
+  // Advance by elapsed time, not frames, so the scroll speed doesn't depend on FPS
+  const deltaTime = terrain.lastTime === null ? 0 : Math.max(0, animationTime - terrain.lastTime);
+  terrain.lastTime = animationTime;
+  terrain.rowProgress += deltaTime * config.rowsPerSecond;
+  
+  if (terrain.rowProgress >= 1) {
+    // Long gaps (hidden tab) add a single row rather than a burst of copies
+    terrain.rowProgress = Math.min(terrain.rowProgress - 1, 1);
+    
+    // The oldest row is overwritten by the newest
+    terrain.history.set(terrain.pending, terrain.head * terrain.columns);
+    terrain.head = (terrain.head + 1) % terrain.rows;
+    terrain.pending.fill(0);
+    
+    rebuildSurface(terrain, audioFeatures?.palette, audioFeatures?.hueShift || 0);
+  }
+  
+  // Slide towards the camera between rows so the scroll is smooth
+  terrain.group.position.z = FRONT_Z - config.depth / 2 + terrain.rowProgress * terrain.rowSpacing;
+  
+  // Beats light the surface up briefly
+  material.emissive.copy(config.midColor).multiplyScalar(pulseTime * 0.25);
+}
+
+// Export configuration for other modules to access
+export { config };
+
+/**
+ * Registry entry for the terrain visualization
+ */
+export const terrainVisualization = {
+  id: 'terrain',
+  label: 'Terrain',
+  config,
+  configSchema: {
+    maxHeight: { type: 'number', label: 'Max height', min: 2, max: 25, step: 0.5 },
+    rowsPerSecond: { type: 'number', label: 'Scroll speed', min: 2, max: 30, step: 1 },
+    albumColors: { type: 'number', label: 'Album colors', min: 0, max: 1, step: 0.05 },
+    ageFade: { type: 'number', label: 'Age fade', min: 0, max: 1, step: 0.05 },
+    lowColor: { type: 'color', label: 'Valley color' },
+    midColor: { type: 'color', label: 'Slope color' },
+    highColor: { type: 'color', label: 'Peak color' },
+    columns: { type: 'number', label: 'Frequency bands', min: 16, max: 128, step: 8, recreate: true },
+    rows: { type: 'number', label: 'History rows', min: 40, max: 240, step: 10, recreate: true },
+    wireframe: { type: 'boolean', label: 'Grid lines', recreate: true }
+  },
+  // Higher and further back than the other modes, looking down the history
+  camera: {
+    offset: { x: 0, y: 12, z: 4 },
+    lookAt: { x: 0, y: 0, z: -18 }
+  },
+  create: createTerrainVisualization,
+  update: updateTerrainVisualization,
+  dispose: removeTerrainVisualization,
+  applyQuality: applyTerrainQuality
+};
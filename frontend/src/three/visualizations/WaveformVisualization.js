@@ -2,14 +2,19 @@
 // Handles the waveform visualization type for the audio visualizer
 
 import * as THREE from 'three';
+import { followPitchColor } from '../utils/PitchColors.js';
 
 // Configuration for waveform visualization
 const config = {
   numPoints: 256,
   width: 40,
-  color: 0x1db954
+  color: 0x1db954,
+  pitchTint: 0.5, // Blend towards the dominant pitch color (0-1)
+  albumColors: 0.8 // Blend towards the album cover palette (0-1)
 };
 
+const pitchColor = new THREE.Color(config.color);
+
 /**
  * Create waveform visualization
  * @param {THREE.Scene} scene - Three.js scene
@@ -100,6 +105,7 @@ export function updateWaveformVisualization(waveform, powerLevel, pulseTime, isP
   // Use audio features to influence visualization
   const energy = audioFeatures ? audioFeatures.energy : 0.5;
   const tempo = audioFeatures ? audioFeatures.tempo / 200 : 0.6; // Normalize tempo
+  const hueShift = audioFeatures?.hueShift || 0; // Palette rotation from section changes
   
   // Time-based animation - slower when paused
   const time = animationTime;
@@ -152,14 +158,52 @@ export function updateWaveformVisualization(waveform, powerLevel, pulseTime, isP
   } else {
     hue = (Math.sin(time * 0.1) * 0.1 + 0.4) % 1; // Keep in green-blue range
   }
+  hue = (hue + hueShift + 1) % 1;
   
   waveform.material.color.setHSL(hue, isPaused ? 0.6 : 0.8, isPaused ? 0.4 : 0.5 + pulseTime * 0.2);
   
+  // Album cover colors take over from the green-blue range
+  const palette = audioFeatures?.palette;
+  const albumAmount = palette ? config.albumColors * palette.strength : 0;
+  if (albumAmount > 0) {
+    waveform.material.color.lerp(palette.base, albumAmount);
+  }
+  
+  // Harmonic tint - eases towards the dominant pitch class
+  const hasPitch = !isPaused && followPitchColor(pitchColor, audioFeatures, 0.05);
+  if (hasPitch) {
+    waveform.material.color.lerp(pitchColor, config.pitchTint);
+  }
+  
   if (shadowLine) {
     shadowLine.material.color.setHSL(hue, 0.7, isPaused ? 0.2 : 0.3);
+    if (albumAmount > 0) {
+      shadowLine.material.color.lerp(palette.mid, albumAmount * 0.6);
+    }
+    if (hasPitch) {
+      shadowLine.material.color.lerp(pitchColor, config.pitchTint);
+    }
     shadowLine.material.opacity = isPaused ? 0.1 : 0.2 + pulseTime * 0.1;
   }
 }
 
 // Export configuration for other modules to access
-export { config };
\ No newline at end of file
+export { config };
+
+/**
+ * Registry entry for the waveform visualization
+ */
+export const waveformVisualization = {
+  id: 'waveform',
+  label: 'Waveform',
+  config,
+  configSchema: {
+    pitchTint: { type: 'number', label: 'Pitch tint', min: 0, max: 1, step: 0.05 },
+    albumColors: { type: 'number', label: 'Album colors', min: 0, max: 1, step: 0.05 },
+    color: { type: 'color', label: 'Line color', recreate: true },
+    width: { type: 'number', label: 'Width', min: 10, max: 80, step: 1, recreate: true }
+  },
+  create: createWaveformVisualization,
+  update: updateWaveformVisualization,
+  dispose: removeWaveformVisualization
+};
@@ -0,0 +1,118 @@
+// src/three/visualizations/index.js
+// Registry of visualization modes the controller can switch between
+
+import { EffectComposer, RenderPass, EffectPass, BloomEffect, SMAAEffect } from 'postprocessing';
+import { barsVisualization } from './BarsVisualization.js';
+import { particlesVisualization } from './ParticlesVisualization.js';
+import { waveformVisualization } from './WaveformVisualization.js';
+import { terrainVisualization } from './TerrainVisualization.js';
+import { radialBarsVisualization } from './RadialBarsVisualization.js';
+import { albumCoverVisualization } from './AlbumCoverVisualization.js';
+import { shaderVisualization } from './ShaderVisualization.js';
+
+const visualizations = new Map();
+
+// Glow used by modes that don't set up their own postprocessing
+const DEFAULT_BLOOM = {
+  intensity: 1.0,
+  luminanceThreshold: 0.4,
+  luminanceSmoothing: 0.7
+};
+
+/**
+ * Postprocessing for modes without their own - the scene with a soft bloom
+ * Built fresh for each mode so no effect refers to another mode's objects
+ * @param {THREE.WebGLRenderer} renderer - Three.js renderer
+ * @param {THREE.Scene} scene - Three.js scene
+ * @param {THREE.Camera} camera - Three.js camera
+ * @param {Object} tier - Quality tier (bloomResolution, smaa)
+ * @returns {EffectComposer} - Composer that renders the scene
+ */
+export function setupDefaultPostprocessing(renderer, scene, camera, tier) {
+  const composer = new EffectComposer(renderer);
+  composer.addPass(new RenderPass(scene, camera));
+  
+  const bloomEffect = new BloomEffect({ ...DEFAULT_BLOOM, height: tier.bloomResolution });
+  const smaaEffect = tier.smaa ? new SMAAEffect() : null;
+  composer.addPass(new EffectPass(camera, bloomEffect, ...(smaaEffect ? [smaaEffect] : [])));
+  
+  return composer;
+}
+
+/**
+ * Register a visualization mode
+ * @param {Object} definition - Visualization definition
+ * @param {string} definition.id - Mode identifier
+ * @param {string} definition.label - Button label
+ * @param {Function} definition.create - (scene, renderer) => instance
+ * @param {Function} definition.update - (instance, powerLevel, pulseTime, isPaused, animationTime, audioFeatures) => void
+ * @param {Function} definition.dispose - (instance, scene) => void
+ * @param {Object} definition.config - Live configuration object read by update
+ * @param {Object} definition.configSchema - Editable config fields:
+ *   { key: { type: 'number' | 'color' | 'boolean' | 'code', label, min, max, step, recreate, accept } },
+ *   'code' fields edit source text, accept lists the file types that can be loaded into them
+ *   keys may be dotted paths into nested config objects (e.g. 'bloom.intensity')
+ * @param {Function} definition.setupPostprocessing - Optional (renderer, scene, camera, tier) => EffectComposer,
+ *   setupDefaultPostprocessing when omitted; rebuilt whenever the mode is created, including on tier changes
+ * @param {Function} definition.applyQuality - Optional (tier) => void, caps expensive settings
+ *   for a quality tier from QualityManager; applied the next time the visualization is created
+ * @param {Object} definition.camera - Optional framing { offset: {x, y, z}, lookAt: {x, y, z} }:
+ *   offset is added to the mood-driven camera position, lookAt is where the camera points
+ */
+export function registerVisualization(definition) {
+  const { id } = definition || {};
+  
+  if (!id) {
+    throw new Error('Visualization needs an id');
+  }
+  
+  ['create', 'update', 'dispose'].forEach(hook => {
+    if (typeof definition[hook] !== 'function') {
+      throw new Error(`Visualization "${id}" needs a ${hook} function`);
+    }
+  });
+  
+  visualizations.set(id, {
+    label: id,
+    config: {},
+    configSchema: {},
+    setupPostprocessing: setupDefaultPostprocessing,
+    applyQuality: null,
+    camera: null,
+    ...definition
+  });
+}
+
+/**
+ * Get a registered visualization
+ * @param {string} id - Mode identifier
+ * @returns {Object|null} - Visualization definition, or null if unknown
+ */
+export function getVisualization(id) {
+  return visualizations.get(id) || null;
+}
+
+/**
+ * Get all registered visualizations in registration order
+ * @returns {Array<Object>} - Visualization definitions
+ */
+export function getVisualizations() {
+  return Array.from(visualizations.values());
+}
+
+/**
+ * Get the ids of all registered visualizations
+ * @returns {Array<string>} - Mode identifiers
+ */
+export function getVisualizationIds() {
+  return Array.from(visualizations.keys());
+}
+
+// Built-in visualizations
+registerVisualization(barsVisualization);
+registerVisualization(particlesVisualization);
+registerVisualization(waveformVisualization);
+registerVisualization(terrainVisualization);
+registerVisualization(radialBarsVisualization);
+registerVisualization(albumCoverVisualization);
+registerVisualization(shaderVisualization);
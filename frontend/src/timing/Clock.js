@@ -0,0 +1,143 @@
+// src/timing/Clock.js
+// Shared time source for the render loop, the audio analyzer and its sources,
+// so time can run live, stand still, advance in fixed steps or be scrubbed
+
+/**
+ * Supported clock modes
+ * - realtime: follows the wall clock
+ * - paused: time stands still
+ * - fixed-step: every tick advances by the same step (offline renders, snapshot tests)
+ * - scrub: time only moves when scrubTo() is called
+ */
+export const CLOCK_MODES = ['realtime', 'paused', 'fixed-step', 'scrub'];
+
+/**
+ * Clock - Time in seconds that is read once per frame by everything it drives
+ */
+export class Clock {
+  /**
+   * @param {Object} options - Clock options
+   * @param {Function} options.source - Wall time in seconds for realtime mode
+   * @param {number} options.step - Seconds per tick in fixed-step mode
+   */
+  constructor({ source = () => performance.now() / 1000, step = 1 / 60 } = {}) {
+    this.source = source;
+    this.mode = 'realtime';
+    this.step = step;
+    
+    // Time of the current frame and how far the last tick moved it
+    this.time = 0;
+    this.delta = 0;
+    
+    // Realtime time is the source minus this, so switching modes never jumps
+    this.offset = source();
+    this.scrubTime = 0;
+    
+    // Called with (mode) after the mode changes
+    this.onModeChange = null;
+  }
+  
+  /**
+   * Current time - live in realtime mode, otherwise the time of the last tick
+   * Use this between frames (event handlers, throttles); frames should use tick()
+   * @returns {number} - Time in seconds
+   */
+  now() {
+    return this.mode === 'realtime' ? this.source() - this.offset : this.time;
+  }
+  
+  /**
+   * Advance to the next frame
+   * @returns {number} - Time of the new frame in seconds
+   */
+  tick() {
+    let next;
+    switch (this.mode) {
+      case 'paused':
+        next = this.time;
+        break;
+      case 'fixed-step':
+        next = this.time + this.step;
+        break;
+      case 'scrub':
+        next = this.scrubTime;
+        break;
+      default:
+        next = this.source() - this.offset;
+    }
+    
+    this.delta = next - this.time;
+    this.time = next;
+    
+    return this.time;
+  }
+  
+  /**
+   * Switch mode, continuing from the current time
+   * @param {string} mode - One of CLOCK_MODES
+   */
+  setMode(mode) {
+    if (!CLOCK_MODES.includes(mode)) {
+      throw new Error(`Unknown clock mode: ${mode}`);
+    }
+    if (mode === this.mode) return;
+    
+    // Settle on the live time before leaving realtime
+    if (this.mode === 'realtime') {
+      this.time = this.now();
+    }
+    
+    this.mode = mode;
+    this.offset = this.source() - this.time;
+    this.scrubTime = this.time;
+    
+    if (this.onModeChange) {
+      this.onModeChange(mode);
+    }
+  }
+  
+  /**
+   * Follow the wall clock
+   */
+  useRealtime() {
+    this.setMode('realtime');
+  }
+  
+  /**
+   * Stop time
+   */
+  pause() {
+    this.setMode('paused');
+  }
+  
+  /**
+   * Advance by a fixed step on every tick
+   * @param {number} step - Seconds per tick (e.g. 1 / 60)
+   */
+  useFixedStep(step = this.step) {
+    this.step = step;
+    this.setMode('fixed-step');
+  }
+  
+  /**
+   * Move time to a position; the next tick lands there
+   * @param {number} seconds - Time in seconds
+   */
+  scrubTo(seconds) {
+    this.setMode('scrub');
+    this.scrubTime = seconds;
+  }
+  
+  /**
+   * Jump to a time without changing mode
+   * @param {number} seconds - Time in seconds
+   */
+  setTime(seconds) {
+    this.time = seconds;
+    this.scrubTime = seconds;
+    this.offset = this.source() - seconds;
+  }
+}
+
+// Clock shared by the visualizer and audio analyzer unless another one is injected
+export const sharedClock = new Clock();
@@ -44,6 +44,44 @@ export function createErrorOverlay() {
     };
 }
 
+/**
+ * Show compiler output in a panel that leaves the visualization running
+ * Calling it again replaces the output, so it can follow live edits
+ * @param {string} title - What failed to compile
+ * @param {string} log - Compiler output
+ */
+export function showCompileError(title, log) {
+    let panel = document.getElementById('compile-error-overlay');
+    
+    if (!panel) {
+      panel = document.createElement('div');
+      panel.id = 'compile-error-overlay';
+      panel.innerHTML = `
+        <div class="compile-error-header">
+          <h3 class="compile-error-title"></h3>
+          <button class="compile-error-close" title="Dismiss">&times;</button>
+        </div>
+        <pre class="compile-error-log"></pre>
+      `;
+      
+      panel.querySelector('.compile-error-close').addEventListener('click', hideCompileError);
+      document.body.appendChild(panel);
+    }
+    
+    panel.querySelector('.compile-error-title').textContent = title;
+    panel.querySelector('.compile-error-log').textContent = log;
+}
+
+/**
+ * Remove the compile error panel, e.g. once the code compiles again
+ */
+export function hideCompileError() {
+    const panel = document.getElementById('compile-error-overlay');
+    if (panel) {
+      panel.remove();
+    }
+}
+
 /**
  * Show a message to the user that disappears after a timeout
  * @param {string} message - Message to display
@@ -0,0 +1,130 @@
+// LocalFileDrop.js
+// Drag-and-drop target for playing local audio files through the visualizer
+
+const SUPPORTED_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'flac', 'm4a', 'aac'];
+
+/**
+ * Create the local file drop overlay
+ * @param {Function} onFileDropped - Callback with the dropped audio File (or null)
+ * @returns {Object} - Drop target element and methods
+ */
+export function createLocalFileDrop(onFileDropped) {
+    // Create overlay shown while files are dragged over the page
+    const overlay = document.createElement('div');
+    overlay.id = 'local-file-drop';
+    overlay.className = 'local-file-drop';
+    overlay.innerHTML = `
+      <div class="local-file-drop-content">
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <path d="M9 18V5l12-2v13"></path>
+          <circle cx="6" cy="18" r="3"></circle>
+          <circle cx="18" cy="16" r="3"></circle>
+        </svg>
+        <p>Drop an audio file to visualize it</p>
+        <span>MP3, WAV, OGG or FLAC</span>
+      </div>
+    `;
+    
+    // Count nested dragenter/dragleave pairs so child elements don't flicker the overlay
+    let dragDepth = 0;
+    
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+    
+    /**
+     * Show the overlay when files enter the window
+     * @param {DragEvent} e - Drag event
+     */
+    function handleDragEnter(e) {
+      if (!hasFiles(e)) return;
+      
+      e.preventDefault();
+      dragDepth++;
+      overlay.classList.add('visible');
+    }
+    
+    /**
+     * Allow dropping by cancelling the default dragover behaviour
+     * @param {DragEvent} e - Drag event
+     */
+    function handleDragOver(e) {
+      if (!hasFiles(e)) return;
+      
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+    }
+    
+    /**
+     * Hide the overlay once the drag leaves the window
+     * @param {DragEvent} e - Drag event
+     */
+    function handleDragLeave(e) {
+      if (!hasFiles(e)) return;
+      
+      dragDepth = Math.max(0, dragDepth - 1);
+      if (dragDepth === 0) {
+        overlay.classList.remove('visible');
+      }
+    }
+    
+    /**
+     * Pass the first supported audio file to the callback
+     * @param {DragEvent} e - Drag event
+     */
+    function handleDrop(e) {
+      if (!hasFiles(e)) return;
+      
+      e.preventDefault();
+      dragDepth = 0;
+      overlay.classList.remove('visible');
+      
+      // Null tells the caller the drop had no usable audio file
+      const file = Array.from(e.dataTransfer.files).find(isAudioFile) || null;
+      
+      if (onFileDropped) {
+        onFileDropped(file);
+      }
+    }
+    
+    /**
+     * Remove the overlay and its window listeners
+     */
+    function remove() {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+      
+      if (overlay.parentNode) {
+        overlay.parentNode.removeChild(overlay);
+      }
+    }
+    
+    return {
+      element: overlay,
+      remove
+    };
+}
+
+/**
+ * Check whether a drag event carries files
+ * @param {DragEvent} e - Drag event
+ * @returns {boolean} - True if files are being dragged
+ */
+function hasFiles(e) {
+  return !!e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+}
+
+/**
+ * Check whether a file looks like a supported audio file
+ * @param {File} file - Dropped file
+ * @returns {boolean} - True if the file can be decoded as audio
+ */
+function isAudioFile(file) {
+  if (file.type && file.type.startsWith('audio/')) return true;
+  
+  const extension = file.name.split('.').pop().toLowerCase();
+  return SUPPORTED_EXTENSIONS.includes(extension);
+}
@@ -2,19 +2,17 @@
 // Comprehensive music browser for direct track selection and playback in the web app
 
 import { search, getUserProfile, getRecentlyPlayed } from '../spotify/spotifyAPI.js';
+import { playbackStore, deviceReady } from '../state/playback.js';
 import './music-browser.css';
 
 /**
  * Create a music browser component
  * @param {object} player - Spotify Web Player instance
  * @param {string} accessToken - Spotify access token
- * @param {string} initialDeviceId - Initial Spotify device ID
+ * @param {Store} store - Playback store with the device ID and current track
  * @returns {object} - Music browser component with element and methods
  */
-export function createMusicBrowser(player, accessToken, initialDeviceId) {
-  // Store the device ID
-  let currentDeviceId = initialDeviceId;
-  
+export function createMusicBrowser(player, accessToken, store = playbackStore) {
   // Create main container
   const container = document.createElement('div');
   container.className = 'music-browser-container';
@@ -118,7 +116,6 @@ export function createMusicBrowser(player, accessToken, initialDeviceId) {
   
   // State variables
   let isPlaying = false;
-  let currentTrack = null;
   let searchTimeout = null;
   
   // Event listeners
@@ -148,10 +145,15 @@ export function createMusicBrowser(player, accessToken, initialDeviceId) {
   // Initialize by loading recent tracks
   loadRecentTracks();
   
-  // Set up player state listener
-  if (player) {
-    player.addListener('player_state_changed', updatePlayerState);
-  }
+  // Follow the current track and pause state
+  const unsubscribers = [
+    store.select(state => state.track, renderNowPlaying),
+    store.select(state => state.isPaused, paused => {
+      isPlaying = !paused;
+      updatePlayPauseButton();
+    })
+  ];
+  renderNowPlaying(store.getState().track);
   
   /**
    * Toggle browser visibility
@@ -632,8 +634,8 @@ export function createMusicBrowser(player, accessToken, initialDeviceId) {
    */
   async function playTrack(uri) {
     try {
-      // Use the device ID that was passed in, or try to retrieve it
-      let deviceId = currentDeviceId;
+      // Use the device ID the player reported, or try to retrieve it
+      let deviceId = store.getState().deviceId;
       
       if (!deviceId) {
         // Try alternative methods to get device ID if not available
@@ -641,17 +643,10 @@ export function createMusicBrowser(player, accessToken, initialDeviceId) {
           const state = await player.getCurrentState();
           if (state && state.device_id) {
             deviceId = state.device_id;
-            currentDeviceId = deviceId; // Store for future use
           }
         } catch (e) {
           console.warn('Could not get player state:', e);
         }
-        
-        // Use global variable as fallback
-        if (!deviceId && window.spotifyDeviceId) {
-          deviceId = window.spotifyDeviceId;
-          currentDeviceId = deviceId; // Store for future use
-        }
       }
       
       if (!deviceId) {
@@ -673,15 +668,15 @@ export function createMusicBrowser(player, accessToken, initialDeviceId) {
         });
         
         deviceId = await deviceIdPromise;
-        if (deviceId) {
-          currentDeviceId = deviceId;
-        }
       }
       
       if (!deviceId) {
         throw new Error('No active device found. Try refreshing the page.');
       }
       
+      // Store for future use
+      store.dispatch(deviceReady(deviceId));
+      
       // Create temporary UI indicator
       const playingIndicator = document.createElement('div');
       playingIndicator.textContent = 'Playing...';
@@ -794,37 +789,24 @@ export function createMusicBrowser(player, accessToken, initialDeviceId) {
   }
   
   /**
-   * Update the player state UI
-   * @param {object} state - Player state
+   * Update the now playing display
+   * @param {object|null} track - Current track from the playback store
    */
-  function updatePlayerState(state) {
-    if (!state) {
-      // No active player state
-      isPlaying = false;
-      currentTrack = null;
+  function renderNowPlaying(track) {
+    if (!track) {
       nowPlayingInfo.innerHTML = '<div class="now-playing-text">Not Playing</div>';
-      updatePlayPauseButton();
       return;
     }
     
-    // Update playing state
-    isPlaying = !state.paused;
-    updatePlayPauseButton();
-    
-    // Check for track change
-    const track = state.track_window.current_track;
-    if (!currentTrack || track.id !== currentTrack.id) {
-      currentTrack = track;
-      
-      // Update now playing display
-      nowPlayingInfo.innerHTML = `
-        <img src="${track.album.images[0].url}" class="mini-cover" alt="${track.name}">
-        <div class="now-playing-text">
-          <div class="now-playing-title">${track.name}</div>
-          <div class="now-playing-artist">${track.artists[0].name}</div>
-        </div>
-      `;
-    }
+    // Local files have no cover
+    const cover = track.album?.images?.[0]?.url;
+    nowPlayingInfo.innerHTML = `
+      ${cover ? `<img src="${cover}" class="mini-cover" alt="${track.name}">` : ''}
+      <div class="now-playing-text">
+        <div class="now-playing-title">${track.name}</div>
+        <div class="now-playing-artist">${track.artists[0]?.name || ''}</div>
+      </div>
+    `;
   }
   
   /**
@@ -911,10 +893,9 @@ export function createMusicBrowser(player, accessToken, initialDeviceId) {
     playTrack,
     toggleBrowser,
     closeBrowser,
-    // Add method to update device ID
-    updateDeviceId: (newDeviceId) => {
-      currentDeviceId = newDeviceId;
-      console.log('Updated device ID:', newDeviceId);
+    remove: () => {
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+      container.remove();
     }
   };
 }
\ No newline at end of file
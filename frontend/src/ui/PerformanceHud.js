@@ -0,0 +1,241 @@
+// PerformanceHud.js
+// Debug overlay with frame timing, renderer stats and analyzer sync diagnostics
+
+// Frames kept for the graph and the FPS average
+const HISTORY_LENGTH = 120;
+
+// Frame time at the top of the graph (ms)
+const GRAPH_MAX_MS = 50;
+
+// How often the text rows refresh (ms) - rewriting the DOM every frame would skew the numbers
+const TEXT_INTERVAL = 250;
+
+/**
+ * Create the performance HUD
+ * @param {Function} getDiagnostics - Returns the stats to show, called when the text refreshes
+ * @returns {Object} - HUD element and methods
+ */
+export function createPerformanceHud(getDiagnostics) {
+    const container = document.createElement('div');
+    container.id = 'performance-hud';
+    container.className = 'performance-hud';
+    container.hidden = true;
+    container.innerHTML = `
+      <div class="hud-header">
+        <span class="hud-fps">-- fps</span>
+        <span class="hud-hint">\` to hide</span>
+      </div>
+      <canvas class="hud-graph" width="240" height="60"></canvas>
+      <dl class="hud-rows"></dl>
+    `;
+    
+    const fpsLabel = container.querySelector('.hud-fps');
+    const graph = container.querySelector('.hud-graph');
+    const graphContext = graph.getContext('2d');
+    const rows = container.querySelector('.hud-rows');
+    
+    // Ring buffers of frame intervals and time spent rendering (ms)
+    const frameTimes = new Float32Array(HISTORY_LENGTH);
+    const renderTimes = new Float32Array(HISTORY_LENGTH);
+    let head = 0;
+    let filled = 0;
+    let lastTextUpdate = 0;
+    
+    /**
+     * Record a frame
+     * @param {number} frameMs - Time since the previous frame (ms)
+     * @param {number} renderMs - Time spent producing this frame (ms)
+     */
+    function recordFrame(frameMs, renderMs) {
+      if (container.hidden) return;
+      
+      frameTimes[head] = frameMs;
+      renderTimes[head] = renderMs;
+      head = (head + 1) % HISTORY_LENGTH;
+      filled = Math.min(filled + 1, HISTORY_LENGTH);
+      
+      drawGraph();
+      
+      const now = performance.now();
+      if (now - lastTextUpdate >= TEXT_INTERVAL) {
+        lastTextUpdate = now;
+        updateText();
+      }
+    }
+    
+    /**
+     * Draw frame intervals as bars, with the render share highlighted
+     */
+    function drawGraph() {
+      const { width, height } = graph;
+      const barWidth = width / HISTORY_LENGTH;
+      const scale = height / GRAPH_MAX_MS;
+      
+      graphContext.clearRect(0, 0, width, height);
+      
+      for (let i = 0; i < filled; i++) {
+        // Oldest frame on the left
+        const index = (head - filled + i + HISTORY_LENGTH) % HISTORY_LENGTH;
+        const x = (HISTORY_LENGTH - filled + i) * barWidth;
+        const frameHeight = Math.min(height, frameTimes[index] * scale);
+        const renderHeight = Math.min(frameHeight, renderTimes[index] * scale);
+        
+        graphContext.fillStyle = frameTimes[index] > 33.4 ? '#e74c3c' :
+          frameTimes[index] > 17.5 ? '#f1c40f' : '#1db954';
+        graphContext.fillRect(x, height - frameHeight, barWidth, frameHeight);
+        
+        graphContext.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        graphContext.fillRect(x, height - renderHeight, barWidth, renderHeight);
+      }
+      
+      // 60 and 30 fps guides
+      graphContext.fillStyle = 'rgba(255, 255, 255, 0.25)';
+      [1000 / 60, 1000 / 30].forEach(ms => {
+        graphContext.fillRect(0, Math.round(height - ms * scale), width, 1);
+      });
+    }
+    
+    /**
+     * Refresh the FPS label and stat rows
+     */
+    function updateText() {
+      let totalFrame = 0;
+      let totalRender = 0;
+      for (let i = 0; i < filled; i++) {
+        totalFrame += frameTimes[i];
+        totalRender += renderTimes[i];
+      }
+      
+      const averageFrame = filled > 0 ? totalFrame / filled : 0;
+      fpsLabel.textContent = averageFrame > 0 ? `${Math.round(1000 / averageFrame)} fps` : '-- fps';
+      
+      const stats = getDiagnostics();
+      const averageRender = filled > 0 ? totalRender / filled : 0;
+      
+      rows.innerHTML = formatRows([
+        ['Frame', `${averageFrame.toFixed(1)} ms (render ${averageRender.toFixed(1)} ms)`],
+        ['Draw calls', stats.drawCalls],
+        ['Triangles', formatCount(stats.triangles)],
+        ['Points / lines', `${formatCount(stats.points)} / ${formatCount(stats.lines)}`],
+        ['Geometries', stats.geometries],
+        ['Textures', stats.textures],
+        ['Programs', stats.programs],
+        ['Quality', stats.quality],
+        null,
+        ['Source', stats.analysis.analysis],
+        ['Position', formatSeconds(stats.analysis.progress)],
+        ['Segment', formatIndex(stats.analysis.segmentIndex, stats.analysis.segmentCount)],
+        ['Beat', formatIndex(stats.analysis.beatIndex, stats.analysis.beatCount)],
+        ['Bar / section', `${stats.analysis.barIndex} / ${stats.analysis.sectionIndex}`],
+        ['Tempo', `${Math.round(stats.analysis.tempo)} BPM`],
+        ['Player drift', stats.driftMs === null ? 'n/a' : `${Math.round(stats.driftMs)} ms`],
+        null,
+        ['Analysis cache', formatCache(stats.cache.analysis)],
+        ['Features cache', formatCache(stats.cache.features)]
+      ]);
+    }
+    
+    /**
+     * Show or hide the HUD
+     * @param {boolean} visible - Whether the HUD is shown
+     */
+    function setVisible(visible) {
+      container.hidden = !visible;
+      
+      // Start fresh so the graph doesn't show frames from before it was hidden
+      if (visible) {
+        head = 0;
+        filled = 0;
+        lastTextUpdate = 0;
+      }
+    }
+    
+    /**
+     * Whether the HUD is shown
+     * @returns {boolean} - True if visible
+     */
+    function isVisible() {
+      return !container.hidden;
+    }
+    
+    /**
+     * Show the HUD if hidden and hide it if shown
+     */
+    function toggle() {
+      setVisible(container.hidden);
+    }
+    
+    /**
+     * Remove the HUD from the page
+     */
+    function remove() {
+      if (container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+    }
+    
+    return {
+      element: container,
+      recordFrame,
+      setVisible,
+      isVisible,
+      toggle,
+      remove
+    };
+}
+
+/**
+ * Build the stat rows - null entries become separators
+ * @param {Array<Array|null>} entries - [label, value] pairs
+ * @returns {string} - HTML
+ */
+function formatRows(entries) {
+  return entries.map(entry => {
+    if (!entry) return '<div class="hud-separator"></div>';
+    
+    const [label, value] = entry;
+    return `<div class="hud-row"><dt>${label}</dt><dd>${value ?? '-'}</dd></div>`;
+  }).join('');
+}
+
+/**
+ * Format a large count compactly
+ * @param {number} value - Count
+ * @returns {string} - e.g. 12.3k
+ */
+function formatCount(value) {
+  if (value >= 1000000) return `${(value / 1000000).toFixed(1)}M`;
+  if (value >= 1000) return `${(value / 1000).toFixed(1)}k`;
+  return String(value);
+}
+
+/**
+ * Format a position in seconds as m:ss.s
+ * @param {number} seconds - Position in seconds
+ * @returns {string} - Formatted position
+ */
+function formatSeconds(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Format an index into a list of events
+ * @param {number} index - Current index, -1 for none
+ * @param {number} count - Number of events
+ * @returns {string} - e.g. 12 / 340
+ */
+function formatIndex(index, count) {
+  return count > 0 ? `${index < 0 ? '-' : index} / ${count}` : 'none';
+}
+
+/**
+ * Format cache counters
+ * @param {Object} stats - Stats from PersistentCache.getStats
+ * @returns {string} - Hit rate with hit / miss counts
+ */
+function formatCache(stats) {
+  const lookups = stats.hits + stats.misses;
+  if (lookups === 0) return 'no lookups';
+  return `${Math.round(stats.hitRate * 100)}% (${stats.hits}/${lookups})`;
+}
@@ -1,13 +1,15 @@
 // src/ui/PlaybackControls.js
 import { getStoredAccessToken } from '../auth/handleAuth.js';
+import { playbackStore } from '../state/playback.js';
 
 /**
  * Create playback controls for Spotify
  * @param {Object} player - Spotify Web Player instance
- * @param {Function} onPlaybackChange - Optional callback when playback state changes
+ * @param {Function} onPlaybackChange - Optional callback with the playback state when the track or pause state changes
+ * @param {Store} store - Playback store with the device ID, current track and pause state
  * @returns {Object} - Playback controls object with element and methods
  */
-export function createPlaybackControls(player, onPlaybackChange = null) {
+export function createPlaybackControls(player, onPlaybackChange = null, store = playbackStore) {
     // Create container
     const container = document.createElement('div');
     container.className = 'playback-controls';
@@ -41,19 +43,24 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
     container.appendChild(nextBtn);
     container.appendChild(trackInfoDisplay);
     
-    // Track state
-    let isPlaying = false;
-    let currentTrack = null;
-    
     // Add event listeners
     playPauseBtn.addEventListener('click', handlePlayPause);
     prevBtn.addEventListener('click', handlePrevious);
     nextBtn.addEventListener('click', handleNext);
     
-    // If player is available, set up state listener
-    if (player) {
-        player.addListener('player_state_changed', handlePlayerStateChange);
-    }
+    // Follow the current track and pause state
+    const unsubscribers = [
+        store.select(state => state.track, (track, previousTrack, state) => {
+            updateTrackInfo(track);
+            notifyPlaybackChange(state);
+        }),
+        store.select(state => state.isPaused, (paused, wasPaused, state) => {
+            updatePlayingState(!paused);
+            notifyPlaybackChange(state);
+        })
+    ];
+    updateTrackInfo(store.getState().track);
+    updatePlayingState(!store.getState().isPaused);
     
     /**
      * Handle play/pause button click
@@ -75,17 +82,17 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
             }
             
             // Toggle playback based on current state
+            // (the button shows the change right away, the store confirms it)
             if (state.paused) {
-                // Update UI immediately for responsiveness
                 updatePlayingState(true);
                 await player.resume();
             } else {
-                // Update UI immediately for responsiveness
                 updatePlayingState(false);
                 await player.pause();
             }
         } catch (error) {
             console.error('Error toggling playback:', error);
+            updatePlayingState(!store.getState().isPaused);
             showMessage('Failed to control playback. Please try again.');
         }
     }
@@ -125,32 +132,10 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
     }
     
     /**
-     * Handle player state changes
-     * @param {Object} state - Spotify player state
+     * Pass a playback store change on to the callback
+     * @param {Object} state - Playback store state
      */
-    function handlePlayerStateChange(state) {
-        if (!state) {
-            // If no state, either no music is playing or player is not active
-            updatePlayingState(false);
-            updateTrackInfo(null);
-            return;
-        }
-        
-        // Update playing state
-        const playing = !state.paused;
-        updatePlayingState(playing);
-        
-        // Update track info if track changed
-        if (state.track_window && state.track_window.current_track) {
-            const track = state.track_window.current_track;
-            
-            // Only update if track changed
-            if (!currentTrack || currentTrack.id !== track.id) {
-                updateTrackInfo(track);
-            }
-        }
-        
-        // Call callback if provided
+    function notifyPlaybackChange(state) {
         if (onPlaybackChange) {
             onPlaybackChange(state);
         }
@@ -161,8 +146,6 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
      * @param {boolean} playing - Whether music is playing
      */
     function updatePlayingState(playing) {
-        isPlaying = playing;
-        
         // Update button appearance
         if (playing) {
             playPauseBtn.innerHTML = getPauseIcon();
@@ -175,11 +158,9 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
     
     /**
      * Update track info display
-     * @param {Object} track - Track object from Spotify
+     * @param {Object|null} track - Current track from the playback store
      */
     function updateTrackInfo(track) {
-        currentTrack = track;
-        
         if (track) {
             trackInfoDisplay.innerHTML = `
                 <span class="track-name">${track.name}</span>
@@ -215,9 +196,9 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
                 deviceId = player._options.id;
             }
             
-            // Check global variable as fallback
-            if (!deviceId && window.spotifyDeviceId) {
-                deviceId = window.spotifyDeviceId;
+            // Fall back to the device the player reported when it became ready
+            if (!deviceId) {
+                deviceId = playbackStore.getState().deviceId;
             }
             
             if (!deviceId) {
@@ -251,10 +232,6 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
                     throw new Error('Failed to play track');
                 }
             }
-            
-            // Update UI state - player state change event will handle the rest
-            updatePlayingState(true);
-            
         } catch (error) {
             console.error('Error playing track:', error);
             showMessage(`Error: ${error.message || 'Failed to play track'}`);
@@ -292,19 +269,15 @@ export function createPlaybackControls(player, onPlaybackChange = null) {
     return {
         element: container,
         playTrack,
-        updatePlayerState: handlePlayerStateChange,
         
         // Add method to update player reference
         updatePlayer: (newPlayer) => {
-            if (player) {
-                // Remove listener from old player
-                player.removeListener('player_state_changed', handlePlayerStateChange);
-            }
-            
-            // Update player reference
-            if (newPlayer) {
-                newPlayer.addListener('player_state_changed', handlePlayerStateChange);
-            }
+            player = newPlayer;
+        },
+        
+        remove: () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            container.remove();
         }
     };
 }
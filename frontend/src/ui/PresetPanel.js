@@ -0,0 +1,133 @@
+// PresetPanel.js
+// Compact panel for saving, applying and sharing visualization presets
+
+/**
+ * Create the preset panel
+ * @param {Object} handlers - Preset actions
+ * @param {Function} handlers.onApply - Called with the name of the preset to apply
+ * @param {Function} handlers.onSave - Called with the name to save the current look under
+ * @param {Function} handlers.onDelete - Called with the name of the preset to delete
+ * @param {Function} handlers.onExport - Called with the name of the preset to download
+ * @param {Function} handlers.onImport - Called with the JSON File chosen by the user
+ * @param {Array<Object>} presets - Presets to list initially
+ * @returns {Object} - Panel element and methods
+ */
+export function createPresetPanel({ onApply, onSave, onDelete, onExport, onImport }, presets = []) {
+    // Create container element
+    const container = document.createElement('div');
+    container.id = 'preset-panel';
+    container.className = 'preset-panel';
+    container.innerHTML = `
+      <select class="preset-select" title="Presets"></select>
+      <button class="preset-button" data-action="save" title="Save the current look as a preset">Save</button>
+      <button class="preset-button" data-action="export" title="Download the selected preset">Export</button>
+      <button class="preset-button" data-action="import" title="Load a preset file">Import</button>
+      <button class="preset-button preset-delete" data-action="delete" title="Delete the selected preset">&times;</button>
+      <input class="preset-file" type="file" accept="application/json,.json" hidden>
+    `;
+    
+    const select = container.querySelector('.preset-select');
+    const fileInput = container.querySelector('.preset-file');
+    
+    // Choosing a preset applies it straight away
+    select.addEventListener('change', () => {
+      if (select.value) {
+        onApply(select.value);
+      }
+      updateButtons();
+    });
+    
+    container.querySelectorAll('.preset-button').forEach(button => {
+      button.addEventListener('click', () => handleAction(button.dataset.action));
+    });
+    
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      
+      // Reset so choosing the same file again still fires change
+      fileInput.value = '';
+      
+      if (file) {
+        onImport(file);
+      }
+    });
+    
+    setPresets(presets);
+    
+    /**
+     * Run a button action
+     * @param {string} action - save, export, import or delete
+     */
+    function handleAction(action) {
+      const selected = select.value;
+      
+      switch (action) {
+        case 'save': {
+          const name = window.prompt('Preset name', selected || '');
+          if (name && name.trim()) {
+            onSave(name.trim());
+          }
+          break;
+        }
+        case 'export':
+          if (selected) onExport(selected);
+          break;
+        case 'import':
+          fileInput.click();
+          break;
+        case 'delete':
+          if (selected && window.confirm(`Delete preset "${selected}"?`)) {
+            onDelete(selected);
+          }
+          break;
+      }
+    }
+    
+    /**
+     * Replace the listed presets
+     * @param {Array<Object>} list - Presets to list
+     * @param {string} selectedName - Preset to show as selected (optional)
+     */
+    function setPresets(list, selectedName = select.value) {
+      select.innerHTML = '';
+      
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = list.length > 0 ? 'Presets' : 'No presets';
+      select.appendChild(placeholder);
+      
+      list.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.name;
+        option.textContent = preset.name;
+        select.appendChild(option);
+      });
+      
+      select.value = list.some(preset => preset.name === selectedName) ? selectedName : '';
+      updateButtons();
+    }
+    
+    /**
+     * Enable the buttons that need a selected preset
+     */
+    function updateButtons() {
+      const hasSelection = !!select.value;
+      container.querySelector('[data-action="export"]').disabled = !hasSelection;
+      container.querySelector('[data-action="delete"]').disabled = !hasSelection;
+    }
+    
+    /**
+     * Remove the panel from the page
+     */
+    function remove() {
+      if (container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+    }
+    
+    return {
+      element: container,
+      setPresets,
+      remove
+    };
+}
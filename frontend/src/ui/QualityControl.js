@@ -0,0 +1,53 @@
+// QualityControl.js
+// Quality tier picker - automatic by default, or pinned to one tier
+
+/**
+ * Create the quality picker
+ * @param {Array<Object>} tiers - Quality tiers ({ id, label }), lowest first
+ * @param {Function} onSelect - Called with a tier id, or null for automatic
+ * @returns {Object} - Control element and methods
+ */
+export function createQualityControl(tiers, onSelect) {
+    const container = document.createElement('label');
+    container.className = 'quality-control';
+    container.innerHTML = `
+      <span class="quality-label">Quality</span>
+      <select class="quality-select">
+        <option value="auto">Auto</option>
+        ${tiers.map(({ id, label }) => `<option value="${id}">${label}</option>`).join('')}
+      </select>
+      <span class="quality-status"></span>
+    `;
+    
+    const select = container.querySelector('.quality-select');
+    const status = container.querySelector('.quality-status');
+    
+    select.addEventListener('change', () => {
+      onSelect(select.value === 'auto' ? null : select.value);
+    });
+    
+    /**
+     * Show the active tier
+     * @param {Object} tier - Active tier
+     * @param {boolean} automatic - Whether the tier was picked automatically
+     */
+    function setState(tier, automatic) {
+      select.value = automatic ? 'auto' : tier.id;
+      status.textContent = automatic ? `Currently ${tier.label.toLowerCase()}` : '';
+    }
+    
+    /**
+     * Remove the control from the page
+     */
+    function remove() {
+      if (container.parentNode) {
+        container.parentNode.removeChild(container);
+      }
+    }
+    
+    return {
+      element: container,
+      setState,
+      remove
+    };
+}
@@ -0,0 +1,150 @@
+// RecordingControls.js
+// Record button with resolution, frame rate and offline export options
+
+// Output sizes offered for clips - null keeps the window size
+const RESOLUTIONS = [
+  { id: 'window', label: 'Window', width: null, height: null },
+  { id: '720p', label: '1280 × 720', width: 1280, height: 720 },
+  { id: '1080p', label: '1920 × 1080', width: 1920, height: 1080 },
+  { id: 'square', label: '1080 × 1080', width: 1080, height: 1080 },
+  { id: 'vertical', label: '1080 × 1920', width: 1080, height: 1920 }
+];
+
+const FRAME_RATES = [30, 60];
+
+/**
+ * Create the recording controls
+ * @param {Object} handlers - Recording actions
+ * @param {Function} handlers.onStart - Called with { width, height, fps } to start a live recording
+ * @param {Function} handlers.onStop - Called to stop the live recording
+ * @param {Function} handlers.onRenderOffline - Called with { width, height, fps, duration } to export frame by frame
+ * @param {Function} handlers.onCancelOffline - Called to abort an offline export
+ * @returns {Object} - Control elements and methods
+ */
+export function createRecordingControls({ onStart, onStop, onRenderOffline, onCancelOffline }) {
+    // Round button that starts and stops live recording
+    const toggle = document.createElement('button');
+    toggle.className = 'record-toggle';
+    toggle.title = 'Record clip';
+    toggle.innerHTML = '<span class="record-dot"></span>';
+    
+    // Options popover
+    const panel = document.createElement('div');
+    panel.id = 'recording-panel';
+    panel.className = 'recording-panel';
+    panel.innerHTML = `
+      <label class="recording-option">
+        <span>Resolution</span>
+        <select class="recording-resolution">
+          ${RESOLUTIONS.map(({ id, label }) => `<option value="${id}">${label}</option>`).join('')}
+        </select>
+      </label>
+      <label class="recording-option">
+        <span>Frame rate</span>
+        <select class="recording-fps">
+          ${FRAME_RATES.map(fps => `<option value="${fps}">${fps} fps</option>`).join('')}
+        </select>
+      </label>
+      <button class="recording-start">Start recording</button>
+      <div class="recording-divider"></div>
+      <label class="recording-option">
+        <span>Offline length (s)</span>
+        <input class="recording-duration" type="number" min="1" max="600" value="15">
+      </label>
+      <button class="recording-offline" title="Render from the current position frame by frame, without dropped frames">Render offline</button>
+      <div class="recording-progress" hidden>
+        <div class="recording-progress-bar"></div>
+      </div>
+    `;
+    
+    const resolutionSelect = panel.querySelector('.recording-resolution');
+    const fpsSelect = panel.querySelector('.recording-fps');
+    const durationInput = panel.querySelector('.recording-duration');
+    const startButton = panel.querySelector('.recording-start');
+    const offlineButton = panel.querySelector('.recording-offline');
+    const progress = panel.querySelector('.recording-progress');
+    const progressBar = panel.querySelector('.recording-progress-bar');
+    
+    let recording = false;
+    let rendering = false;
+    
+    // While recording the button stops; otherwise it opens the options
+    toggle.addEventListener('click', () => {
+      if (recording) {
+        onStop();
+      } else {
+        panel.classList.toggle('open');
+      }
+    });
+    
+    startButton.addEventListener('click', () => {
+      panel.classList.remove('open');
+      onStart(getOptions());
+    });
+    
+    offlineButton.addEventListener('click', () => {
+      if (rendering) {
+        onCancelOffline();
+        return;
+      }
+      
+      const duration = Math.min(600, Math.max(1, parseFloat(durationInput.value) || 15));
+      onRenderOffline({ ...getOptions(), duration });
+    });
+    
+    /**
+     * Read the selected options
+     * @returns {Object} - { width, height, fps }, width and height null for the window size
+     */
+    function getOptions() {
+      const resolution = RESOLUTIONS.find(({ id }) => id === resolutionSelect.value) || RESOLUTIONS[0];
+      return {
+        width: resolution.width,
+        height: resolution.height,
+        fps: parseInt(fpsSelect.value, 10)
+      };
+    }
+    
+    /**
+     * Show whether a live recording is running
+     * @param {boolean} active - True while recording
+     */
+    function setRecording(active) {
+      recording = active;
+      toggle.classList.toggle('recording', active);
+      toggle.title = active ? 'Stop recording' : 'Record clip';
+      offlineButton.disabled = active;
+    }
+    
+    /**
+     * Show offline render progress
+     * @param {number|null} fraction - Progress (0-1), or null when not rendering
+     */
+    function setProgress(fraction) {
+      rendering = fraction !== null;
+      progress.hidden = !rendering;
+      progressBar.style.width = `${Math.round((fraction || 0) * 100)}%`;
+      offlineButton.textContent = rendering ? 'Cancel render' : 'Render offline';
+      startButton.disabled = rendering;
+      toggle.disabled = rendering;
+    }
+    
+    /**
+     * Remove the controls from the page
+     */
+    function remove() {
+      [toggle, panel].forEach(element => {
+        if (element.parentNode) {
+          element.parentNode.removeChild(element);
+        }
+      });
+    }
+    
+    return {
+      toggle,
+      element: panel,
+      setRecording,
+      setProgress,
+      remove
+    };
+}
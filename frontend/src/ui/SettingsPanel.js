@@ -0,0 +1,304 @@
+// SettingsPanel.js
+// Slide-out drawer with live controls generated from a visualization's config schema
+
+// Pause in typing before a code field is written, so it isn't compiled on every key
+const CODE_INPUT_DELAY = 400;
+
+/**
+ * Create the settings drawer
+ * @param {Function} onChange - Callback (key, value, field) after a config value is written
+ * @returns {Object} - Drawer element and methods
+ */
+export function createSettingsPanel(onChange) {
+    // Create drawer element
+    const container = document.createElement('div');
+    container.id = 'settings-panel';
+    container.className = 'settings-panel';
+    container.innerHTML = `
+      <div class="settings-header">
+        <h3 class="settings-title">Settings</h3>
+        <button class="settings-close" title="Close settings">&times;</button>
+      </div>
+      <div class="settings-fields"></div>
+    `;
+    
+    // Button that opens and closes the drawer
+    const toggle = document.createElement('button');
+    toggle.className = 'settings-toggle';
+    toggle.title = 'Visualization settings';
+    toggle.innerHTML = `
+      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <line x1="4" y1="21" x2="4" y2="14"></line>
+        <line x1="4" y1="10" x2="4" y2="3"></line>
+        <line x1="12" y1="21" x2="12" y2="12"></line>
+        <line x1="12" y1="8" x2="12" y2="3"></line>
+        <line x1="20" y1="21" x2="20" y2="16"></line>
+        <line x1="20" y1="12" x2="20" y2="3"></line>
+        <line x1="1" y1="14" x2="7" y2="14"></line>
+        <line x1="9" y1="8" x2="15" y2="8"></line>
+        <line x1="17" y1="16" x2="23" y2="16"></line>
+      </svg>
+    `;
+    
+    const title = container.querySelector('.settings-title');
+    const fields = container.querySelector('.settings-fields');
+    
+    toggle.addEventListener('click', () => setOpen(!isOpen()));
+    container.querySelector('.settings-close').addEventListener('click', () => setOpen(false));
+    
+    /**
+     * Show the controls for a visualization
+     * @param {Object} visualization - Registered visualization definition
+     */
+    function setVisualization(visualization) {
+      title.textContent = `${visualization.label} settings`;
+      fields.innerHTML = '';
+      
+      const entries = Object.entries(visualization.configSchema || {});
+      if (entries.length === 0) {
+        fields.innerHTML = '<p class="settings-empty">No settings for this visualization</p>';
+        return;
+      }
+      
+      entries.forEach(([key, field]) => {
+        fields.appendChild(createField(visualization.config, key, field));
+      });
+    }
+    
+    /**
+     * Build the control for one config field
+     * @param {Object} config - Live config object
+     * @param {string} key - Config key, dotted for nested values
+     * @param {Object} field - Schema entry
+     * @returns {HTMLElement} - Field row
+     */
+    function createField(config, key, field) {
+      if (field.type === 'code') {
+        return createCodeField(config, key, field);
+      }
+      
+      const row = document.createElement('label');
+      row.className = `settings-field settings-field-${field.type}`;
+      
+      const name = document.createElement('span');
+      name.className = 'settings-label';
+      name.textContent = field.label || key;
+      row.appendChild(name);
+      
+      const input = document.createElement('input');
+      const current = getValue(config, key);
+      const output = document.createElement('span');
+      output.className = 'settings-value';
+      
+      if (field.type === 'boolean') {
+        input.type = 'checkbox';
+        input.checked = !!current;
+      } else if (field.type === 'color') {
+        input.type = 'color';
+        input.value = toHexString(current);
+      } else {
+        input.type = 'range';
+        input.min = field.min ?? 0;
+        input.max = field.max ?? 1;
+        input.step = field.step ?? 0.01;
+        input.value = current;
+        output.textContent = formatNumber(current);
+      }
+      
+      row.appendChild(input);
+      if (field.type === 'number') {
+        row.appendChild(output);
+      }
+      
+      // Write the input value into the config
+      const commit = () => {
+        let value;
+        if (field.type === 'boolean') {
+          value = input.checked;
+        } else if (field.type === 'color') {
+          value = input.value;
+        } else {
+          value = parseFloat(input.value);
+          output.textContent = formatNumber(value);
+        }
+        
+        setValue(config, key, value);
+        if (onChange) {
+          onChange(key, value, field);
+        }
+      };
+      
+      // Rebuilding on every slider step would stall, so recreate fields wait for release
+      const eventName = field.recreate || field.type === 'boolean' ? 'change' : 'input';
+      input.addEventListener(eventName, commit);
+      if (field.recreate && field.type === 'number') {
+        input.addEventListener('input', () => {
+          output.textContent = formatNumber(parseFloat(input.value));
+        });
+      }
+      
+      return row;
+    }
+    
+    /**
+     * Build a source code editor with a button to load the code from a file
+     * @param {Object} config - Live config object
+     * @param {string} key - Config key, dotted for nested values
+     * @param {Object} field - Schema entry, accept lists the file types to offer
+     * @returns {HTMLElement} - Field row
+     */
+    function createCodeField(config, key, field) {
+      const row = document.createElement('div');
+      row.className = 'settings-field settings-field-code';
+      row.innerHTML = `
+        <span class="settings-label"></span>
+        <button class="settings-code-load" type="button">Load file</button>
+        <textarea class="settings-code" spellcheck="false" rows="16"></textarea>
+        <input class="settings-code-file" type="file" hidden>
+      `;
+      
+      const textarea = row.querySelector('.settings-code');
+      const fileInput = row.querySelector('.settings-code-file');
+      row.querySelector('.settings-label').textContent = field.label || key;
+      textarea.value = getValue(config, key) || '';
+      fileInput.accept = field.accept || '';
+      
+      const commit = (value) => {
+        setValue(config, key, value);
+        if (onChange) {
+          onChange(key, value, field);
+        }
+      };
+      
+      let inputTimer = null;
+      textarea.addEventListener('input', () => {
+        clearTimeout(inputTimer);
+        inputTimer = setTimeout(() => commit(textarea.value), CODE_INPUT_DELAY);
+      });
+      
+      // Tab indents instead of moving focus out of the editor
+      textarea.addEventListener('keydown', (e) => {
+        if (e.key !== 'Tab') return;
+        
+        e.preventDefault();
+        textarea.setRangeText('  ', textarea.selectionStart, textarea.selectionEnd, 'end');
+      });
+      
+      row.querySelector('.settings-code-load').addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        // Cleared so loading the same file again after editing it still fires change
+        fileInput.value = '';
+        if (!file) return;
+        
+        clearTimeout(inputTimer);
+        textarea.value = await file.text();
+        commit(textarea.value);
+      });
+      
+      return row;
+    }
+    
+    /**
+     * Add controls shown above the visualization settings for every mode
+     * @param {HTMLElement} element - Section element
+     */
+    function addSection(element) {
+      container.insertBefore(element, fields);
+    }
+    
+    /**
+     * Open or close the drawer
+     * @param {boolean} open - Whether the drawer should be open
+     */
+    function setOpen(open) {
+      container.classList.toggle('open', open);
+      toggle.classList.toggle('active', open);
+    }
+    
+    /**
+     * Whether the drawer is open
+     * @returns {boolean} - True if open
+     */
+    function isOpen() {
+      return container.classList.contains('open');
+    }
+    
+    /**
+     * Remove the drawer and its toggle from the page
+     */
+    function remove() {
+      [container, toggle].forEach(element => {
+        if (element.parentNode) {
+          element.parentNode.removeChild(element);
+        }
+      });
+    }
+    
+    return {
+      element: container,
+      toggle,
+      setVisualization,
+      addSection,
+      setOpen,
+      isOpen,
+      remove
+    };
+}
+
+/**
+ * Read a possibly nested config value
+ * @param {Object} config - Config object
+ * @param {string} key - Key, dotted for nested values
+ * @returns {any} - Value
+ */
+function getValue(config, key) {
+  return key.split('.').reduce((object, part) => object?.[part], config);
+}
+
+/**
+ * Write a possibly nested config value
+ * Colors are updated in place so modules holding them see the change
+ * @param {Object} config - Config object
+ * @param {string} key - Key, dotted for nested values
+ * @param {any} value - New value
+ */
+function setValue(config, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const target = parts.reduce((object, part) => object[part], config);
+  const current = target[last];
+  
+  if (current && current.isColor) {
+    current.set(value);
+  } else if (typeof current === 'number' && typeof value === 'string') {
+    // Colors stored as hex numbers
+    target[last] = parseInt(value.slice(1), 16);
+  } else {
+    target[last] = value;
+  }
+}
+
+/**
+ * Convert a config color to the #rrggbb form color inputs use
+ * @param {THREE.Color|number|string} color - Color value
+ * @returns {string} - Hex color string
+ */
+function toHexString(color) {
+  if (color && color.isColor) {
+    return `#${color.getHexString()}`;
+  }
+  if (typeof color === 'number') {
+    return `#${color.toString(16).padStart(6, '0')}`;
+  }
+  return color || '#000000';
+}
+
+/**
+ * Format a slider value for display
+ * @param {number} value - Value
+ * @returns {string} - Value with at most two decimals
+ */
+function formatNumber(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
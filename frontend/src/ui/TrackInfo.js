@@ -2,6 +2,7 @@
 // Complete implementation with playback information but without duplicate controls
 
 import { getStoredAccessToken } from '../auth/handleAuth.js';
+import { getAudioFeatures } from '../spotify/spotifyAPI.js';
 
 let currentTrackId = null;
 let isPlaying = false;
@@ -72,6 +73,39 @@ export function renderTrackInfo(trackData, onTrackInfoClick = null) {
   return container;
 }
 
+/**
+ * Remove the track information display
+ */
+export function removeTrackInfo() {
+  const existingInfo = document.getElementById('track-info');
+  if (existingInfo) {
+    existingInfo.remove();
+  }
+  
+  currentTrackId = null;
+  isPlaying = false;
+}
+
+/**
+ * Keep the track info in sync with the playback store
+ * @param {Store} store - Playback store
+ * @param {Object} clickHandlers - Click callbacks by playback source (e.g. { demo: togglePlay })
+ * @returns {Function} - Stops following the store
+ */
+export function connectTrackInfo(store, clickHandlers = {}) {
+  return store.select(state => state.track, (track, previousTrack, state) => {
+    if (!track) {
+      removeTrackInfo();
+      return;
+    }
+    
+    renderTrackInfo({
+      item: track,
+      is_playing: !state.isPaused
+    }, clickHandlers[state.source] || null);
+  });
+}
+
 /**
  * Update track information without recreating the entire element
  * @param {Object} trackData - Track data from Spotify API
@@ -153,17 +187,8 @@ export async function showDetailedTrackInfo(trackId) {
     
     const trackDetails = await response.json();
     
-    // Get audio features for the track
-    const featuresResponse = await fetch(`https://api.spotify.com/v1/audio-features/${trackId}`, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`
-      }
-    });
-    
-    let audioFeatures = null;
-    if (featuresResponse.ok) {
-      audioFeatures = await featuresResponse.json();
-    }
+    // Get audio features for the track - shares the persistent features cache
+    const audioFeatures = await getAudioFeatures(trackId, accessToken, { useDefaults: false });
     
     // Show modal with detailed info
     showTrackInfoModal(trackDetails, audioFeatures);
@@ -140,7 +140,8 @@ export function createVolumeControl(onVolumeChange, initialVolume = 0.4) {
     return {
       element: container,
       setVolume,
-      getVolume: () => currentVolume
+      getVolume: () => currentVolume,
+      remove: () => container.remove()
     };
 }
   
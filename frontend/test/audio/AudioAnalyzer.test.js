@@ -0,0 +1,155 @@
+// test/audio/AudioAnalyzer.test.js
+// AudioAnalyzer replayed on fixed-step and scrubbed clocks must be deterministic
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioAnalyzer } from '../../src/audio/AudioAnalyzer.js';
+import { Clock } from '../../src/timing/Clock.js';
+import { createAnalysisFixture } from '../../scripts/fixtures/analysisFixture.js';
+
+const FPS = 60;
+const FEATURES = { energy: 0.7, danceability: 0.6, valence: 0.5, tempo: 124 };
+
+// Four 30 second sections, the third one loud
+const analysis = createAnalysisFixture({ duration: 120, sectionLoudness: [-14, -9, -4, -12] });
+
+/**
+ * Create an analyzer on its own clock that records every event it fires
+ * @param {Clock} clock - Clock driving the analyzer
+ * @returns {Object} - { analyzer, events }
+ */
+function createRecordingAnalyzer(clock) {
+  const analyzer = new AudioAnalyzer();
+  const events = [];
+  
+  analyzer.setClock(clock);
+  analyzer.updateTrackData(analysis, FEATURES);
+  
+  analyzer.onBeat = event => events.push({ type: 'beat', ...event });
+  analyzer.onBar = event => events.push({ type: 'bar', ...event });
+  analyzer.onDownbeat = event => events.push({ type: 'downbeat', ...event });
+  analyzer.onTatum = event => events.push({ type: 'tatum', ...event });
+  analyzer.onSection = event => events.push({ type: 'section', ...event });
+  
+  return { analyzer, events };
+}
+
+/**
+ * Beat, bar and section state after a frame
+ * @param {AudioAnalyzer} analyzer - Analyzer to read
+ * @returns {Object} - Grid phases, beat and section state
+ */
+function snapshot(analyzer) {
+  return {
+    progress: analyzer.trackProgress,
+    beatDetected: analyzer.beatDetected,
+    beatIntensity: analyzer.beatIntensity,
+    beatPhase: analyzer.beatPhase,
+    barPhase: analyzer.barPhase,
+    tatumPhase: analyzer.tatumPhase,
+    beatInBar: analyzer.beatInBar,
+    sectionIndex: analyzer.currentSectionIndex,
+    volume: analyzer.volume
+  };
+}
+
+/**
+ * Play positions on a fixed-step clock, one frame each
+ * @param {Array<number>} positions - Playback positions in seconds
+ * @returns {Object} - { states, events }
+ */
+function replayFixedStep(positions) {
+  const clock = new Clock({ source: () => 0 });
+  clock.useFixedStep(1 / FPS);
+  
+  const { analyzer, events } = createRecordingAnalyzer(clock);
+  const states = positions.map(seconds => {
+    clock.tick();
+    analyzer.updateProgress(seconds * 1000);
+    return snapshot(analyzer);
+  });
+  
+  return { states, events };
+}
+
+/**
+ * Frame positions for playing part of the track
+ * @param {number} from - Start position in seconds
+ * @param {number} to - End position in seconds
+ * @returns {Array<number>} - One position per frame
+ */
+function framesBetween(from, to) {
+  const count = Math.round((to - from) * FPS);
+  return Array.from({ length: count }, (_, frame) => from + frame / FPS);
+}
+
+describe('AudioAnalyzer determinism', () => {
+  // The analyzer reports source and track changes to the console
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  it('replays identical beat, bar and section state on a fixed-step clock', () => {
+    // Play through a section change, jump ahead into the loud section, then back
+    const positions = [
+      ...framesBetween(25, 35),
+      ...framesBetween(62, 68),
+      ...framesBetween(10, 14)
+    ];
+    
+    const first = replayFixedStep(positions);
+    const second = replayFixedStep(positions);
+    
+    assert.deepEqual(second.states, first.states);
+    assert.deepEqual(second.events, first.events);
+    
+    // Make sure the runs exercised every kind of event
+    for (const type of ['beat', 'bar', 'downbeat', 'tatum', 'section']) {
+      assert.ok(first.events.some(event => event.type === type), `no ${type} events`);
+    }
+    
+    // Beat and grid event times are clock times, so they sit exactly on the frame grid
+    first.events
+      .filter(event => event.type !== 'section')
+      .forEach(event => {
+        assert.ok(Math.abs(event.time * FPS - Math.round(event.time * FPS)) < 1e-6, `${event.type} at ${event.time}`);
+      });
+  });
+  
+  it('reports the same grid state for a scrubbed timestamp however it is reached', () => {
+    const timestamps = [3.2, 17.75, 31.1, 48.6, 64.05, 95.5, 118.9];
+    
+    /**
+     * Scrub to each timestamp in turn
+     * @param {Array<number>} order - Timestamps in the order to visit them
+     * @returns {Map<number, Object>} - Grid state by timestamp
+     */
+    const scrubThrough = order => {
+      const clock = new Clock({ source: () => 0 });
+      const { analyzer } = createRecordingAnalyzer(clock);
+      
+      return new Map(order.map(seconds => {
+        clock.scrubTo(seconds);
+        clock.tick();
+        analyzer.updateProgress(seconds * 1000);
+        
+        const { beatPhase, barPhase, tatumPhase, beatInBar, sectionIndex } = snapshot(analyzer);
+        return [seconds, { beatPhase, barPhase, tatumPhase, beatInBar, sectionIndex }];
+      }));
+    };
+    
+    const forwards = scrubThrough(timestamps);
+    const backwards = scrubThrough([...timestamps].reverse());
+    
+    for (const seconds of timestamps) {
+      assert.deepEqual(backwards.get(seconds), forwards.get(seconds), `state at ${seconds}s`);
+    }
+    
+    // Timestamps in different sections must not all read the same
+    assert.ok(new Set([...forwards.values()].map(state => state.sectionIndex)).size >= 4);
+  });
+});
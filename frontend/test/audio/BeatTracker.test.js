@@ -0,0 +1,130 @@
+// test/audio/BeatTracker.test.js
+// Tempo and beat phase tracked from recorded analyses against their own beats
+//
+// Recordings live in test/fixtures/analysis/ as the untouched JSON body of
+// GET https://api.spotify.com/v1/audio-analysis/{id}, one file per track, e.g.
+//
+//   curl -H "Authorization: Bearer $TOKEN" \
+//     https://api.spotify.com/v1/audio-analysis/{id} > test/fixtures/analysis/{id}.json
+//
+// The tracker only ever sees the segments; the recorded beats and track tempo
+// are what it is graded against. Without recordings those tests are skipped.
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { trackBeatsFromSegments } from '../../src/audio/BeatTracker.js';
+import { SpotifyAnalysisSource } from '../../src/audio/sources/SpotifyAnalysisSource.js';
+
+const FIXTURE_DIR = new URL('../fixtures/analysis/', import.meta.url);
+
+// Allowed tempo error as a fraction of the recorded tempo
+const TEMPO_TOLERANCE = 0.04;
+
+// Allowed distance from the nearest recorded beat, and the share of beats that must hit
+const PHASE_TOLERANCE = 0.07;
+const PHASE_HIT_RATE = 0.8;
+
+// Beats before this are still locking on and aren't checked
+const WARMUP_SECONDS = 10;
+
+/**
+ * Load every recorded analysis in the fixture directory
+ * @returns {Array<Object>} - { name, analysis } per recording
+ */
+function loadRecordings() {
+  if (!existsSync(FIXTURE_DIR)) return [];
+  
+  return readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => ({
+      name: file,
+      analysis: JSON.parse(readFileSync(new URL(file, FIXTURE_DIR), 'utf8'))
+    }));
+}
+
+/**
+ * Distance from a time to the nearest recorded beat
+ * @param {Array} beats - Recorded beats sorted by start
+ * @param {number} time - Time in seconds
+ * @returns {number} - Distance in seconds
+ */
+function distanceToNearestBeat(beats, time) {
+  let low = 0;
+  let high = beats.length - 1;
+  
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (beats[middle].start < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  
+  const after = beats[low];
+  const before = beats[Math.max(0, low - 1)];
+  return Math.min(Math.abs(after.start - time), Math.abs(before.start - time));
+}
+
+/**
+ * Check a tracked tempo and beats against a recording
+ * @param {number} tempo - Tracked tempo in BPM
+ * @param {Array} tracked - Tracked beats ({ start })
+ * @param {Object} analysis - Recorded analysis
+ */
+function assertMatchesRecording(tempo, tracked, analysis) {
+  const recordedTempo = analysis.track.tempo;
+  assert.ok(
+    Math.abs(tempo - recordedTempo) <= recordedTempo * TEMPO_TOLERANCE,
+    `tracked ${tempo.toFixed(1)} BPM, recorded ${recordedTempo.toFixed(1)} BPM`
+  );
+  
+  const end = analysis.beats[analysis.beats.length - 1].start;
+  const checked = tracked.filter(beat => beat.start >= WARMUP_SECONDS && beat.start <= end);
+  const expected = analysis.beats.filter(beat => beat.start >= WARMUP_SECONDS).length;
+  const hits = checked.filter(beat => distanceToNearestBeat(analysis.beats, beat.start) <= PHASE_TOLERANCE);
+  
+  assert.ok(hits.length >= expected * PHASE_HIT_RATE, `${hits.length} of ${expected} recorded beats hit`);
+  assert.ok(checked.length <= expected * 1.1, `${checked.length} beats tracked for ${expected} recorded ones`);
+}
+
+const recordings = loadRecordings();
+const skip = recordings.length === 0 && 'no recorded analyses in test/fixtures/analysis';
+
+describe('trackBeatsFromSegments', () => {
+  describe('recorded analyses', { skip }, () => {
+    for (const { name, analysis } of recordings) {
+      it(`finds the tempo and beats of ${name}`, () => {
+        const result = trackBeatsFromSegments(analysis.segments);
+        assertMatchesRecording(result.tempo, result.beats, analysis);
+      });
+    }
+  });
+  
+  it('returns no beats without segments', () => {
+    assert.deepEqual(trackBeatsFromSegments([]), { beats: [], tempo: 0, confidence: 0 });
+  });
+});
+
+describe('SpotifyAnalysisSource without beats', { skip }, () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  for (const { name, analysis } of recordings) {
+    it(`replaces the missing beats of ${name} with tracked ones`, () => {
+      const { beats, ...withoutBeats } = analysis;
+      
+      const source = new SpotifyAnalysisSource();
+      source.load(withoutBeats);
+      
+      assert.equal(source.beatsEstimated, true);
+      assertMatchesRecording(source.estimatedTempo, source.beats, analysis);
+    });
+  }
+});
@@ -0,0 +1,325 @@
+// test/audio/sources.test.js
+// Analysis sources driven headlessly through the AnalysisSource contract
+
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { AnalysisSource, createFrame, createAnalysisSource, getAnalysisSourceIds } from '../../src/audio/sources/index.js';
+import { Clock } from '../../src/timing/Clock.js';
+
+const FPS = 60;
+const FEATURES = { energy: 0.7, danceability: 0.6, valence: 0.5, tempo: 120 };
+
+/**
+ * Build a Spotify-shaped analysis at 120 BPM with uneven segment lengths
+ * @param {number} duration - Track length in seconds
+ * @returns {Object} - Analysis with beats, tatums, segments and sections
+ */
+function createAnalysis(duration) {
+  const beats = [];
+  const tatums = [];
+  const segments = [];
+  const sections = [];
+  
+  for (let start = 0; start < duration; start += 0.5) {
+    beats.push({ start, duration: 0.5, confidence: 0.8 });
+    tatums.push({ start, duration: 0.25, confidence: 0.6 }, { start: start + 0.25, duration: 0.25, confidence: 0.4 });
+  }
+  
+  const lengths = [0.21, 0.34, 0.18, 0.42, 0.27];
+  for (let start = 0, i = 0; start < duration; i++) {
+    const length = Math.min(lengths[i % lengths.length], duration - start);
+    segments.push({
+      start,
+      duration: length,
+      loudness_max: -20 + (i % 4) * 4,
+      timbre: Array.from({ length: 12 }, (_, k) => ((i + k) % 7) * 20 - 60)
+    });
+    start += length;
+  }
+  
+  for (let start = 0; start < duration; start += 30) {
+    sections.push({ start, duration: Math.min(30, duration - start), loudness: -12 });
+  }
+  
+  return { beats, tatums, segments, sections };
+}
+
+/**
+ * Minimal Web Audio graph - the analyser hears a kick every half second
+ */
+class FakeAudioContext {
+  constructor() {
+    this.currentTime = 0;
+    this.sampleRate = 44100;
+    this.state = 'running';
+    this.destination = {};
+  }
+  
+  async resume() {
+    this.state = 'running';
+  }
+  
+  async decodeAudioData() {
+    return { duration: 30, sampleRate: this.sampleRate };
+  }
+  
+  createAnalyser() {
+    const context = this;
+    
+    return {
+      fftSize: 2048,
+      smoothingTimeConstant: 0,
+      get frequencyBinCount() {
+        return this.fftSize / 2;
+      },
+      connect() {},
+      getByteFrequencyData(data) {
+        const kick = context.currentTime % 0.5 < 0.05;
+        for (let i = 0; i < data.length; i++) {
+          data[i] = i < 12 ? (kick ? 230 : 80) : 20;
+        }
+      },
+      getByteTimeDomainData(data) {
+        for (let i = 0; i < data.length; i++) {
+          data[i] = 128 + Math.round(40 * Math.sin(i / 10));
+        }
+      }
+    };
+  }
+  
+  createBufferSource() {
+    return {
+      buffer: null,
+      onended: null,
+      connect() {},
+      disconnect() {},
+      start() {},
+      stop() {}
+    };
+  }
+}
+
+/**
+ * Stand-in for a File picked by the user
+ * @returns {Object} - Object with the File methods LocalFileSource uses
+ */
+function createAudioFile() {
+  return { name: 'kick.wav', arrayBuffer: async () => new ArrayBuffer(8) };
+}
+
+/**
+ * Clock that advances one frame per tick
+ * @returns {Clock} - Fixed-step clock at FPS
+ */
+function createFrameClock() {
+  const clock = new Clock({ source: () => 0 });
+  clock.useFixedStep(1 / FPS);
+  return clock;
+}
+
+/**
+ * Create a registered source on a frame clock, ready to produce frames
+ * @param {string} id - Source id
+ * @param {Object} analysis - Analysis for the Spotify source
+ * @returns {Promise<AnalysisSource>} - Prepared source
+ */
+async function createReadySource(id, analysis) {
+  const source = createAnalysisSource(id);
+  source.setClock(createFrameClock());
+  
+  if (id === 'spotify') {
+    source.load(analysis);
+  } else if (id === 'local') {
+    await source.load(createAudioFile());
+  }
+  
+  return source;
+}
+
+/**
+ * Feed a source one frame per tick between two playback positions
+ * @param {AnalysisSource} source - Source to drive
+ * @param {number} from - Start position in seconds
+ * @param {number} to - End position in seconds
+ * @returns {Array<Object>} - Frames with the position they were produced at
+ */
+function play(source, from, to) {
+  const frames = [];
+  
+  for (let frame = Math.round(from * FPS); frame < Math.round(to * FPS); frame++) {
+    source.clock.tick();
+    frames.push({ seconds: frame / FPS, frame: source.update(frame / FPS, FEATURES) });
+  }
+  
+  return frames;
+}
+
+/**
+ * Index of the segment whose span contains a position
+ * @param {Array} segments - Analysis segments
+ * @param {number} seconds - Position in seconds
+ * @returns {number} - Segment index
+ */
+function segmentIndexAt(segments, seconds) {
+  return segments.findIndex(segment => segment.start <= seconds && seconds < segment.start + segment.duration);
+}
+
+describe('analysis sources', () => {
+  const analysis = createAnalysis(120);
+  let previousWindow;
+  
+  before(() => {
+    previousWindow = globalThis.window;
+    globalThis.window = { AudioContext: FakeAudioContext };
+  });
+  
+  after(() => {
+    globalThis.window = previousWindow;
+  });
+  
+  // Sources report loaded files and estimated beats to the console
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+  });
+  
+  afterEach(() => {
+    mock.restoreAll();
+  });
+  
+  describe('contract', () => {
+    for (const id of getAnalysisSourceIds()) {
+      it(`${id} starts, seeks and produces complete frames`, async () => {
+        const source = await createReadySource(id, analysis);
+        
+        assert.ok(source instanceof AnalysisSource);
+        assert.equal(source.id, id);
+        
+        source.start();
+        assert.equal(source.active, true);
+        
+        source.seek(12);
+        assert.equal(source.getProgress(), 12);
+        
+        const frames = play(source, 12, 14);
+        const keys = Object.keys(createFrame()).sort();
+        
+        for (const { frame } of frames) {
+          assert.deepEqual(Object.keys(frame).sort(), keys);
+          
+          for (const band of ['volume', 'bass', 'mid', 'treble']) {
+            assert.ok(Number.isFinite(frame[band]) && frame[band] >= 0, `${band} is ${frame[band]}`);
+          }
+        }
+        
+        source.stop();
+        assert.equal(source.active, false);
+      });
+    }
+  });
+  
+  describe('spotify', () => {
+    it('re-indexes segments at the seek target in either direction', async () => {
+      const source = await createReadySource('spotify', analysis);
+      source.start();
+      play(source, 0, 2);
+      
+      for (const target of [90, 15.3, 61.7, 3]) {
+        source.seek(target);
+        assert.equal(source.currentSegmentIndex, segmentIndexAt(analysis.segments, target), `after seeking to ${target}`);
+        
+        play(source, target, target + 0.5);
+        assert.equal(source.currentSegmentIndex, segmentIndexAt(analysis.segments, source.getProgress()));
+        
+        const progress = source.getSegmentProgress();
+        assert.ok(progress >= 0 && progress <= 1);
+      }
+    });
+    
+    it('fires beat events while a beat is under the playhead', async () => {
+      const source = await createReadySource('spotify', analysis);
+      source.start();
+      
+      const beatFrames = play(source, 10, 12).filter(({ frame }) => frame.beat);
+      
+      assert.ok(beatFrames.length > 0);
+      for (const { frame } of beatFrames) {
+        assert.equal(frame.beat.confidence, 0.8);
+      }
+    });
+    
+    it('uses the analysis beats when there are any', async () => {
+      const source = await createReadySource('spotify', analysis);
+      
+      assert.equal(source.beatsEstimated, false);
+      assert.equal(source.beats, analysis.beats);
+    });
+    
+    it('tracks beats from segments when the analysis has none', async () => {
+      const { beats, ...withoutBeats } = analysis;
+      const source = await createReadySource('spotify', withoutBeats);
+      
+      assert.equal(source.beatsEstimated, true);
+      assert.ok(source.hasData());
+      assert.ok(source.beats.length > 0);
+      assert.ok(source.estimatedTempo > 0);
+      
+      // The estimated beats drive beat events like real ones
+      source.start();
+      const beatFrames = play(source, 10, 20).filter(({ frame }) => frame.beat);
+      assert.ok(beatFrames.length > 0);
+    });
+  });
+  
+  describe('synthetic', () => {
+    it('fires beats at the feature tempo on its clock', () => {
+      const source = createAnalysisSource('synthetic', { style: 'simple' });
+      source.setClock(createFrameClock());
+      source.start();
+      
+      const beatTimes = play(source, 0, 5)
+        .filter(({ frame }) => frame.beat)
+        .map(({ seconds }) => seconds);
+      
+      assert.ok(beatTimes.length >= 8);
+      for (let i = 1; i < beatTimes.length; i++) {
+        assert.ok(Math.abs(beatTimes[i] - beatTimes[i - 1] - 60 / FEATURES.tempo) <= 1.5 / FPS);
+      }
+    });
+  });
+  
+  describe('local', () => {
+    it('follows the AudioContext clock and keeps playing across seeks', async () => {
+      const source = await createReadySource('local');
+      const context = source.audioContext;
+      
+      source.start();
+      assert.equal(source.paused, false);
+      
+      context.currentTime += 2;
+      assert.equal(source.getProgress(), 2);
+      
+      source.seek(10);
+      assert.equal(source.paused, false);
+      assert.equal(source.getProgress(), 10);
+      
+      context.currentTime += 1;
+      assert.equal(source.getProgress(), 11);
+      
+      source.stop();
+      context.currentTime += 1;
+      assert.equal(source.paused, true);
+      assert.equal(source.getProgress(), 11);
+    });
+    
+    it('splits the live spectrum into bands', async () => {
+      const source = await createReadySource('local');
+      source.start();
+      
+      const { frame } = play(source, 0, 1 / FPS)[0];
+      
+      assert.equal(frame.spectrum.length, source.analyserNode.frequencyBinCount);
+      assert.ok(frame.bass > frame.treble);
+      assert.ok(frame.volume > 0);
+    });
+  });
+});